@@ -2,23 +2,25 @@
 
 const blessed = require("blessed");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { execSync, spawn } = require("child_process");
+const {
+  execSync,
+  execFile,
+  execFileSync,
+  spawn,
+  spawnSync,
+} = require("child_process");
+const { StringDecoder } = require("string_decoder");
 const { promisify } = require("util");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 const readFile = promisify(fs.readFile);
+const execFileAsync = promisify(execFile);
 
-// Try to load gpt-tokenizer, fall back to basic counting if not available
-let gptTokenizer = null;
-try {
-  gptTokenizer = require("gpt-tokenizer");
-} catch (e) {
-  // gpt-tokenizer not available - will use basic counting
-}
-
-// Handle update command
-if (process.argv[2] === "update") {
+// Handle update command (not when loaded as a module, e.g. by the tests)
+if (require.main === module && process.argv[2] === "update") {
   const currentDir = process.cwd();
   const cherrypiqJs = path.join(currentDir, "cherrypiq.js");
   const cherrypiqInstallDir = path.join(process.env.HOME, ".cherrypiq");
@@ -86,38 +88,31 @@ if (process.argv[2] === "update") {
   }
 }
 
-// Check if repomix is installed
-let repomixInstalled = false;
-try {
-  execSync("npx repomix --version", { stdio: "ignore" });
-  repomixInstalled = true;
-} catch (e) {
-  console.error(
-    "repomix is not installed. Install it with: npm install -g repomix"
-  );
-  process.exit(1);
-}
-
-// Check if ranger is installed
 let rangerInstalled = false;
-try {
-  execSync("which ranger", { stdio: "ignore" });
-  rangerInstalled = true;
-} catch (e) {
-  // Ranger not installed - that's fine
-}
-
-// Check if bat is installed
 let batInstalled = false;
-try {
-  execSync("which bat", { stdio: "ignore" });
-  batInstalled = true;
-} catch (e) {
+
+// Token counting workers (see createTokenWorkerPool) and the tests skip the
+// tool checks
+if (isMainThread && require.main === module) {
+  // Check if ranger is installed
   try {
-    execSync("which batcat", { stdio: "ignore" }); // For Ubuntu/Debian
+    execSync("which ranger", { stdio: "ignore" });
+    rangerInstalled = true;
+  } catch (e) {
+    // Ranger not installed - that's fine
+  }
+
+  // Check if bat is installed
+  try {
+    execSync("which bat", { stdio: "ignore" });
     batInstalled = true;
   } catch (e) {
-    // bat not installed - that's fine
+    try {
+      execSync("which batcat", { stdio: "ignore" }); // For Ubuntu/Debian
+      batInstalled = true;
+    } catch (e) {
+      // bat not installed - that's fine
+    }
   }
 }
 
@@ -131,81 +126,309 @@ function getBatCommand() {
   }
 }
 
-// Get gitignore patterns
-async function getGitignorePatterns(dir) {
-  const patterns = [];
+// Find the root of the git work tree containing dir (or null outside a repo)
+function findGitRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (fs.existsSync(path.join(current, ".git"))) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// Resolve the git directory for a work tree (.git may be a "gitdir:" file)
+function resolveGitDir(gitRoot) {
+  const dotGit = path.join(gitRoot, ".git");
   try {
-    const gitignorePath = path.join(dir, ".gitignore");
-    if (fs.existsSync(gitignorePath)) {
-      const content = await readFile(gitignorePath, "utf8");
-      patterns.push(
-        ...content
-          .split("\n")
-          .filter((line) => line && !line.startsWith("#"))
-          .map((line) => line.trim())
-      );
+    if (fs.statSync(dotGit).isFile()) {
+      const match = fs
+        .readFileSync(dotGit, "utf8")
+        .match(/^gitdir:\s*(.+)\s*$/m);
+      if (match) return path.resolve(gitRoot, match[1]);
     }
   } catch (e) {
-    // No gitignore or can't read it - that's fine
+    // Unreadable .git - fall through to the default location
   }
-  return patterns;
+  return dotGit;
+}
+
+// Get the user's config directory: $XDG_CONFIG_HOME, or ~/.config
+function getConfigHome() {
+  return (
+    process.env.XDG_CONFIG_HOME || path.join(process.env.HOME || "", ".config")
+  );
 }
 
-// Check if a file should be ignored based on gitignore patterns
-function shouldIgnore(filePath, patterns) {
-  const relativePath = path.relative(process.cwd(), filePath);
-  return patterns.some((pattern) => {
-    if (pattern.startsWith("!")) {
-      return false; // Negation patterns not supported here
+// Get the path of the user's global excludes file (core.excludesFile)
+function getGlobalExcludesFile() {
+  try {
+    const configured = execSync("git config --get core.excludesFile", {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    if (configured) {
+      return configured.replace(/^~(?=$|\/)/, process.env.HOME || "~");
     }
-    if (pattern.endsWith("/")) {
-      // Directory pattern
-      return (
-        relativePath.startsWith(pattern) || relativePath.includes("/" + pattern)
-      );
+  } catch (e) {
+    // Not configured or git not installed - use git's default location
+  }
+  return path.join(getConfigHome(), "git", "ignore");
+}
+
+// Convert a gitignore-style glob into a regex source string.
+// "*" and "?" never cross "/", "**" spans directories when it is a whole
+// path segment, and "[...]" is a character class that never matches "/".
+function globToRegexSource(glob) {
+  let source = "";
+  let i = 0;
+  while (i < glob.length) {
+    const ch = glob[i];
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        const atSegmentStart = i === 0 || glob[i - 1] === "/";
+        const next = glob[i + 2];
+        if (atSegmentStart && next === "/") {
+          // "**/" matches zero or more directories
+          source += "(?:.*/)?";
+          i += 3;
+          continue;
+        }
+        if (atSegmentStart && next === undefined) {
+          // Trailing "**" matches everything inside
+          source += ".*";
+          i += 2;
+          continue;
+        }
+        // Any other "**" behaves like a regular "*"
+        source += "[^/]*";
+        i += 2;
+        continue;
+      }
+      source += "[^/]*";
+      i++;
+    } else if (ch === "?") {
+      source += "[^/]";
+      i++;
+    } else if (ch === "[") {
+      const close = glob.indexOf("]", i + 2);
+      if (close === -1) {
+        source += "\\[";
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      let negate = false;
+      if (body[0] === "!" || body[0] === "^") {
+        negate = true;
+        body = body.slice(1);
+      }
+      body = body.replace(/\\/g, "\\\\").replace(/\]/g, "\\]");
+      source += negate ? `(?!/)[^${body}]` : `(?!/)[${body}]`;
+      i = close + 1;
+    } else if (ch === "\\" && i + 1 < glob.length) {
+      source += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      i += 2;
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      i++;
     }
-    // File pattern or glob pattern (simplified)
-    return minimatch(relativePath, pattern);
-  });
+  }
+  return source;
 }
 
-// Simplified minimatch function for basic globbing
+// Glob matching for paths relative to the project root
 function minimatch(filePath, pattern) {
-  // Convert glob pattern to regex
-  const regex = new RegExp(
-    "^" +
-    pattern
-      .replace(/\./g, "\\.") // Escape dots
-      .replace(/\*/g, ".*") // Convert * to .*
-      .replace(/\?/g, ".") + // Convert ? to .
-      "$"
-  );
-  return regex.test(filePath);
+  const normalized = filePath.split(path.sep).join("/");
+  return new RegExp("^" + globToRegexSource(pattern) + "$").test(normalized);
+}
+
+// Parse the lines of an ignore file into rules.
+// base is the directory (relative to the ignore root, "/"-separated) that
+// the file applies to; "" for the root.
+function parseIgnoreRules(content, base) {
+  const rules = [];
+  for (let line of content.split("\n")) {
+    line = line.replace(/\r$/, "");
+    if (!line || line.startsWith("#")) continue;
+
+    // Trailing spaces are ignored unless escaped with a backslash
+    line = line.replace(/(^|[^\\])\s+$/, "$1");
+    if (!line) continue;
+
+    let negate = false;
+    if (line.startsWith("!")) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith("\\!") || line.startsWith("\\#")) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith("/") && !line.endsWith("\\/")) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, "");
+    }
+    if (!line) continue;
+
+    // A slash at the beginning or middle anchors the pattern to base
+    const anchored = line.includes("/");
+    line = line.replace(/^\//, "");
+
+    const source = globToRegexSource(line);
+    rules.push({
+      base,
+      negate,
+      dirOnly,
+      regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+    });
+  }
+  return rules;
+}
+
+// Read an ignore file into rules, returning [] when it is missing
+function readIgnoreFile(filePath, base) {
+  try {
+    return parseIgnoreRules(fs.readFileSync(filePath, "utf8"), base);
+  } catch (e) {
+    return [];
+  }
+}
+
+// Get the ignore rules for a project.
+// Mirrors git's precedence (lowest first): the global excludes file,
+// .git/info/exclude, then .gitignore and .repomixignore files from the
+// work tree root down to each path's directory. Per-directory files are
+// read lazily as directories are visited.
+async function getGitignorePatterns(dir) {
+  const gitRoot = findGitRoot(dir);
+  const root = gitRoot || path.resolve(dir);
+
+  const baseRules = [];
+  if (gitRoot) {
+    baseRules.push(...readIgnoreFile(getGlobalExcludesFile(), ""));
+    baseRules.push(
+      ...readIgnoreFile(path.join(resolveGitDir(gitRoot), "info", "exclude"), "")
+    );
+  }
+
+  return {
+    root,
+    baseRules,
+    dirRules: new Map(), // relative dir -> rules from its ignore files
+    ignoredDirs: new Map(), // relative dir -> cached ignore decision
+  };
+}
+
+// Get the rules from the ignore files located in one directory
+function getDirRules(patterns, relDir) {
+  if (!patterns.dirRules.has(relDir)) {
+    const absDir = path.join(patterns.root, relDir);
+    patterns.dirRules.set(relDir, [
+      ...readIgnoreFile(path.join(absDir, ".gitignore"), relDir),
+      ...readIgnoreFile(path.join(absDir, ".repomixignore"), relDir),
+    ]);
+  }
+  return patterns.dirRules.get(relDir);
+}
+
+// Decide whether a single path is ignored by the rules of its ancestors,
+// without looking at whether a parent directory is itself ignored
+function matchIgnoreRules(patterns, relPath, isDir) {
+  const segments = relPath.split("/");
+  let rules = patterns.baseRules;
+  for (let i = 0; i < segments.length; i++) {
+    rules = rules.concat(getDirRules(patterns, segments.slice(0, i).join("/")));
+  }
+
+  // The last matching rule wins
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.base && !relPath.startsWith(rule.base + "/")) continue;
+    const subject = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+    if (rule.regex.test(subject)) {
+      return !rule.negate;
+    }
+  }
+  return false;
+}
+
+// Check if a file should be ignored based on gitignore patterns.
+// A path inside an ignored directory is always ignored, as in git: a
+// negated pattern cannot re-include it. .git and cherrypiq's own state
+// directories are always ignored.
+function shouldIgnore(filePath, patterns, isDir) {
+  const relativePath = path
+    .relative(patterns.root, path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+  if (!relativePath || relativePath.startsWith("..")) {
+    return false;
+  }
+
+  if (isDir === undefined) {
+    try {
+      isDir = fs.statSync(filePath).isDirectory();
+    } catch (e) {
+      isDir = false;
+    }
+  }
+
+  const segments = relativePath.split("/");
+  if (segments.includes(".git") || segments.includes(STATE_DIR_NAME)) {
+    return true;
+  }
+
+  // Check each parent directory first, caching the decisions
+  for (let i = 1; i < segments.length; i++) {
+    const parent = segments.slice(0, i).join("/");
+    if (!patterns.ignoredDirs.has(parent)) {
+      patterns.ignoredDirs.set(
+        parent,
+        matchIgnoreRules(patterns, parent, true)
+      );
+    }
+    if (patterns.ignoredDirs.get(parent)) {
+      return true;
+    }
+  }
+
+  return matchIgnoreRules(patterns, relativePath, isDir);
 }
 
 // Get directory content
 async function getDirectoryContent(
   dir,
   gitignorePatterns,
-  selectedFilesArray = []
+  selectionRules = null,
+  classify = null
 ) {
   const entries = await readdir(dir, { withFileTypes: true });
-  const items = await Promise.all(
-    entries.map(async (entry) => {
-      const fullPath = path.join(dir, entry.name);
-      const isDir = entry.isDirectory();
-      const ignored = shouldIgnore(fullPath, gitignorePatterns);
-      const selected = selectedFilesArray.includes(fullPath);
-
-      return {
-        name: entry.name,
-        path: fullPath,
-        isDir,
-        ignored,
-        selected,
-      };
-    })
-  );
+  const items = entries.map((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    const isDir = entry.isDirectory();
+    return {
+      name: entry.name,
+      path: fullPath,
+      isDir,
+      ignored: shouldIgnore(fullPath, gitignorePatterns, isDir),
+      kind: null, // Kind of a skipped file (see classifyFile)
+      selected: false,
+      partial: false,
+    };
+  });
+  if (classify) {
+    const files = items.filter((item) => !item.isDir && !item.ignored);
+    const kinds = await classifyFiles(
+      classify,
+      files.map((item) => item.path)
+    );
+    for (const item of files) item.kind = kinds.get(item.path);
+  }
+  if (selectionRules) markSelection(items, selectionRules);
 
   // Sort: directories first, then files, alphabetically
   return items.sort((a, b) => {
@@ -215,867 +438,8791 @@ async function getDirectoryContent(
   });
 }
 
-// Launch ranger to select files
-function launchRanger() {
-  return new Promise((resolve, reject) => {
-    // Create a temporary file to hold selected paths
-    const tempFile = path.join(process.cwd(), ".repomix-selected-files");
+const STATE_DIR_NAME = ".cherrypiq";
 
-    // Clean previous file if exists
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
+// Get the project-local directory cherrypiq keeps its state in
+function getStateDir(root) {
+  return path.join(root, STATE_DIR_NAME);
+}
 
-    console.log(
-      "Launching ranger. Select files with space, then quit with q to return to cherrypiq."
+// Create the state directory, with a .gitignore that keeps it out of the
+// project's repository. An existing .gitignore is left alone, so it can be
+// edited to commit parts of the directory (such as prompts/).
+function ensureStateDir(root) {
+  const stateDir = getStateDir(root);
+  fs.mkdirSync(stateDir, { recursive: true });
+  const gitignorePath = path.join(stateDir, ".gitignore");
+  if (!fs.existsSync(gitignorePath)) {
+    fs.writeFileSync(
+      gitignorePath,
+      "# cherrypiq's local state (edit this file to commit parts of it)\n*\n"
     );
+  }
+  return stateDir;
+}
 
-    // Launch ranger with a custom script to handle selection
-    const rangerScript = `
-      map <space> chain mark_files toggle=True; eval fm.copy(); eval [ for f in fm.copied_files: open(\"${tempFile}\", \"a\").write(f.path + \"\\n\") ]
-    `;
-
-    const scriptPath = path.join(process.cwd(), ".repomix-ranger-rc.conf");
-    fs.writeFileSync(scriptPath, rangerScript);
-
-    const ranger = spawn("ranger", ["--cmd", `source ${scriptPath}`], {
-      stdio: "inherit",
-    });
+// Get the current git HEAD commit of a project (or null)
+function getGitHead(root) {
+  try {
+    return execSync("git rev-parse HEAD", {
+      cwd: root,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (e) {
+    return null;
+  }
+}
 
-    ranger.on("close", (code) => {
-      // Clean up the script
-      if (fs.existsSync(scriptPath)) {
-        fs.unlinkSync(scriptPath);
+// Get a map of files renamed since a commit (old relative path -> new)
+function getGitRenames(root, sinceCommit) {
+  const renames = new Map();
+  if (!sinceCommit) return renames;
+  try {
+    const output = execFileSync(
+      "git",
+      ["diff", "-M", "--name-status", "--end-of-options", sinceCommit],
+      {
+        cwd: root,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+        maxBuffer: 10 * 1024 * 1024,
       }
+    );
+    for (const line of output.split("\n")) {
+      const [status, from, to] = line.split("\t");
+      if (status && status.startsWith("R") && to) {
+        renames.set(from, to);
+      }
+    }
+  } catch (e) {
+    // Not a git repo or the commit is gone - renames can't be detected
+  }
+  return renames;
+}
 
-      // Read selected files
-      if (fs.existsSync(tempFile)) {
-        try {
-          const selections = fs
-            .readFileSync(tempFile, "utf8")
-            .split("\n")
-            .filter((line) => line.trim());
+// Run git with arguments (no shell) in a directory and return its output.
+// Revisions from the user follow --end-of-options so they can't be taken
+// for options.
+function runGit(root, args) {
+  return execFileSync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
 
-          fs.unlinkSync(tempFile);
-          resolve(selections);
-        } catch (e) {
-          reject(new Error("Failed to read selected files from ranger"));
-        }
-      } else {
-        resolve([]);
-      }
-    });
+// Run git like runGit, without blocking the event loop
+async function runGitAsync(root, args) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    maxBuffer: 64 * 1024 * 1024,
   });
+  return stdout;
 }
 
-// Run repomix with selected files
-function runRepomix(selectedFiles) {
-  if (selectedFiles.length === 0) {
-    console.log("No files selected. Exiting.");
-    process.exit(0);
+// Kinds of changes in `git status` that can be selected
+const GIT_STATUS_KINDS = ["modified", "staged", "untracked"];
+
+// Get the files changed according to `git status`: modified in the work
+// tree, staged in the index and/or untracked, as paths relative to the
+// repository root
+function getGitStatusFiles(root, kinds = GIT_STATUS_KINDS) {
+  const entries = runGit(root, [
+    "status",
+    "--porcelain=v1",
+    "-z",
+    "--untracked-files=all",
+  ]).split("\0");
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    const [index, workTree] = entry;
+    const file = entry.slice(3);
+    // Renames and copies are followed by their original path
+    if (index === "R" || index === "C") i++;
+
+    if (index === "?") {
+      if (kinds.includes("untracked")) files.push(file);
+    } else if (
+      (kinds.includes("staged") && index !== " ") ||
+      (kinds.includes("modified") && workTree !== " ")
+    ) {
+      files.push(file);
+    }
   }
+  return files;
+}
 
-  // Convert absolute paths to relative paths
-  const relativePaths = selectedFiles.map((file) =>
-    path.relative(process.cwd(), file)
-  );
+// Get the files changed on this branch since it forked from the base
+// (`git diff --name-only <base>...HEAD`)
+function getGitBranchFiles(root, base) {
+  return runGit(root, [
+    "diff",
+    "--name-only",
+    "-z",
+    "--end-of-options",
+    `${base}...HEAD`,
+  ])
+    .split("\0")
+    .filter(Boolean);
+}
 
-  // Create include pattern for repomix
-  const includePattern = relativePaths.join(",");
+// Get the files touched by the last n commits
+function getGitCommitFiles(root, count) {
+  return runGit(root, [
+    "log",
+    "-n",
+    String(count),
+    "--name-only",
+    "--format=",
+    "-z",
+  ])
+    .split("\0")
+    .filter(Boolean);
+}
 
-  console.log(`Running repomix with ${selectedFiles.length} selected files...`);
+// List the local and remote branches, for choosing a base
+function getGitBranches(root) {
+  return runGit(root, [
+    "for-each-ref",
+    "--format=%(refname:short)",
+    "refs/heads",
+    "refs/remotes",
+  ])
+    .split("\n")
+    .filter((branch) => branch && !branch.endsWith("/HEAD"));
+}
 
+// Guess the branch to diff against: the remote's default branch, or main
+// or master
+function getDefaultGitBase(root) {
   try {
-    execSync(`npx repomix --include "${includePattern}"`, {
-      stdio: "inherit",
-    });
-    console.log("Repomix completed successfully!");
+    return runGit(root, [
+      "symbolic-ref",
+      "--short",
+      "refs/remotes/origin/HEAD",
+    ]).trim();
   } catch (e) {
-    console.error("Failed to run repomix:", e.message);
-    process.exit(1);
+    // No remote default - look for a local main branch
   }
+  const branches = getGitBranches(root);
+  return ["main", "master", "origin/main", "origin/master"].find((branch) =>
+    branches.includes(branch)
+  ) || null;
 }
 
-// Run repomix and copy output to clipboard
-async function runRepomixToClipboard(selectedFiles) {
-  if (selectedFiles.length === 0) {
-    console.log("No files selected. Exiting.");
-    process.exit(0);
+// Select files with git: status kinds (see GIT_STATUS_KINDS), the files
+// changed since a base branch and/or those touched by the last n commits.
+// Returns the absolute paths of those that exist under the project root,
+// leaving out cherrypiq's own state. Throws when git fails, e.g. outside a
+// repository or for an unknown base.
+function getGitSelection(root, options = {}) {
+  // Git reports paths from the repository root; the project may be below it
+  let prefix;
+  try {
+    prefix = runGit(root, ["rev-parse", "--show-prefix"]).trim();
+  } catch (e) {
+    throw new Error("not a git repository");
   }
+  const files = [];
+  const collect = (describe, list) => {
+    try {
+      files.push(...list());
+    } catch (e) {
+      const detail = (e.stderr || "").toString().trim().split("\n")[0];
+      throw new Error(`${describe} failed${detail ? `: ${detail}` : ""}`);
+    }
+  };
 
-  // Convert absolute paths to relative paths
-  const relativePaths = selectedFiles.map((file) =>
-    path.relative(process.cwd(), file)
-  );
+  if (options.status && options.status.length > 0) {
+    collect("git status", () => getGitStatusFiles(root, options.status));
+  }
+  if (options.base) {
+    collect(`git diff against ${options.base}`, () =>
+      getGitBranchFiles(root, options.base)
+    );
+  }
+  if (options.commits) {
+    collect("git log", () => getGitCommitFiles(root, options.commits));
+  }
+
+  return [...new Set(files)]
+    .filter((file) => file.startsWith(prefix))
+    .map((file) => path.join(root, file.slice(prefix.length)))
+    .filter(
+      (file) =>
+        !file.startsWith(getStateDir(root) + path.sep) &&
+        fs.existsSync(file) &&
+        fs.statSync(file).isFile()
+    );
+}
 
-  // Create include pattern for repomix
-  const includePattern = relativePaths.join(",");
+// What the packed output contains for each file: the file itself, its
+// diff against the git base, or the diff followed by the file
+const CONTENT_MODES = ["file", "diff", "diff+file"];
 
+// Format a file unknown to git as a diff that adds it
+function getNewFileDiff(relPath, filePath) {
+  let content;
   try {
-    execSync(`npx repomix --include "${includePattern}" --copy`, {
-      stdio: "inherit",
-    });
-    return true;
+    content = fs.readFileSync(filePath, "utf8");
   } catch (e) {
-    console.error("Failed to run repomix:", e.message);
-    return false;
+    return "";
+  }
+  const header = `diff --git a/${relPath} b/${relPath}\nnew file mode 100644\n`;
+  if (content.includes("\0")) {
+    return `${header}Binary files /dev/null and b/${relPath} differ\n`;
   }
+  if (content === "") return header;
+
+  const lines = content.replace(/\n$/, "").split("\n");
+  return (
+    header +
+    `--- /dev/null\n+++ b/${relPath}\n` +
+    `@@ -0,0 +1${lines.length === 1 ? "" : `,${lines.length}`} @@\n` +
+    lines.map((line) => `+${line}\n`).join("") +
+    (content.endsWith("\n") ? "" : "\\ No newline at end of file\n")
+  );
 }
 
-// Create prompt input box
-function createPromptInput(screen) {
-  const promptBox = blessed.box({
-    top: "center",
-    left: "center",
-    width: "80%",
-    height: 7,
-    hidden: true, // Hide by default
-    content: "{bold}Enter Prompt for Repomix{/bold}",
-    tags: true,
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-      focus: {
-        border: {
-          fg: "green",
-        },
-      },
-    },
-  });
+// Get the arguments of the git diff of paths (pathspecs relative to the
+// project root) against a commit, without renames and with `context` lines
+// around each change
+function getGitDiffArgs(from, context, pathspecs) {
+  return [
+    "-c",
+    "core.quotePath=false",
+    "diff",
+    "--no-color",
+    "--no-ext-diff",
+    "--no-renames",
+    "--relative",
+    "--src-prefix=a/",
+    "--dst-prefix=b/",
+    `-U${context}`,
+    "--end-of-options",
+    from,
+    "--",
+    ...pathspecs,
+  ];
+}
 
-  const promptInput = blessed.textbox({
-    parent: promptBox,
-    top: 2,
-    left: 1,
-    right: 1,
-    height: 3,
-    inputOnFocus: true,
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-      focus: {
-        border: {
-          fg: "green",
-        },
-      },
-    },
-  });
+// Describe a failed git diff (an error from runGit or runGitAsync)
+function gitDiffError(base, e) {
+  const detail = (e.stderr || "").toString().trim().split("\n")[0];
+  return new Error(
+    `git diff against ${base} failed${detail ? `: ${detail}` : ""}`
+  );
+}
 
-  // Add a small help text
-  const helpText = blessed.box({
-    parent: promptBox,
-    bottom: 0,
-    left: 1,
-    content: "Enter: Submit | Esc: Cancel",
-    style: {
-      fg: "gray",
-    },
-  });
+// Escapes git uses in C-quoted paths, besides octal bytes
+const GIT_QUOTE_ESCAPES = {
+  a: 0x07,
+  b: 0x08,
+  t: 0x09,
+  n: 0x0a,
+  v: 0x0b,
+  f: 0x0c,
+  r: 0x0d,
+  '"': 0x22,
+  "\\": 0x5c,
+};
 
-  return { promptBox, promptInput };
+// Read the C-quoted path at the start of text (starting with '"'), as git
+// quotes paths with special characters. Returns { path, length } where
+// length counts the quotes, or null when the quote is not closed.
+function readQuotedGitPath(text) {
+  const bytes = [];
+  let i = 1;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] !== "\\") {
+      bytes.push(...Buffer.from(text[i], "utf8"));
+      i++;
+    } else if (/^[0-7]{3}$/.test(text.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 4), 8));
+      i += 4;
+    } else {
+      bytes.push(GIT_QUOTE_ESCAPES[text[i + 1]] || text.charCodeAt(i + 1));
+      i += 2;
+    }
+  }
+  if (i >= text.length) return null;
+  return { path: Buffer.from(bytes).toString("utf8"), length: i + 1 };
 }
 
-// Run repomix with custom prompt
-async function runRepomixWithPrompt(selectedFiles, prompt) {
+// Get the path a diff's "diff --git" header names, or null. Without
+// renames, the header names the same path twice: "a/P b/P", with either
+// name C-quoted when P has special characters.
+function getGitDiffPath(header) {
+  const names = header.slice("diff --git ".length);
+  if (names.startsWith('"')) {
+    const quoted = readQuotedGitPath(names);
+    return quoted && quoted.path.startsWith("a/")
+      ? quoted.path.slice(2)
+      : null;
+  }
+  if (!names.startsWith("a/")) return null;
+  return names.slice(2, 2 + (names.length - 5) / 2);
+}
+
+// Match files (absolute paths under root) with their diffs in the output
+// of git diff (see getGitDiffArgs), given the paths git tracks. Returns a
+// Map of file -> diff, where files unknown to git are added and unchanged
+// files have an empty diff.
+function collectGitDiffs(root, files, output, tracked) {
+  const changed = new Map();
+  for (const diff of output.split(/^(?=diff --git )/m)) {
+    if (!diff.startsWith("diff --git ")) continue;
+    const relPath = getGitDiffPath(diff.slice(0, diff.indexOf("\n")));
+    if (relPath !== null) changed.set(relPath, diff);
+  }
+
+  const diffs = new Map();
+  for (const file of files) {
+    const relPath = path.relative(root, file).split(path.sep).join("/");
+    if (changed.has(relPath)) {
+      diffs.set(file, changed.get(relPath));
+    } else {
+      diffs.set(
+        file,
+        tracked.has(relPath) ? "" : getNewFileDiff(relPath, file)
+      );
+    }
+  }
+  return diffs;
+}
+
+// Get the unified diffs of files (absolute paths under root) against a git
+// base, from the commit where HEAD forked from it and with `context` lines
+// around each change. Returns a Map of file -> diff (see collectGitDiffs).
+// Throws when git fails, e.g. for an unknown base.
+function getGitDiffs(root, base, files, context = 3) {
+  let from = base;
+  try {
+    from = runGit(root, [
+      "merge-base",
+      "--end-of-options",
+      base,
+      "HEAD",
+    ]).trim();
+  } catch (e) {
+    // No common ancestor (or base is not a branch) - diff against base itself
+  }
+
+  let output;
+  let tracked;
+  try {
+    output = runGit(root, getGitDiffArgs(from, context, ["."]));
+    tracked = new Set(runGit(root, ["ls-files", "-z"]).split("\0"));
+  } catch (e) {
+    throw gitDiffError(base, e);
+  }
+  return collectGitDiffs(root, files, output, tracked);
+}
+
+// Number of files diffed per git command by createDiffStats
+const DIFF_BATCH_SIZE = 100;
+
+// Create the diff statistics of a project, for counting what a diff
+// content mode packs while the selection changes. getStats(base, files,
+// context, tokenizerNames) resolves to a Map of file -> statistics of the
+// file's diff (as formatDiffContent emits it); getDiffs(base, files,
+// context) resolves to a Map of file -> diff, as getGitDiffs returns, for
+// packing. Each diff is cached by the commit it is taken from and the
+// file's mtime and size, so git only diffs new and changed files, in the
+// background, and tokenStats counts the diffs (in its workers). Rejects
+// when git fails, like getGitDiffs throws.
+function createDiffStats(root, tokenStats) {
+  const cache = new Map(); // file -> { key, mtimeMs, size, diff, stats }
+  let queue = Promise.resolve(); // Calls run one at a time
+
+  // Resolve the commit to diff against (see getGitDiffs)
+  async function getDiffBase(base) {
+    try {
+      return (
+        await runGitAsync(root, [
+          "merge-base",
+          "--end-of-options",
+          base,
+          "HEAD",
+        ])
+      ).trim();
+    } catch (e) {
+      // No common ancestor (or base is not a branch) - diff against base
+    }
+    try {
+      return (
+        await runGitAsync(root, ["rev-parse", "--verify", `${base}^{commit}`])
+      ).trim();
+    } catch (e) {
+      throw gitDiffError(base, e);
+    }
+  }
+
+  // Diff files against a commit, a batch of paths per git command
+  async function diffFiles(base, from, files, context) {
+    const diffs = new Map();
+    for (let i = 0; i < files.length; i += DIFF_BATCH_SIZE) {
+      const batch = files.slice(i, i + DIFF_BATCH_SIZE);
+      const pathspecs = batch.map(
+        (file) =>
+          `:(literal)${path.relative(root, file).split(path.sep).join("/")}`
+      );
+      let output;
+      let tracked;
+      try {
+        output = await runGitAsync(
+          root,
+          getGitDiffArgs(from, context, pathspecs)
+        );
+        tracked = new Set(
+          (
+            await runGitAsync(root, ["ls-files", "-z", "--", ...pathspecs])
+          ).split("\0")
+        );
+      } catch (e) {
+        throw gitDiffError(base, e);
+      }
+      const batchDiffs = collectGitDiffs(root, batch, output, tracked);
+      for (const [file, diff] of batchDiffs) diffs.set(file, diff);
+    }
+    return diffs;
+  }
+
+  // Bring the cached diffs of files up to date
+  async function updateDiffs(base, files, context) {
+    const from = await getDiffBase(base);
+    const key = JSON.stringify([base, from, context]);
+
+    // Find the files whose diffs are missing or out of date
+    const stale = [];
+    for (let i = 0; i < files.length; i += STAT_BATCH_SIZE) {
+      await Promise.all(
+        files.slice(i, i + STAT_BATCH_SIZE).map(async (file) => {
+          let fileStat = null;
+          try {
+            fileStat = await stat(file);
+          } catch (e) {
+            // Deleted - diffed as such
+          }
+          const mtimeMs = fileStat ? fileStat.mtimeMs : null;
+          const size = fileStat ? fileStat.size : null;
+          const entry = cache.get(file);
+          if (
+            !entry ||
+            entry.key !== key ||
+            entry.mtimeMs !== mtimeMs ||
+            entry.size !== size
+          ) {
+            cache.set(file, { key, mtimeMs, size, diff: "", stats: null });
+            stale.push(file);
+          }
+        })
+      );
+    }
+    try {
+      for (const [file, diff] of await diffFiles(base, from, stale, context)) {
+        cache.get(file).diff = diff;
+      }
+    } catch (e) {
+      for (const file of stale) cache.delete(file);
+      throw e;
+    }
+  }
+
+  async function getDiffs(base, files, context) {
+    await updateDiffs(base, files, context);
+    return new Map(files.map((file) => [file, cache.get(file).diff]));
+  }
+
+  async function countDiffs(base, files, context, tokenizerNames) {
+    await updateDiffs(base, files, context);
+
+    // Count the diffs that lack a tokenizer's count
+    const uncounted = files.filter((file) => {
+      const { stats } = cache.get(file);
+      return (
+        !stats ||
+        tokenizerNames.some((name) => stats.counts[name] === undefined)
+      );
+    });
+    const counted = await tokenStats.countTexts(
+      uncounted.map((file) =>
+        formatDiffContent(cache.get(file).diff, "", "diff", base)
+      ),
+      tokenizerNames
+    );
+    uncounted.forEach((file, i) => {
+      cache.get(file).stats = counted[i];
+    });
+
+    return new Map(files.map((file) => [file, cache.get(file).stats]));
+  }
+
+  // Run calls one at a time, as they share the cache
+  function enqueue(run) {
+    const done = queue.then(run);
+    queue = done.catch(() => {});
+    return done;
+  }
+
+  return {
+    getStats: (...args) => enqueue(() => countDiffs(...args)),
+    getDiffs: (...args) => enqueue(() => getDiffs(...args)),
+  };
+}
+
+// What to emit for a file in a diff content mode: its diff (or a note that
+// it has none), followed by its content in "diff+file" mode
+function formatDiffContent(diff, content, mode, base) {
+  const text = diff || `No changes since ${base}\n`;
+  return mode === "diff+file" ? `${text}\n${content}` : text;
+}
+
+// Checks that mark files as binary, lockfiles, minified, generated or
+// large. Such files are marked in the file list and skipped when their
+// directory is selected, but can still be selected on their own. Overridden
+// by the fileChecks setting of the config.
+const FILE_CHECKS = {
+  maxFileSize: 256, // KB; larger files are "large"
+  minifiedLineLength: 500, // average line length from which code is minified
+  generated: [], // more path patterns of generated files
+};
+
+// Marker shown in the file list for each kind of skipped file
+const FILE_KIND_MARKERS = {
+  binary: "bin",
+  lockfile: "lock",
+  minified: "min",
+  generated: "gen",
+  large: "big",
+};
+
+// Lockfiles of package managers, by name
+const LOCKFILE_NAMES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "Cargo.lock",
+  "Gemfile.lock",
+  "composer.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "uv.lock",
+  "go.sum",
+  "mix.lock",
+  "pubspec.lock",
+  "flake.lock",
+];
+
+// Path patterns (see matchesPathPattern) of minified and generated files
+const MINIFIED_FILE_PATTERNS = ["*.min.js", "*.min.mjs", "*.min.css", "*-min.js"];
+const GENERATED_FILE_PATTERNS = [
+  "*.map",
+  "*.pb.go",
+  "*.pb.cc",
+  "*.pb.h",
+  "*_pb2.py",
+  "*_pb2_grpc.py",
+  "*.g.dart",
+  "*.freezed.dart",
+  "*.generated.*",
+  "*.designer.cs",
+];
+
+// Comments near the start of a file that mark it as generated
+const GENERATED_MARKER = /@generated\b|\bdo not edit\b|\bauto-?generated\b|\bcode generated by\b/i;
+
+// Prose, whose long lines don't make it minified
+const PROSE_EXTENSIONS = [".md", ".markdown", ".txt", ".rst", ".adoc"];
+
+// Bytes read from the start of a file to classify it
+const FILE_SAMPLE_SIZE = 8000;
+
+// Check whether the start of a file holds binary data (a NUL byte), as git
+// and repomix do
+function isBinaryContent(buffer) {
+  return buffer.subarray(0, FILE_SAMPLE_SIZE).includes(0);
+}
+
+// Classify a file from its size and a sample of its start: "binary",
+// "lockfile", "minified", "generated", "large" (see FILE_CHECKS) or null
+// for an ordinary file
+function classifyFile(relPath, size, sample, checks) {
+  const matches = (patterns) =>
+    patterns.some((pattern) => matchesPathPattern(relPath, pattern));
+  if (isBinaryContent(sample)) return "binary";
+  if (LOCKFILE_NAMES.includes(path.posix.basename(relPath))) return "lockfile";
+  if (matches(MINIFIED_FILE_PATTERNS)) return "minified";
+
+  // Code in a few very long lines
+  const text = sample.toString("utf8");
+  const lines = text.split("\n");
+  if (
+    !PROSE_EXTENSIONS.includes(path.extname(relPath).toLowerCase()) &&
+    text.length >= checks.minifiedLineLength * 2 &&
+    text.length / lines.length > checks.minifiedLineLength
+  ) {
+    return "minified";
+  }
+
+  if (matches([...GENERATED_FILE_PATTERNS, ...checks.generated])) {
+    return "generated";
+  }
+  if (GENERATED_MARKER.test(lines.slice(0, 5).join("\n"))) return "generated";
+  if (size > checks.maxFileSize * 1024) return "large";
+  return null;
+}
+
+// Create the file classifier of a project (see classifyFile). The returned
+// classify(file) resolves to the file's kind, cached until the file
+// changes. Classify many files with classifyFiles.
+function createFileClassifier(root, config) {
+  const checks = { ...FILE_CHECKS, ...(config.fileChecks || {}) };
+  const cache = new Map(); // file -> { mtimeMs, size, kind }
+
+  return async function classify(file) {
+    let stats;
+    try {
+      stats = await stat(file);
+    } catch (e) {
+      return null;
+    }
+    const entry = cache.get(file);
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return entry.kind;
+    }
+
+    const sample = Buffer.alloc(Math.min(stats.size, FILE_SAMPLE_SIZE));
+    let handle = null;
+    try {
+      handle = await fs.promises.open(file, "r");
+      await handle.read(sample, 0, sample.length, 0);
+    } catch (e) {
+      return null;
+    } finally {
+      if (handle) await handle.close();
+    }
+    const relPath = path.relative(root, file).split(path.sep).join("/");
+    const kind = classifyFile(relPath, stats.size, sample, checks);
+    cache.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, kind });
+    return kind;
+  };
+}
+
+// Classify files (see createFileClassifier) a batch at a time, so large
+// directories don't open thousands of files at once. Resolves to a Map of
+// file -> kind.
+async function classifyFiles(classify, files) {
+  const kinds = new Map();
+  for (let i = 0; i < files.length; i += STAT_BATCH_SIZE) {
+    const batch = files.slice(i, i + STAT_BATCH_SIZE);
+    const batchKinds = await Promise.all(batch.map((file) => classify(file)));
+    batch.forEach((file, j) => kinds.set(file, batchKinds[j]));
+  }
+  return kinds;
+}
+
+// Selection rules: paths (files or directories) that are included or
+// excluded. A file is selected when the closest rule at or above it is an
+// include, so "everything under src except src/gen" is an include of src
+// and an exclude of src/gen. Directory rules are resolved to files when
+// packing, which picks up files created after the directory was selected.
+// order lists files in the order they should be packed (empty for path
+// order); selected files missing from it follow in path order. ranges maps
+// files of which only some lines are selected to those lines (see
+// normalizeLineRanges); such files are included by a rule of their own.
+function createSelectionRules(
+  include = [],
+  exclude = [],
+  order = [],
+  ranges = []
+) {
+  return {
+    include: [...new Set(include)],
+    exclude: [...new Set(exclude)],
+    order: [...new Set(order)],
+    ranges: new Map(ranges),
+  };
+}
+
+// Check whether a path is selected by the rules
+function isPathSelected(rules, target) {
+  let selected = false;
+  let closest = -1;
+  for (const [paths, included] of [
+    [rules.include, true],
+    [rules.exclude, false],
+  ]) {
+    for (const rulePath of paths) {
+      if (
+        rulePath.length > closest &&
+        (target === rulePath || target.startsWith(rulePath + path.sep))
+      ) {
+        selected = included;
+        closest = rulePath.length;
+      }
+    }
+  }
+  return selected;
+}
+
+// Select or deselect a path. Rules and line ranges below it are dropped,
+// so the path and everything under it end up in the same state (whole
+// files). An explicit selection is always a rule of its own, as skipped
+// files (see classifyFile) need; an explicit deselection just drops that
+// rule. Returns new rules.
+function setPathSelected(rules, target, selected, explicit = false) {
+  const outside = (rulePath) =>
+    rulePath !== target && !rulePath.startsWith(target + path.sep);
+  const next = createSelectionRules(
+    rules.include.filter(outside),
+    rules.exclude.filter(outside),
+    selected ? rules.order : rules.order.filter(outside),
+    [...rules.ranges].filter(([file]) => outside(file))
+  );
+  const inherited = isPathSelected(next, target);
+  if (selected && (!inherited || explicit)) next.include.push(target);
+  if (!selected && inherited && !explicit) next.exclude.push(target);
+  return next;
+}
+
+// Select just some lines of a file (see normalizeLineRanges), replacing
+// what was selected of it; no ranges deselects it. Returns new rules.
+function setFileRanges(rules, file, ranges) {
+  const selected = ranges.length > 0;
+  const next = setPathSelected(rules, file, selected, selected);
+  if (selected) next.ranges.set(file, normalizeLineRanges(ranges));
+  return next;
+}
+
+// Get the selection state of a directory: "all", "some" or null
+function getDirSelectionState(rules, dir) {
+  const isBelow = (rulePath) => rulePath.startsWith(dir + path.sep);
+  if (isPathSelected(rules, dir)) {
+    const partly =
+      rules.exclude.some(isBelow) || [...rules.ranges.keys()].some(isBelow);
+    return partly ? "some" : "all";
+  }
+  return rules.include.some(isBelow) ? "some" : null;
+}
+
+// Set the selected and partial flags of listing items: directories with
+// only some of their files selected, and files with only some of their
+// lines selected, are partial. Ignored and skipped items are only selected
+// by a rule of their own, since selecting a directory doesn't select its
+// ignored or skipped files.
+function markSelection(items, rules) {
+  for (const item of items) {
+    if ((item.ignored || item.kind) && !rules.include.includes(item.path)) {
+      item.selected = false;
+      item.partial = false;
+    } else if (item.isDir) {
+      const state = getDirSelectionState(rules, item.path);
+      item.selected = state === "all";
+      item.partial = state === "some";
+    } else {
+      item.selected = isPathSelected(rules, item.path);
+      item.partial = item.selected && rules.ranges.has(item.path);
+    }
+  }
+}
+
+// Resolve selection rules to the selected files. Files under a selected
+// directory are its non-ignored files, without those classify (see
+// createFileClassifier) skips; explicitly selected files are kept even when
+// ignored or skipped.
+async function resolveSelection(rules, gitignorePatterns, classify = null) {
+  const files = [];
+  for (const target of rules.include) {
+    let stats;
+    try {
+      stats = await stat(target);
+    } catch (e) {
+      continue; // Deleted since it was selected
+    }
+    if (stats.isDirectory()) {
+      const dirFiles = await listProjectFiles(target, gitignorePatterns);
+      const kinds = classify ? await classifyFiles(classify, dirFiles) : null;
+      for (const file of dirFiles) {
+        if (!kinds || !kinds.get(file)) files.push(file);
+      }
+    } else {
+      files.push(target);
+    }
+  }
+  return orderFiles(
+    [...new Set(files)].filter((file) => isPathSelected(rules, file)),
+    rules.order
+  );
+}
+
+// List the files under selected directories that resolveSelection skips
+// (see createFileClassifier), except those selected on their own
+async function listSkippedFiles(rules, gitignorePatterns, classify) {
+  const skipped = [];
+  for (const target of rules.include) {
+    let stats;
+    try {
+      stats = await stat(target);
+    } catch (e) {
+      continue;
+    }
+    if (!stats.isDirectory()) continue;
+    const dirFiles = await listProjectFiles(target, gitignorePatterns);
+    const kinds = await classifyFiles(classify, dirFiles);
+    for (const file of dirFiles) {
+      if (
+        kinds.get(file) &&
+        !rules.include.includes(file) &&
+        isPathSelected(rules, file)
+      ) {
+        skipped.push(file);
+      }
+    }
+  }
+  return [...new Set(skipped)];
+}
+
+// Sort files by path, then move the ones listed in order to the front
+function orderFiles(files, order) {
+  const rank = new Map(order.map((file, i) => [file, i]));
+  return [...files].sort((a, b) => {
+    const rankA = rank.has(a) ? rank.get(a) : Infinity;
+    const rankB = rank.has(b) ? rank.get(b) : Infinity;
+    if (rankA !== rankB) return rankA - rankB;
+    return a < b ? -1 : a > b ? 1 : 0;
+  });
+}
+
+// Turn selection rules into repomix include and ignore patterns relative to
+// the root. Returns null when an include lies under an exclude, which
+// repomix can't express because its ignore patterns always win.
+function selectionToPatterns(root, rules) {
+  const nested = rules.include.some((included) =>
+    rules.exclude.some((excluded) => included.startsWith(excluded + path.sep))
+  );
+  if (nested) return null;
+
+  const toPattern = (target) => {
+    const relPath = path.relative(root, target).split(path.sep).join("/");
+    let isDir = false;
+    try {
+      isDir = fs.statSync(target).isDirectory();
+    } catch (e) {
+      // Deleted since it was selected - match it as a file
+    }
+    if (!isDir) return relPath;
+    return relPath ? `${relPath}/**` : "**";
+  };
+  return {
+    include: rules.include.map(toPattern),
+    ignore: rules.exclude.map(toPattern),
+  };
+}
+
+// Sort line ranges ([[start, end]], 1-based and inclusive) and merge the
+// ones that overlap or touch
+function normalizeLineRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges]
+    .map(([a, b]) => [Math.min(a, b), Math.max(a, b)])
+    .sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// Remove lines from line ranges, splitting the ranges they fall in
+function subtractLineRange(ranges, [start, end]) {
+  const result = [];
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd < start || rangeStart > end) {
+      result.push([rangeStart, rangeEnd]);
+      continue;
+    }
+    if (rangeStart < start) result.push([rangeStart, start - 1]);
+    if (rangeEnd > end) result.push([end + 1, rangeEnd]);
+  }
+  return result;
+}
+
+// Describe line ranges, e.g. "10-42, 50"
+function formatLineRanges(ranges) {
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(", ");
+}
+
+// Cut line ranges out of a file's content, each under a header with the
+// file's path and the lines. process(text, firstLine) processes the text
+// of each range for packing (see processFileContent).
+function extractLineRanges(
+  content,
+  ranges,
+  relPath,
+  process = (text) => text
+) {
+  const lines = content.split("\n");
+  return ranges
+    .filter(([start]) => start <= lines.length)
+    .map(([start, end]) => {
+      const last = Math.min(end, lines.length);
+      const text = lines.slice(start - 1, last).join("\n");
+      const label = start === last ? "line" : "lines";
+      const range = formatLineRanges([[start, last]]);
+      return (
+        `--- ${relPath}: ${label} ${range} ---\n` + process(text, start)
+      );
+    })
+    .join("\n\n");
+}
+
+// Count what is packed of files with line ranges selected (rules.ranges),
+// given the statistics of the whole files, and processed as outputOptions
+// say when given (see getFileTransforms). Returns a Map of file -> stats
+// like getStats.
+function countRangeContent(
+  ranges,
+  fileStats,
+  root,
+  tokenizerNames,
+  outputOptions = null
+) {
+  if (ranges.size === 0) return fileStats;
+  const result = new Map(fileStats);
+  for (const [file, fileRanges] of ranges) {
+    if (!result.has(file)) continue;
+    let content;
+    try {
+      content = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      continue;
+    }
+    const relPath = path.relative(root, file).split(path.sep).join("/");
+    const transforms =
+      outputOptions && getFileTransforms(outputOptions, relPath);
+    const packed = extractLineRanges(
+      content,
+      fileRanges,
+      relPath,
+      transforms
+        ? (text, firstLine) =>
+            processFileContent(text, file, transforms, firstLine)
+        : undefined
+    );
+    result.set(file, countText(packed, tokenizerNames));
+  }
+  return result;
+}
+
+// Declarations in the outline of JS/TS files: [kind, pattern] with the
+// name in group 1, matched at the start of a line. Anonymous default
+// exports are named "default", and export lists by their braces.
+const JS_OUTLINE_PATTERNS = [
+  [
+    "class",
+    /^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+(?!extends\b)([\w$]+)/,
+  ],
+  [
+    "function",
+    /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/,
+  ],
+  ["interface", /^(?:export\s+)?(?:declare\s+)?interface\s+([\w$]+)/],
+  ["type", /^(?:export\s+)?(?:declare\s+)?type\s+([\w$]+)\s*[=<]/],
+  ["enum", /^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([\w$]+)/],
+  ["variable", /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)/],
+  ["export", /^((?:module\.)?exports(?:\.[\w$]+)?)\s*=/],
+  ["class", /^export\s+(default)\s+(?:abstract\s+)?class\b/],
+  ["function", /^export\s+(default)\s+(?:async\s+)?function\b/],
+  ["export", /^export\s+(default)\b/],
+  ["export", /^export\s+(?:type\s+)?(\{[^}]*\}?|\*(?:\s+as\s+[\w$]+)?)/],
+];
+
+// Functions declared inside a JS/TS function, and methods of a class
+const JS_NESTED_FUNCTION_PATTERNS = [
+  JS_OUTLINE_PATTERNS[1],
+  [
+    "function",
+    /^(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+  ],
+];
+// Declarations and exports whose value is a function expression or an
+// arrow function, e.g. "export const f = async (a) => {" or
+// "export default () => {"
+const JS_FUNCTION_VALUE_PATTERN =
+  /^(?:export\s+default\s+|(?:export\s+)?(?:(?:const|let|var)\s+[\w$]+|(?:module\.)?exports(?:\.[\w$]+)?)\s*(?::[^=]*)?=\s*)(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]*)?=>|[\w$]+\s*=>)/;
+const JS_METHOD_PATTERN =
+  /^(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?([\w$#]+)\s*\(.*\)\s*(?::[^{]*)?\{.*$/;
+const JS_CONTROL_KEYWORDS = ["if", "for", "while", "switch", "catch", "with"];
+
+// Python definitions: [kind, pattern] with the name in group 1
+const PYTHON_OUTLINE_PATTERNS = [
+  ["class", /^class\s+(\w+)/],
+  ["function", /^(?:async\s+)?def\s+(\w+)/],
+];
+
+// Check whether a / after some code starts a regex literal rather than a
+// division: it does after an operator, a bracket or a keyword
+function isJsRegexStart(code) {
+  const before = code.trimEnd();
+  return (
+    before === "" ||
+    "(,=:[!&|?{};+-*%<>~^".includes(before[before.length - 1]) ||
+    /\b(return|typeof|case|in|of|delete|void|throw)$/.test(before)
+  );
+}
+
+// Find the index of the / closing the regex literal opened at start (or
+// the end of the line), skipping escapes and character classes
+function findJsRegexEnd(line, start) {
+  let inClass = false;
+  for (let i = start + 1; i < line.length; i++) {
+    if (line[i] === "\\") i++;
+    else if (line[i] === "[") inClass = true;
+    else if (line[i] === "]") inClass = false;
+    else if (line[i] === "/" && !inClass) return i;
+  }
+  return line.length;
+}
+
+// Find the last line of the JS/TS statement starting at a line: where its
+// brackets are balanced again and it doesn't continue on the next line.
+// Strings and comments are skipped.
+function findJsStatementEnd(lines, start) {
+  let depth = 0;
+  let open = null; // quote or "*/" left open by the previous line
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    let code = "";
+    for (let j = 0; j < line.length; j++) {
+      const char = line[j];
+      if (open) {
+        if (line.startsWith(open, j)) {
+          j += open.length - 1;
+          open = null;
+        } else if (char === "\\") {
+          j++;
+        }
+        continue;
+      }
+      if (line.startsWith("//", j)) break;
+      if (line.startsWith("/*", j)) {
+        open = "*/";
+        j++;
+      } else if (char === '"' || char === "'" || char === "`") {
+        open = char;
+      } else if (char === "/" && isJsRegexStart(code)) {
+        j = findJsRegexEnd(line, j);
+      } else {
+        if ("([{".includes(char)) depth++;
+        if (")]}".includes(char)) depth--;
+        code += char;
+      }
+    }
+    // Single-quoted strings end with their line
+    if (open === '"' || open === "'") open = null;
+
+    // Comment lines neither continue a statement nor end it
+    const next = lines
+      .slice(i + 1)
+      .find(
+        (nextLine) => nextLine.trim() && !/^\s*(\/\/|\/\*|\*)/.test(nextLine)
+      );
+    const continues =
+      /(=>|[=+\-*/%&|?:.,(])$/.test(code.trim()) ||
+      (next !== undefined && /^\s*([.?:|&+\-*/]|=>)/.test(next));
+    if (depth <= 0 && !open && !continues) return i;
+  }
+  return lines.length - 1;
+}
+
+// Find the last line of the Python block starting at a line: the last
+// non-blank line before a line indented no deeper than its header
+function findPythonBlockEnd(lines, start) {
+  const indent = lines[start].search(/\S/);
+  let header = start;
+  while (header < lines.length - 1 && !/:\s*(#.*)?$/.test(lines[header])) {
+    header++;
+  }
+  let end = header;
+  for (let i = header + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (lines[i].search(/\S/) <= indent) break;
+    end = i;
+  }
+  return end;
+}
+
+// Parse the outline of a JS/TS or Python file: its functions, classes,
+// variables, types and exports, with the functions declared in functions
+// and the methods of classes below them (depth 1). Returns
+// [{ name, kind, line, start, end, depth }] with 1-based lines, where
+// start includes the comments and decorators just above the declaration,
+// or null for other languages.
+function parseOutline(content, filePath) {
+  const language = DEPENDENCY_LANGUAGES[path.extname(filePath).toLowerCase()];
+  if (language !== "js" && language !== "python") return null;
+  const lines = content.split(/\r?\n/);
+  const python = language === "python";
+  const findEnd = python ? findPythonBlockEnd : findJsStatementEnd;
+  const leading = python ? /^\s*[@#]/ : /^\s*(\/\/|\/\*|\*|@)/;
+
+  const item = (name, kind, i, depth) => {
+    let start = i;
+    while (start > 0 && leading.test(lines[start - 1])) start--;
+    return {
+      name,
+      kind,
+      line: i + 1,
+      start: start + 1,
+      end: findEnd(lines, i) + 1,
+      depth,
+    };
+  };
+  const match = (patterns, text) => {
+    for (const [kind, pattern] of patterns) {
+      const found = text.match(pattern);
+      if (found) return { kind, name: found[1] };
+    }
+    return null;
+  };
+
+  const outline = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s/.test(lines[i])) continue;
+    const found = match(
+      python ? PYTHON_OUTLINE_PATTERNS : JS_OUTLINE_PATTERNS,
+      lines[i]
+    );
+    if (!found) continue;
+    const parent = item(found.name, found.kind, i, 0);
+    outline.push(parent);
+    if (parent.kind !== "class" && parent.kind !== "function") continue;
+
+    // Members: the declarations at the first indentation of the body
+    let indent = null;
+    for (let j = parent.line; j < parent.end; j++) {
+      const text = lines[j].trim();
+      if (!text || leading.test(lines[j])) continue;
+      const lineIndent = lines[j].search(/\S/);
+      if (indent === null) indent = lineIndent;
+      if (lineIndent !== indent) continue;
+      let member;
+      if (python) {
+        member =
+          parent.kind === "class" &&
+          match([PYTHON_OUTLINE_PATTERNS[1]], text);
+        if (member) member.kind = "method";
+      } else if (parent.kind === "class") {
+        const method = text.match(JS_METHOD_PATTERN);
+        if (method && !JS_CONTROL_KEYWORDS.includes(method[1])) {
+          member = { kind: "method", name: method[1] };
+        }
+      } else {
+        member = match(JS_NESTED_FUNCTION_PATTERNS, text);
+      }
+      if (!member) continue;
+      const child = item(member.name, member.kind, j, 1);
+      outline.push(child);
+      j = child.end - 1;
+    }
+    i = parent.end - 1;
+  }
+  return outline;
+}
+
+// Replace the bodies of the functions and methods of a JS/TS file with a
+// comment, keeping their signatures and the rest of the file (see
+// parseOutline). Content of other file types is returned unchanged.
+function removeFunctionBodies(content, filePath) {
+  const language = DEPENDENCY_LANGUAGES[path.extname(filePath).toLowerCase()];
+  if (language !== "js") return content;
+  const lines = content.split("\n");
+  // Variables and exports are functions when their value is one, with
+  // its parameters possibly spread over the lines before the body
+  const isFunction = (item, open) =>
+    item.kind === "function" ||
+    item.kind === "method" ||
+    ((item.kind === "variable" || item.kind === "export") &&
+      JS_FUNCTION_VALUE_PATTERN.test(
+        lines.slice(item.line - 1, open + 1).join(" ")
+      ));
+
+  const output = [];
+  let next = 0; // first line not copied yet (0-based)
+  for (const item of parseOutline(content, filePath)) {
+    if (item.line - 1 < next) continue;
+    // The body starts after the signature's last line, ending with a {
+    let open = item.line - 1;
+    while (open < item.end - 1 && !/\{\s*$/.test(lines[open])) open++;
+    if (!isFunction(item, open)) continue;
+    const bodyLines = item.end - 2 - open;
+    if (bodyLines <= 0) continue;
+    const body = lines.slice(open + 1, item.end - 1).find((l) => l.trim());
+    const indent = body ? body.match(/^\s*/)[0] : "";
+    output.push(
+      ...lines.slice(next, open + 1),
+      `${indent}// ... (${bodyLines} ${bodyLines === 1 ? "line" : "lines"})`
+    );
+    next = item.end - 1;
+  }
+  output.push(...lines.slice(next));
+  return output.join("\n");
+}
+
+// Convert selection rules to the form they are saved in, in the state file
+// and in profiles: paths relative to the project root
+function serializeSelectionRules(root, rules) {
+  const toRelative = (file) =>
+    path.relative(root, file).split(path.sep).join("/");
+  return {
+    include: rules.include.map(toRelative),
+    exclude: rules.exclude.map(toRelative),
+    order: rules.order.map(toRelative),
+    ranges: Object.fromEntries(
+      [...rules.ranges].map(([file, ranges]) => [toRelative(file), ranges])
+    ),
+  };
+}
+
+// Save the selection rules to the project's state file
+function saveSelectionState(root, rules) {
+  const state = {
+    version: 2,
+    savedAt: new Date().toISOString(),
+    gitHead: getGitHead(root),
+    ...serializeSelectionRules(root, rules),
+  };
+  try {
+    ensureStateDir(root);
+    fs.writeFileSync(
+      path.join(getStateDir(root), "state.json"),
+      JSON.stringify(state, null, 2)
+    );
+  } catch (e) {
+    // Read-only project - the selection just won't persist
+  }
+}
+
+// Load the saved selection rules, reconciling them with the files on disk.
+// Paths that were renamed (according to git), with their line ranges and
+// place in the order, are followed to their new path; paths that no
+// longer exist are dropped and listed in missing. Version 1 state files (a
+// list of selected paths) are read as include rules.
+function loadSelectionState(root) {
+  const result = {
+    rules: createSelectionRules(),
+    restored: 0,
+    renamed: [],
+    missing: [],
+  };
+  let state;
+  try {
+    state = JSON.parse(
+      fs.readFileSync(path.join(getStateDir(root), "state.json"), "utf8")
+    );
+  } catch (e) {
+    return result;
+  }
+  if (!state) return result;
+  const include = Array.isArray(state.include)
+    ? state.include
+    : state.selectedFiles;
+  if (!Array.isArray(include)) return result;
+
+  // Find where a saved path is now, or null when it is gone. Each path is
+  // reported once, however many rules it is in.
+  let renames = null;
+  const found = new Map(); // relative path -> full path or null
+  const locate = (relPath) => {
+    if (found.has(relPath)) return found.get(relPath);
+    let fullPath = path.join(root, relPath);
+    if (!fs.existsSync(fullPath)) {
+      if (!renames) renames = getGitRenames(root, state.gitHead);
+      const newPath = renames.get(relPath);
+      if (newPath && fs.existsSync(path.join(root, newPath))) {
+        fullPath = path.join(root, newPath);
+        result.renamed.push({ from: relPath, to: newPath });
+      } else {
+        fullPath = null;
+        result.missing.push(relPath);
+      }
+    }
+    found.set(relPath, fullPath);
+    return fullPath;
+  };
+  const reconcile = (relPaths) => relPaths.map(locate).filter(Boolean);
+
+  result.rules = createSelectionRules(
+    reconcile(include),
+    reconcile(state.exclude || []),
+    reconcile(state.order || []),
+    Object.entries(state.ranges || {})
+      .map(([relPath, ranges]) => [locate(relPath), ranges])
+      .filter(([file]) => file)
+  );
+  result.restored = result.rules.include.length;
+  return result;
+}
+
+// Default settings, overridden by the user and project config files
+const DEFAULT_CONFIG = {
+  budget: null, // token count or model preset (see MODEL_BUDGETS)
+  budgetWarning: 0.8, // fraction of the budget at which the gauge turns yellow
+  tokenizer: null, // active tokenizer (see TOKENIZERS), null for the default
+  compareTokenizers: null, // tokenizers shown side by side, null for defaults
+  tokenizers: {}, // custom tokenizers by name
+  annotation: null, // file list annotation: null, "tokens" or "size"
+  sort: "name", // file list order: "name", "size", "tokens" or "mtime"
+  tree: false, // show the file list as an expandable tree
+  gitBase: null, // base branch for git selections, null to detect it
+  packer: "native", // "native" (built in) or "repomix" (npx repomix)
+  content: "file", // what is packed per file (see CONTENT_MODES)
+  diffContext: 3, // lines of context around changes in diffs
+  previewer: "native", // file preview: "native" (built in) or "bat"
+  scanSecrets: true, // check the selection for secrets before packing
+};
+
+// Context window sizes of common models, usable as budget presets
+const MODEL_BUDGETS = {
+  "gpt-3.5-turbo": 16385,
+  "gpt-4": 8192,
+  "gpt-4-turbo": 128000,
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "gpt-4.1": 1047576,
+  o1: 200000,
+  o3: 200000,
+  "claude-3-haiku": 200000,
+  "claude-3.5-sonnet": 200000,
+  "claude-3.7-sonnet": 200000,
+  "claude-sonnet-4": 200000,
+  "claude-opus-4": 200000,
+  "gemini-1.5-pro": 2097152,
+  "gemini-2.5-pro": 1048576,
+};
+
+// Get the user's cherrypiq directory, holding the user-level config and
+// prompt templates. It is kept apart from ~/.cherrypiq, where cherrypiq
+// is installed, so updating or uninstalling doesn't remove it.
+function getUserConfigDir() {
+  return path.join(getConfigHome(), "cherrypiq");
+}
+
+// Get the path of the user-level config file
+function getUserConfigPath() {
+  return path.join(getUserConfigDir(), "config.json");
+}
+
+// Get the path of the project-level config file
+function getProjectConfigPath(root) {
+  return path.join(getStateDir(root), "config.json");
+}
+
+// Read a JSON config file, returning {} when it is missing
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+// Load the settings for a project: defaults, then the user config, then
+// the project config
+function loadConfig(root) {
+  return {
+    ...DEFAULT_CONFIG,
+    ...readConfigFile(getUserConfigPath()),
+    ...readConfigFile(getProjectConfigPath(root)),
+  };
+}
+
+// Merge changes into the project config file
+function saveProjectConfig(root, changes) {
+  const configPath = getProjectConfigPath(root);
+  ensureStateDir(root);
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({ ...readConfigFile(configPath), ...changes }, null, 2)
+  );
+}
+
+// Resolve a budget setting to a token count (null when unset).
+// Accepts a number, a string such as "120000" or "128k", or a model preset.
+function resolveBudget(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number" && value > 0) return Math.floor(value);
+
+  const text = String(value).trim().toLowerCase();
+  if (MODEL_BUDGETS[text]) return MODEL_BUDGETS[text];
+
+  const match = text.replace(/[_,]/g, "").match(/^(\d+(?:\.\d+)?)([km]?)$/);
+  if (match && Number(match[1]) > 0) {
+    const multiplier = { "": 1, k: 1000, m: 1000000 }[match[2]];
+    return Math.floor(Number(match[1]) * multiplier);
+  }
+
+  throw new Error(
+    `Invalid budget "${value}". Use a token count (e.g. 100000 or 128k) ` +
+      `or a model: ${Object.keys(MODEL_BUDGETS).join(", ")}`
+  );
+}
+
+// Format a token count compactly (e.g. 950, 12.3k, 1.2M)
+function formatCount(count) {
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k`;
+  return `${(count / 1000000).toFixed(1)}M`;
+}
+
+// Format a file size (e.g. 512 B, 4.5 KB, 1.2 MB)
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Render a text gauge of tokens used against a budget
+function formatBudgetGauge(tokens, budget, warning, width = 20) {
+  const ratio = tokens / budget;
+  const filled = Math.min(width, Math.round(ratio * width));
+  const color = ratio > 1 ? "red" : ratio >= warning ? "yellow" : "green";
+  return (
+    `{${color}-fg}${"█".repeat(filled)}{/${color}-fg}` +
+    `${"░".repeat(width - filled)} ` +
+    `{${color}-fg}${Math.round(ratio * 100)}%{/${color}-fg}`
+  );
+}
+
+// List every non-ignored file under dir, recursively.
+// With options.includeIgnored, ignored files are listed too (except .git
+// and the state directory). With options.directories (an array), every
+// directory listed is added to it.
+async function listProjectFiles(dir, gitignorePatterns, options = {}) {
+  const files = [];
+  const items = await getDirectoryContent(dir, gitignorePatterns);
+  if (options.directories) options.directories.push(dir);
+  for (const item of items) {
+    if (
+      item.ignored &&
+      (!options.includeIgnored ||
+        item.name === ".git" ||
+        item.name === STATE_DIR_NAME)
+    ) {
+      continue;
+    }
+    if (item.isDir) {
+      const dirFiles = await listProjectFiles(
+        item.path,
+        gitignorePatterns,
+        options
+      );
+      for (const file of dirFiles) files.push(file);
+    } else {
+      files.push(item.path);
+    }
+  }
+  return files;
+}
+
+// Fuzzy-match a query against a path. Returns { score, positions } (higher
+// scores are better matches) or null when the query's characters don't
+// all appear in order. Matches at the start of a word, consecutive matches
+// and matches in the file name score higher.
+function fuzzyMatch(query, target) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = target.toLowerCase();
+  if (!needle) return { score: 0, positions: [] };
+
+  const nameStart = target.lastIndexOf("/") + 1;
+  const isWordStart = (i) =>
+    i === 0 ||
+    "/_-. ".includes(target[i - 1]) ||
+    (/[a-z]/.test(target[i - 1]) && /[A-Z]/.test(target[i]));
+
+  // Try each occurrence of the first character as the start of the match
+  let best = null;
+  let start = haystack.indexOf(needle[0]);
+  while (start !== -1) {
+    const positions = [start];
+    let score = 0;
+    for (let i = 1, at = start; i < needle.length; i++) {
+      at = haystack.indexOf(needle[i], at + 1);
+      if (at === -1) {
+        score = null;
+        break;
+      }
+      positions.push(at);
+    }
+    if (score === null) break; // Later starts can't match either
+
+    positions.forEach((at, i) => {
+      score += 1;
+      if (isWordStart(at)) score += 5;
+      if (i > 0 && positions[i - 1] === at - 1) score += 4;
+      if (at >= nameStart) score += 2;
+      if (i > 0) score -= (at - positions[i - 1] - 1) * 0.1;
+    });
+    score -= target.length * 0.01;
+
+    if (!best || score > best.score) best = { score, positions };
+    start = haystack.indexOf(needle[0], start + 1);
+  }
+  return best;
+}
+
+// Content search skips files larger than this
+const SEARCH_MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+// Build the regex for a content search. Plain patterns are matched
+// literally; throws on an invalid regex.
+function buildSearchRegex(pattern, options = {}) {
+  const source = options.regex
+    ? pattern
+    : pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(source, options.caseSensitive ? "g" : "gi");
+}
+
+// Search a file's contents line by line. Returns { count, snippets } where
+// snippets holds up to maxSnippets { line, text, ranges } entries, or null
+// when nothing matches. Binary and oversized files are skipped.
+async function searchFileContents(filePath, regex, maxSnippets = 5) {
+  const stats = await stat(filePath);
+  if (stats.size > SEARCH_MAX_FILE_SIZE) return null;
+  const buffer = await readFile(filePath);
+  if (isBinaryContent(buffer)) return null;
+
+  let count = 0;
+  const snippets = [];
+  buffer
+    .toString("utf8")
+    .split(/\r?\n/)
+    .forEach((text, i) => {
+      const ranges = [];
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text))) {
+        ranges.push([match.index, match.index + match[0].length]);
+        // Avoid looping forever on empty matches
+        if (!match[0].length) regex.lastIndex++;
+      }
+      if (!ranges.length) return;
+      count += ranges.length;
+      if (snippets.length < maxSnippets) {
+        snippets.push({ line: i + 1, text, ranges });
+      }
+    });
+  return count ? { count, snippets } : null;
+}
+
+// Source files whose imports can be followed, by extension
+const DEPENDENCY_LANGUAGES = {
+  ".js": "js",
+  ".jsx": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+  ".ts": "js",
+  ".tsx": "js",
+  ".mts": "js",
+  ".cts": "js",
+  ".py": "python",
+  ".go": "go",
+};
+
+// Extensions tried, in order, for JS/TS imports that leave them out
+const JS_RESOLVE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+  ".json",
+];
+
+// Find the modules a source file imports: import/export ... from, import
+// and require() in JS/TS; import and from ... import in Python, where each
+// imported name may also be a submodule; import in Go
+function parseImports(content, language) {
+  const specifiers = [];
+  const collect = (text, regex) => {
+    for (const match of text.matchAll(regex)) specifiers.push(match[1]);
+  };
+  // "a as b, c" -> ["a", "c"]
+  const names = (list) =>
+    list
+      .replace(/[()\\]/g, "")
+      .split(",")
+      .map((name) => name.trim().split(/\s+as\s+/)[0])
+      .filter((name) => name && name !== "*");
+
+  if (language === "js") {
+    const code = content
+      .replace(/\/\*[\s\S]*?\*\//g, "")
+      .replace(/^\s*\/\/.*$/gm, "");
+    collect(
+      code,
+      /\b(?:import|export)\s[^;"'`]*?\bfrom\s*["']([^"'\n]+)["']/g
+    );
+    collect(code, /\bimport\s*["']([^"'\n]+)["']/g);
+    collect(code, /\b(?:require|import)\s*\(\s*["']([^"'\n]+)["']\s*\)/g);
+  } else if (language === "python") {
+    for (const match of content.matchAll(/^[ \t]*import[ \t]+([\w. \t,]+)/gm)) {
+      specifiers.push(...names(match[1]));
+    }
+    for (const match of content.matchAll(
+      /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n#]+)/gm
+    )) {
+      const module = match[1];
+      specifiers.push(module);
+      for (const name of names(match[2])) {
+        specifiers.push(
+          module.endsWith(".") ? module + name : `${module}.${name}`
+        );
+      }
+    }
+  } else if (language === "go") {
+    for (const match of content.matchAll(/^import\s*\(([\s\S]*?)\)/gm)) {
+      collect(match[1], /"([^"\n]+)"/g);
+    }
+    collect(content, /^import\s+(?:[\w.]+\s+)?"([^"\n]+)"/gm);
+  }
+  return specifiers;
+}
+
+// Parse JSON that may contain comments and trailing commas, as
+// tsconfig.json does
+function parseJsonWithComments(text) {
+  return JSON.parse(
+    text
+      .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (m, str) =>
+        str ? str : ""
+      )
+      .replace(/,(\s*[}\]])/g, "$1")
+  );
+}
+
+// Read the module aliases of the project's tsconfig.json (or
+// jsconfig.json), following relative "extends". Returns { baseUrl, paths,
+// pathsBase } where paths maps patterns such as "@/*" to targets relative
+// to pathsBase.
+function readTsconfigPaths(root) {
+  for (const name of ["tsconfig.json", "jsconfig.json"]) {
+    let file = path.join(root, name);
+    if (!fs.existsSync(file)) continue;
+
+    let baseUrl = null;
+    let paths = null;
+    let pathsDir = root;
+    const seen = new Set();
+    while (file && !seen.has(file)) {
+      seen.add(file);
+      let data;
+      try {
+        data = parseJsonWithComments(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        break;
+      }
+      const compilerOptions = data.compilerOptions || {};
+      if (baseUrl === null && typeof compilerOptions.baseUrl === "string") {
+        baseUrl = path.resolve(path.dirname(file), compilerOptions.baseUrl);
+      }
+      if (paths === null && compilerOptions.paths) {
+        paths = compilerOptions.paths;
+        pathsDir = path.dirname(file);
+      }
+      const parent = typeof data.extends === "string" ? data.extends : "";
+      file = parent.startsWith(".")
+        ? path.resolve(
+            path.dirname(file),
+            parent.endsWith(".json") ? parent : `${parent}.json`
+          )
+        : null;
+    }
+    return { baseUrl, paths: paths || {}, pathsBase: baseUrl || pathsDir };
+  }
+  return { baseUrl: null, paths: {}, pathsBase: root };
+}
+
+// Check that a path is an existing file
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+// Find the file a JS/TS import of base refers to: base itself, base with
+// an extension, or an index file in base. TypeScript imports may name the
+// compiled .js file of a .ts source.
+function resolveJsFile(base) {
+  const candidates = [base];
+  const compiled = base.match(/^(.*)\.(m|c)?js$/);
+  if (compiled) {
+    const ts = `.${compiled[2] || ""}ts`;
+    candidates.push(`${compiled[1]}${ts}`, `${compiled[1]}.tsx`);
+  }
+  for (const ext of JS_RESOLVE_EXTENSIONS) candidates.push(base + ext);
+  for (const ext of JS_RESOLVE_EXTENSIONS) {
+    candidates.push(path.join(base, `index${ext}`));
+  }
+  return candidates.find(isFile) || null;
+}
+
+// Resolve a JS/TS import to a file: relative paths, then tsconfig paths
+// aliases and baseUrl. Packages are not followed.
+function resolveJsImport(fromFile, specifier, tsconfig) {
+  if (specifier.startsWith(".")) {
+    return resolveJsFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+
+  for (const [pattern, targets] of Object.entries(tsconfig.paths)) {
+    const star = pattern.indexOf("*");
+    let captured = null;
+    if (star === -1) {
+      if (specifier === pattern) captured = "";
+    } else if (
+      specifier.length >= pattern.length - 1 &&
+      specifier.startsWith(pattern.slice(0, star)) &&
+      specifier.endsWith(pattern.slice(star + 1))
+    ) {
+      captured = specifier.slice(
+        star,
+        specifier.length - (pattern.length - star - 1)
+      );
+    }
+    if (captured === null) continue;
+    for (const target of targets) {
+      const file = resolveJsFile(
+        path.resolve(tsconfig.pathsBase, target.replace("*", captured))
+      );
+      if (file) return file;
+    }
+  }
+
+  return tsconfig.baseUrl
+    ? resolveJsFile(path.resolve(tsconfig.baseUrl, specifier))
+    : null;
+}
+
+// Resolve a Python import (e.g. "pkg.mod", ".sibling" or "..") to a
+// module file or package __init__.py. Absolute imports are looked up from
+// the importing file's directory up to the project root, then from src/.
+function resolvePythonImport(root, fromFile, specifier) {
+  const dots = specifier.match(/^\.*/)[0].length;
+  const parts = specifier.slice(dots).split(".").filter(Boolean);
+  let bases;
+  if (dots > 0) {
+    let dir = path.dirname(fromFile);
+    for (let i = 1; i < dots; i++) dir = path.dirname(dir);
+    bases = [dir];
+  } else {
+    bases = [];
+    let dir = path.dirname(fromFile);
+    while (dir.startsWith(root + path.sep)) {
+      bases.push(dir);
+      dir = path.dirname(dir);
+    }
+    bases.push(root, path.join(root, "src"));
+  }
+  for (const base of bases) {
+    const modulePath = path.join(base, ...parts);
+    const file = [
+      `${modulePath}.py`,
+      path.join(modulePath, "__init__.py"),
+    ].find(isFile);
+    if (file) return file;
+  }
+  return null;
+}
+
+// Find the Go module a directory belongs to, from the nearest go.mod up to
+// the project root: { dir, name } or null
+function findGoModule(root, dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    try {
+      const content = fs.readFileSync(path.join(current, "go.mod"), "utf8");
+      const module = content.match(/^module\s+(\S+)/m);
+      if (module) return { dir: current, name: module[1] };
+    } catch (e) {
+      // No go.mod here - look further up
+    }
+    if (current === root || current === path.dirname(current)) return null;
+  }
+}
+
+// Resolve a Go import of a package in the same module to its source files
+// (tests left out)
+function resolveGoImport(module, specifier) {
+  if (!module) return [];
+  if (specifier !== module.name && !specifier.startsWith(`${module.name}/`)) {
+    return [];
+  }
+  const dir = path.join(module.dir, specifier.slice(module.name.length));
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".go") && !name.endsWith("_test.go"))
+      .map((name) => path.join(dir, name))
+      .filter(isFile);
+  } catch (e) {
+    return [];
+  }
+}
+
+// Create a resolver of the project's dependency graph:
+// - imports(file): the project files a file imports
+// - importers(file): the project files that import it (parses the whole
+//   project the first time)
+// - collect(file, direction, depth): files reached by following "imports"
+//   or "importers" up to depth steps, as a Map of file -> steps, nearest
+//   first
+// Ignored files and files outside the project are left out. Results are
+// cached; create a new resolver to pick up changes.
+function createDependencyResolver(root, gitignorePatterns) {
+  const tsconfig = readTsconfigPaths(root);
+  const goModules = new Map(); // directory -> Go module
+  const imports = new Map(); // file -> Promise of imported files
+  let reverse = null; // Promise of a Map of file -> importers
+
+  async function readImports(file) {
+    const language = DEPENDENCY_LANGUAGES[path.extname(file)];
+    if (!language) return [];
+    let content;
+    try {
+      content = await readFile(file, "utf8");
+    } catch (e) {
+      return [];
+    }
+
+    const dir = path.dirname(file);
+    if (language === "go" && !goModules.has(dir)) {
+      goModules.set(dir, findGoModule(root, dir));
+    }
+    const found = new Set();
+    for (const specifier of parseImports(content, language)) {
+      let files = [];
+      if (language === "js") {
+        files = [resolveJsImport(file, specifier, tsconfig)];
+      } else if (language === "python") {
+        files = [resolvePythonImport(root, file, specifier)];
+      } else {
+        files = resolveGoImport(goModules.get(dir), specifier);
+      }
+      for (const target of files) {
+        if (
+          target &&
+          target !== file &&
+          target.startsWith(root + path.sep) &&
+          !shouldIgnore(target, gitignorePatterns, false)
+        ) {
+          found.add(target);
+        }
+      }
+    }
+    return [...found];
+  }
+
+  function getImports(file) {
+    if (!imports.has(file)) imports.set(file, readImports(file));
+    return imports.get(file);
+  }
+
+  async function getImporters(file) {
+    if (!reverse) {
+      reverse = (async () => {
+        const importers = new Map();
+        for (const source of await listProjectFiles(root, gitignorePatterns)) {
+          if (!DEPENDENCY_LANGUAGES[path.extname(source)]) continue;
+          for (const target of await getImports(source)) {
+            if (!importers.has(target)) importers.set(target, []);
+            importers.get(target).push(source);
+          }
+        }
+        return importers;
+      })();
+    }
+    return (await reverse).get(file) || [];
+  }
+
+  async function collect(file, direction, depth) {
+    const found = new Map();
+    const visited = new Set([file]);
+    let frontier = [file];
+    for (let step = 1; step <= depth && frontier.length > 0; step++) {
+      const next = [];
+      for (const current of frontier) {
+        const neighbours =
+          direction === "importers"
+            ? await getImporters(current)
+            : await getImports(current);
+        for (const neighbour of neighbours) {
+          if (visited.has(neighbour)) continue;
+          visited.add(neighbour);
+          found.set(neighbour, step);
+          next.push(neighbour);
+        }
+      }
+      frontier = next;
+    }
+    return found;
+  }
+
+  return { imports: getImports, importers: getImporters, collect };
+}
+
+// Load the project's named selection profiles
+function loadProfiles(root) {
+  try {
+    const data = JSON.parse(
+      fs.readFileSync(path.join(getStateDir(root), "profiles.json"), "utf8")
+    );
+    return {
+      active: data.active || null,
+      profiles: data.profiles || {},
+    };
+  } catch (e) {
+    return { active: null, profiles: {} };
+  }
+}
+
+// Save the project's named selection profiles
+function saveProfiles(root, data) {
+  ensureStateDir(root);
+  fs.writeFileSync(
+    path.join(getStateDir(root), "profiles.json"),
+    JSON.stringify({ version: 2, ...data }, null, 2)
+  );
+}
+
+// Build a profile from selection rules (see serializeSelectionRules),
+// keeping the globs of an older version
+function createProfile(root, rules, previous = {}) {
+  return {
+    rules: serializeSelectionRules(root, rules),
+    include: previous.include || [],
+    exclude: previous.exclude || [],
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Resolve a profile to selection rules and the files they select (see
+// resolveSelection): its saved rules whose paths still exist, with every
+// non-ignored file matching an include glob selected and every file
+// matching an exclude glob deselected. Like the files of a selected
+// directory, files classify marks as skipped are only selected by an
+// include naming their path, without wildcards. Paths listed in
+// selectedFiles (how older versions saved profiles) are included too.
+// Resolves to { rules, files }.
+async function resolveProfile(
+  root,
+  profile,
+  gitignorePatterns,
+  classify = null
+) {
+  const saved = profile.rules || {};
+  const include = profile.include || [];
+  const exclude = profile.exclude || [];
+  const toRelative = (file) =>
+    path.relative(root, file).split(path.sep).join("/");
+  const matches = (file, patterns) =>
+    patterns.some((pattern) => minimatch(toRelative(file), pattern));
+  const existing = (relPaths) =>
+    (relPaths || [])
+      .map((relPath) => path.join(root, relPath))
+      .filter((file) => fs.existsSync(file));
+
+  let rules = createSelectionRules(
+    existing([...(saved.include || []), ...(profile.selectedFiles || [])]),
+    existing(saved.exclude),
+    existing(saved.order),
+    Object.entries(saved.ranges || {})
+      .map(([relPath, ranges]) => [path.join(root, relPath), ranges])
+      .filter(([file]) => fs.existsSync(file))
+  );
+  if (include.length > 0) {
+    const projectFiles = await listProjectFiles(root, gitignorePatterns);
+    const literals = include.filter((pattern) => !/[*?[\]{}!]/.test(pattern));
+    const matched = projectFiles.filter(
+      (file) => matches(file, include) && !isPathSelected(rules, file)
+    );
+    const kinds = classify ? await classifyFiles(classify, matched) : null;
+    const globbed = matched.filter(
+      (file) => !kinds || !kinds.get(file) || matches(file, literals)
+    );
+    rules = createSelectionRules(
+      [...rules.include, ...globbed],
+      rules.exclude,
+      rules.order,
+      rules.ranges
+    );
+  }
+
+  const files = [];
+  for (const file of await resolveSelection(
+    rules,
+    gitignorePatterns,
+    classify
+  )) {
+    if (matches(file, exclude)) rules = setPathSelected(rules, file, false);
+    else files.push(file);
+  }
+  return { rules, files };
+}
+
+// Built-in tokenizers. Each entry is either an encoding from gpt-tokenizer,
+// an offline characters-per-token ratio, or the basic token estimate.
+// Custom ones can be added under "tokenizers" in the config, including
+// { "module": "./path.js" } for a module exporting countTokens(text).
+const TOKENIZERS = {
+  o200k_base: { label: "o200k", encoding: "o200k_base" }, // GPT-4o, o1, o3
+  cl100k_base: { label: "cl100k", encoding: "cl100k_base" }, // GPT-3.5/4
+  p50k_base: { label: "p50k", encoding: "p50k_base" }, // Codex
+  claude: { label: "Claude~", charsPerToken: 3.5 },
+  estimate: { label: "Estimate", heuristic: true },
+};
+
+// Tokenizer used when none is configured
+const DEFAULT_TOKENIZER = "cl100k_base";
+
+// Tokenizers shown side by side in the token panel by default
+const DEFAULT_COMPARE_TOKENIZERS = ["o200k_base", "cl100k_base", "claude"];
+
+// The active tokenizer registry (built-ins plus custom ones from config)
+let tokenizers = { ...TOKENIZERS };
+const tokenCounters = new Map(); // tokenizer name -> { count, exact }
+
+// Add the custom tokenizers of a config to the registry.
+// Module paths are resolved relative to the project root.
+function registerTokenizers(config, root) {
+  tokenizers = { ...TOKENIZERS };
+  tokenCounters.clear();
+  for (const [name, entry] of Object.entries(config.tokenizers || {})) {
+    tokenizers[name] = {
+      label: name,
+      ...entry,
+      module: entry.module ? path.resolve(root, entry.module) : undefined,
+    };
+  }
+}
+
+// Check that a tokenizer name exists, throwing a helpful error if not
+function validateTokenizer(name) {
+  if (!tokenizers[name]) {
+    throw new Error(
+      `Unknown tokenizer "${name}". Available: ${Object.keys(tokenizers).join(", ")}`
+    );
+  }
+  return name;
+}
+
+// Basic token estimate for when no real tokenizer is available
+function estimateTokens(content) {
+  const noComments = content
+    .replace(/\/\*[\s\S]*?\*\//g, "") // Remove multi-line comments
+    .replace(/\/\/.*/g, ""); // Remove single-line comments
+
+  return noComments
+    .replace(/([{}()\[\].,;=+\-*/<>!&|%^~?:])/g, " $1 ")
+    .replace(/'[^']*'|"[^"]*"|`[^`]*`/g, (match) => match.replace(/\s/g, ""))
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .filter((token) => token.length > 0).length;
+}
+
+// Get the token counter for a tokenizer: { count(text), exact }.
+// Falls back to the basic estimate when the tokenizer can't be loaded
+// (e.g. gpt-tokenizer isn't installed).
+function getTokenCounter(name) {
+  if (tokenCounters.has(name)) return tokenCounters.get(name);
+
+  const entry = tokenizers[name] || tokenizers[DEFAULT_TOKENIZER];
+  let counter = { count: estimateTokens, exact: false };
+  try {
+    if (entry.encoding) {
+      const encoding = require(`gpt-tokenizer/encoding/${entry.encoding}`);
+      counter = { count: (text) => encoding.countTokens(text), exact: true };
+    } else if (entry.module) {
+      const custom = require(entry.module);
+      const count = custom.countTokens
+        ? (text) => custom.countTokens(text)
+        : (text) => custom.encode(text).length;
+      counter = { count, exact: true };
+    } else if (entry.charsPerToken) {
+      counter = {
+        count: (text) => Math.ceil(text.length / entry.charsPerToken),
+        exact: false,
+      };
+    }
+  } catch (e) {
+    // Tokenizer not available - will use basic counting
+  }
+
+  tokenCounters.set(name, counter);
+  return counter;
+}
+
+// Get the label of a tokenizer for display, marking estimates
+function getTokenizerLabel(name) {
+  const entry = tokenizers[name] || { label: name };
+  const { exact } = getTokenCounter(name);
+  return exact || entry.label.endsWith("~") ? entry.label : `${entry.label}~`;
+}
+
+// Count the lines, characters and tokens of text.
+// tokens is the count of the first tokenizer; counts has one per tokenizer.
+function countText(content, tokenizerNames = [DEFAULT_TOKENIZER]) {
+  // Count non-empty lines
+  const lines = content.split("\n").filter((line) => line.trim());
+
+  // Count characters excluding whitespace
+  const chars = content.replace(/\s+/g, "").length;
+
+  const counts = {};
+  for (const name of tokenizerNames) {
+    counts[name] = getTokenCounter(name).count(content);
+  }
+
+  return {
+    lines: lines.length,
+    tokens: counts[tokenizerNames[0]],
+    chars: chars,
+    counts,
+  };
+}
+
+// Calculate token count for a file (see countText), as it is or processed
+// as transforms say (see getFileTransforms). Binary files count as empty,
+// since they aren't packed.
+async function calculateTokenCount(
+  filePath,
+  tokenizerNames = [DEFAULT_TOKENIZER],
+  transforms = null
+) {
+  try {
+    const buffer = await readFile(filePath);
+    if (!isBinaryContent(buffer)) {
+      const content = buffer.toString("utf8");
+      return countText(
+        transforms
+          ? processFileContent(content, filePath, transforms)
+          : content,
+        tokenizerNames
+      );
+    }
+  } catch (error) {
+    // Unreadable - counts as empty
+  }
+  const counts = {};
+  for (const name of tokenizerNames) counts[name] = 0;
+  return { lines: 0, tokens: 0, chars: 0, counts };
+}
+
+// Sum per-file statistics (a Map of file -> stats from getStats) over a
+// list of files. tokens is the total of the first tokenizer.
+function sumTokenCounts(files, statsByFile, tokenizerNames) {
+  const totals = { lines: 0, tokens: 0, chars: 0, counts: {} };
+  for (const name of tokenizerNames) totals.counts[name] = 0;
+  for (const file of files) {
+    const stats = statsByFile.get(file);
+    if (!stats) continue;
+    totals.lines += stats.lines;
+    totals.chars += stats.chars;
+    for (const name of tokenizerNames) {
+      totals.counts[name] += stats.counts[name] || 0;
+    }
+  }
+  totals.tokens = totals.counts[tokenizerNames[0]];
+  return totals;
+}
+
+// Count what is emitted for files in a diff content mode (see
+// formatDiffContent), given the statistics of their diffs (see
+// createDiffStats) and of the files themselves. Returns a Map of file ->
+// statistics like getStats.
+function countDiffContent(diffStats, fileStats, mode, tokenizerNames) {
+  const result = new Map();
+  for (const [file, diff] of diffStats) {
+    const own = fileStats.get(file);
+    if (mode !== "diff+file" || !own) {
+      result.set(file, diff);
+      continue;
+    }
+    const stats = {
+      lines: diff.lines + own.lines,
+      chars: diff.chars + own.chars,
+      counts: {},
+    };
+    for (const name of tokenizerNames) {
+      stats.counts[name] = (diff.counts[name] || 0) + (own.counts[name] || 0);
+    }
+    stats.tokens = stats.counts[tokenizerNames[0]];
+    result.set(file, stats);
+  }
+  return result;
+}
+
+// Number of files counted per worker job
+const TOKEN_JOB_SIZE = 32;
+
+// Number of files stat'ed at once when validating the cache
+const STAT_BATCH_SIZE = 256;
+
+// Entry point of a token counting worker thread. A job has files (with
+// their transforms) or texts to count, and results are keyed by file or by
+// the text's index.
+function runTokenWorker() {
+  registerTokenizers(workerData.config, workerData.root);
+  parentPort.on("message", async (job) => {
+    const { files, texts, tokenizerNames, transforms } = job;
+    if (texts) {
+      parentPort.postMessage(
+        texts.map((text, i) => [i, countText(text, tokenizerNames)])
+      );
+      return;
+    }
+    const results = [];
+    for (const [i, file] of files.entries()) {
+      results.push([
+        file,
+        await calculateTokenCount(file, tokenizerNames, transforms[i]),
+      ]);
+    }
+    parentPort.postMessage(results);
+  });
+}
+
+// Create a pool of worker threads counting tokens, so big selections don't
+// block the UI. count(files, tokenizerNames, transforms) resolves to a Map
+// of file -> stats; transforms has each file's (see calculateTokenCount).
+// countTexts(texts, tokenizerNames) resolves to a Map of index -> stats.
+function createTokenWorkerPool(size, config, root) {
+  const slots = [];
+  const queue = [];
+
+  // Hand queued jobs to idle workers
+  function dispatch() {
+    for (const slot of slots) {
+      if (slot.dead || slot.job || queue.length === 0) continue;
+      slot.job = queue.shift();
+      slot.worker.ref(); // Keep the process alive while a job is running
+      slot.worker.postMessage(slot.job.message);
+    }
+    if (slots.every((slot) => slot.dead)) {
+      queue.splice(0).forEach((job) => job.reject(new Error("No workers")));
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    const slot = {
+      worker: new Worker(__filename, {
+        workerData: { config: { tokenizers: config.tokenizers || {} }, root },
+      }),
+      job: null,
+      dead: false,
+    };
+    slot.worker.unref();
+    slot.worker.on("message", (results) => {
+      const job = slot.job;
+      slot.job = null;
+      slot.worker.unref();
+      job.resolve(new Map(results));
+      dispatch();
+    });
+    slot.worker.on("error", (err) => {
+      slot.dead = true;
+      if (slot.job) slot.job.reject(err);
+      slot.job = null;
+      dispatch();
+    });
+    slots.push(slot);
+  }
+
+  // Queue a job for the next idle worker
+  function run(message) {
+    return new Promise((resolve, reject) => {
+      queue.push({ message, resolve, reject });
+      dispatch();
+    });
+  }
+
+  return {
+    count(files, tokenizerNames, transforms) {
+      return run({ files, tokenizerNames, transforms });
+    },
+    countTexts(texts, tokenizerNames) {
+      return run({ texts, tokenizerNames });
+    },
+    close() {
+      slots.forEach((slot) => slot.worker.terminate());
+    },
+  };
+}
+
+// Version of the token statistics cache, bumped when counting changes
+const TOKEN_CACHE_VERSION = 3;
+
+// Get the path of the project's token statistics cache
+function getTokenCachePath(root) {
+  return path.join(getStateDir(root), "token-cache.json");
+}
+
+// Create the token statistics service of a project.
+// Per-file stats are cached by path, mtime and size, in memory and in
+// .cherrypiq/token-cache.json, so files are only read and tokenized again
+// when they change. Stats of files as they are packed with transforms are
+// cached by the transforms too. Cache misses are counted in a worker pool
+// unless options.workers is false. onChange(listener) calls
+// listener(files) with the files whose stats were counted again.
+function createTokenStats(root, config, options = {}) {
+  const cache = new Map(); // relative path -> { mtimeMs, size, lines, chars, counts }
+  const inFlight = new Map(); // relative path -> Promise of a cache entry
+  const listeners = [];
+  let pool = null;
+  let dirty = false;
+  let saveTimer = null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(getTokenCachePath(root), "utf8"));
+    if (data.version === TOKEN_CACHE_VERSION) {
+      for (const [key, entry] of Object.entries(data.files || {})) {
+        cache.set(key, entry);
+      }
+    }
+  } catch (e) {
+    // No cache yet or unreadable - start empty
+  }
+
+  const toKey = (file) => path.relative(root, file).split(path.sep).join("/");
+  const emptyStats = (tokenizerNames) => ({
+    lines: 0,
+    chars: 0,
+    counts: Object.fromEntries(tokenizerNames.map((name) => [name, 0])),
+  });
+
+  // Get the worker pool, started on first use (null without workers)
+  function getPool() {
+    if (options.workers === false) return null;
+    if (!pool) {
+      const size = Math.max(1, Math.min(4, os.cpus().length - 1));
+      pool = createTokenWorkerPool(size, config, root);
+    }
+    return pool;
+  }
+
+  // Count files in the worker pool, or in-process if it is unavailable
+  async function countFiles(files, tokenizerNames, transforms) {
+    if (getPool()) {
+      try {
+        return await pool.count(files, tokenizerNames, transforms);
+      } catch (e) {
+        // Workers failed - fall back to counting in this thread
+      }
+    }
+    const results = new Map();
+    for (const [i, file] of files.entries()) {
+      results.set(
+        file,
+        await calculateTokenCount(file, tokenizerNames, transforms[i])
+      );
+    }
+    return results;
+  }
+
+  // Get stats for files as a Map of file -> stats, reporting progress as
+  // onProgress(done, total). With outputOptions, the files are counted as
+  // they are packed (see getFileTransforms).
+  async function getStats(
+    files,
+    tokenizerNames,
+    onProgress,
+    outputOptions = null
+  ) {
+    const results = new Map();
+    const misses = [];
+    const waits = [];
+
+    // Validate cached entries against the files on disk
+    for (let i = 0; i < files.length; i += STAT_BATCH_SIZE) {
+      await Promise.all(
+        files.slice(i, i + STAT_BATCH_SIZE).map(async (file) => {
+          let fileStat;
+          try {
+            fileStat = await stat(file);
+          } catch (e) {
+            fileStat = null;
+          }
+          if (!fileStat || !fileStat.isFile()) {
+            results.set(file, emptyStats(tokenizerNames));
+            return;
+          }
+
+          const transforms =
+            outputOptions && getFileTransforms(outputOptions, toKey(file));
+          const key = transforms
+            ? `${toKey(file)}\n${JSON.stringify(transforms)}`
+            : toKey(file);
+          const entry = cache.get(key);
+          const fresh =
+            entry &&
+            entry.mtimeMs === fileStat.mtimeMs &&
+            entry.size === fileStat.size;
+          if (
+            fresh &&
+            tokenizerNames.every((name) => entry.counts[name] !== undefined)
+          ) {
+            results.set(file, entry);
+          } else if (inFlight.has(key)) {
+            waits.push({ file, key });
+          } else {
+            misses.push({
+              file,
+              key,
+              transforms,
+              mtimeMs: fileStat.mtimeMs,
+              size: fileStat.size,
+              previousCounts: fresh ? entry.counts : {},
+            });
+          }
+        })
+      );
+    }
+
+    let done = results.size;
+    if (onProgress) onProgress(done, files.length);
+
+    // Count the misses in jobs, sharing them with concurrent callers
+    const jobs = [];
+    for (let i = 0; i < misses.length; i += TOKEN_JOB_SIZE) {
+      const job = misses.slice(i, i + TOKEN_JOB_SIZE);
+      const counted = countFiles(
+        job.map((miss) => miss.file),
+        tokenizerNames,
+        job.map((miss) => miss.transforms)
+      )
+        .then((stats) => {
+          for (const miss of job) {
+            const fileStats = stats.get(miss.file);
+            cache.set(miss.key, {
+              mtimeMs: miss.mtimeMs,
+              size: miss.size,
+              lines: fileStats.lines,
+              chars: fileStats.chars,
+              counts: { ...miss.previousCounts, ...fileStats.counts },
+            });
+            results.set(miss.file, cache.get(miss.key));
+          }
+          dirty = true;
+          // A failing listener doesn't fail the count
+          for (const listener of listeners) {
+            try {
+              listener(job.map((miss) => miss.file));
+            } catch (e) {
+              // Ignore - the stats are counted and cached
+            }
+          }
+          done += job.length;
+          if (onProgress) onProgress(done, files.length);
+        })
+        .finally(() => {
+          // Failed counts are tried again by the next call
+          for (const miss of job) inFlight.delete(miss.key);
+        });
+      for (const miss of job) {
+        // Concurrent callers wait for the count, and fail with it (handled
+        // here as nobody may be waiting)
+        const entry = counted.then(() => cache.get(miss.key));
+        entry.catch(() => {});
+        inFlight.set(miss.key, entry);
+      }
+      jobs.push(counted);
+    }
+    for (const { file, key } of waits) {
+      jobs.push(
+        inFlight.get(key).then((entry) => {
+          results.set(file, entry || emptyStats(tokenizerNames));
+          done++;
+          if (onProgress) onProgress(done, files.length);
+        })
+      );
+    }
+    await Promise.all(jobs);
+
+    // Entries counted by another caller may lack some tokenizers
+    const incomplete = files.filter((file) =>
+      tokenizerNames.some(
+        (name) => results.get(file).counts[name] === undefined
+      )
+    );
+    if (incomplete.length > 0) {
+      const more = await getStats(
+        incomplete,
+        tokenizerNames,
+        null,
+        outputOptions
+      );
+      for (const [file, fileStats] of more) results.set(file, fileStats);
+    }
+
+    return results;
+  }
+
+  // Count texts that aren't files, such as diffs (see countText), in jobs
+  // in the worker pool, or in-process if it is unavailable. Resolves to
+  // their stats in order.
+  async function countTexts(texts, tokenizerNames) {
+    const jobs = [];
+    for (let i = 0; i < texts.length; i += TOKEN_JOB_SIZE) {
+      const job = texts.slice(i, i + TOKEN_JOB_SIZE);
+      jobs.push(
+        (async () => {
+          if (getPool()) {
+            try {
+              const stats = await pool.countTexts(job, tokenizerNames);
+              return job.map((text, j) => stats.get(j));
+            } catch (e) {
+              // Workers failed - fall back to counting in this thread
+            }
+          }
+          return job.map((text) => countText(text, tokenizerNames));
+        })()
+      );
+    }
+    return [].concat(...(await Promise.all(jobs)));
+  }
+
+  // Write the cache to disk if it changed
+  function save() {
+    clearTimeout(saveTimer);
+    if (!dirty) return;
+    try {
+      ensureStateDir(root);
+      fs.writeFileSync(
+        getTokenCachePath(root),
+        JSON.stringify({
+          version: TOKEN_CACHE_VERSION,
+          files: Object.fromEntries(cache),
+        })
+      );
+      dirty = false;
+    } catch (e) {
+      // Read-only project - the cache just won't persist
+    }
+  }
+
+  // Save the cache shortly, batching bursts of updates
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, 2000);
+    saveTimer.unref();
+  }
+
+  return {
+    getStats,
+    countTexts,
+    save,
+    scheduleSave,
+    onChange(listener) {
+      listeners.push(listener);
+    },
+    close() {
+      save();
+      if (pool) pool.close();
+    },
+  };
+}
+
+// Create the recursive totals (tokens, size and latest mtime) of
+// directories, counted with tokenStats. getTotal(dir, tokenizer) lists the
+// directory's files once and keeps the list while the mtimes of the
+// directories under it are unchanged (an entry was neither added nor
+// removed); the files' stats are always taken from tokenStats, which only
+// counts files that changed.
+function createDirectoryTotals(tokenStats, gitignorePatterns) {
+  const listings = new Map(); // directory -> { dirs: Map of mtimes, files }
+
+  // Check that none of a listing's directories changed
+  async function isFresh(listing) {
+    for (const [dir, mtimeMs] of listing.dirs) {
+      try {
+        if ((await stat(dir)).mtimeMs !== mtimeMs) return false;
+      } catch (e) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Get the files under dir, listing it again when it changed
+  async function getFiles(dir) {
+    const listing = listings.get(dir);
+    if (listing && (await isFresh(listing))) return listing.files;
+
+    const directories = [];
+    const files = await listProjectFiles(dir, gitignorePatterns, {
+      directories,
+    });
+    const dirs = new Map();
+    for (const listed of directories) {
+      dirs.set(listed, (await stat(listed)).mtimeMs);
+    }
+    listings.set(dir, { dirs, files });
+    return files;
+  }
+
+  async function getTotal(dir, tokenizer) {
+    const files = await getFiles(dir);
+    const stats = await tokenStats.getStats(files, [tokenizer]);
+    const total = { tokens: 0, size: 0, mtimeMs: 0 };
+    for (const fileStats of stats.values()) {
+      total.tokens += fileStats.counts[tokenizer];
+      total.size += fileStats.size || 0;
+      total.mtimeMs = Math.max(total.mtimeMs, fileStats.mtimeMs || 0);
+    }
+    return total;
+  }
+
+  return { getTotal };
+}
+
+// Launch ranger to select files
+function launchRanger() {
+  return new Promise((resolve, reject) => {
+    // Create a temporary file to hold selected paths
+    const tempFile = path.join(process.cwd(), ".repomix-selected-files");
+
+    // Clean previous file if exists
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+
+    console.log(
+      "Launching ranger. Select files with space, then quit with q to return to cherrypiq."
+    );
+
+    // Launch ranger with a custom script to handle selection
+    const rangerScript = `
+      map <space> chain mark_files toggle=True; eval fm.copy(); eval [ for f in fm.copied_files: open(\"${tempFile}\", \"a\").write(f.path + \"\\n\") ]
+    `;
+
+    const scriptPath = path.join(process.cwd(), ".repomix-ranger-rc.conf");
+    fs.writeFileSync(scriptPath, rangerScript);
+
+    const ranger = spawn("ranger", ["--cmd", `source ${scriptPath}`], {
+      stdio: "inherit",
+    });
+
+    ranger.on("close", (code) => {
+      // Clean up the script
+      if (fs.existsSync(scriptPath)) {
+        fs.unlinkSync(scriptPath);
+      }
+
+      // Read selected files
+      if (fs.existsSync(tempFile)) {
+        try {
+          const selections = fs
+            .readFileSync(tempFile, "utf8")
+            .split("\n")
+            .filter((line) => line.trim());
+
+          fs.unlinkSync(tempFile);
+          resolve(selections);
+        } catch (e) {
+          reject(new Error("Failed to read selected files from ranger"));
+        }
+      } else {
+        resolve([]);
+      }
+    });
+  });
+}
+
+// Build the repomix arguments selecting files: { args, input }.
+// Patterns generated from selection rules ({ include, ignore }) are passed
+// as --include/--ignore when given; repomix splits those on commas, so
+// otherwise the selected files are listed on its stdin (--stdin).
+function getRepomixSelectionArgs(selectedFiles, patterns) {
+  const globs = patterns ? [...patterns.include, ...patterns.ignore] : [];
+  if (patterns && !globs.some((glob) => glob.includes(","))) {
+    const args = ["--include", patterns.include.join(",")];
+    if (patterns.ignore.length > 0) {
+      args.push("--ignore", patterns.ignore.join(","));
+    }
+    return { args, input: null };
+  }
+
+  // List the files relative to the project
+  const relativePaths = selectedFiles.map((file) =>
+    path.relative(process.cwd(), file)
+  );
+  return { args: ["--stdin"], input: `${relativePaths.join("\n")}\n` };
+}
+
+// Output styles of repomix. header matches the first line(s) of a file
+// section; end finds where the last section ends; parts splits a section
+// (without its trailing blank lines) into head, file content and tail.
+const REPOMIX_STYLES = [
+  {
+    name: "xml",
+    header: /^<file path="(.*)">$/gm,
+    end: (content) => content.lastIndexOf("</files>"),
+    parts: (text) => {
+      const headEnd = text.indexOf("\n") + 1;
+      const tailStart = text.lastIndexOf("\n</file>");
+      return [text.slice(0, headEnd), text.slice(headEnd, tailStart), text.slice(tailStart)];
+    },
+  },
+  {
+    name: "markdown",
+    header: /^## File: (.*)$/gm,
+    // The last section ends after its code fence and a blank line
+    end: (content, start) => {
+      const fenceStart = content.indexOf("\n", start) + 1;
+      const fence = content.slice(fenceStart).match(/^`+/);
+      if (!fence) return -1;
+      const close = content.indexOf(`\n${fence[0]}\n`, fenceStart);
+      return close === -1 ? -1 : close + fence[0].length + 3;
+    },
+    parts: (text) => {
+      const headEnd = text.indexOf("\n", text.indexOf("\n") + 1) + 1;
+      const tailStart = text.lastIndexOf("\n");
+      return [text.slice(0, headEnd), text.slice(headEnd, tailStart), text.slice(tailStart)];
+    },
+  },
+  {
+    name: "plain",
+    header: /^={16}\nFile: (.*)\n={16}$/gm,
+    end: (content, start) => {
+      const next = content.indexOf(`\n${"=".repeat(64)}\n`, start);
+      return next === -1 ? content.length : next + 1;
+    },
+    parts: (text) => {
+      const headEnd = text.split("\n", 3).join("\n").length + 1;
+      return [text.slice(0, headEnd), text.slice(headEnd), ""];
+    },
+  },
+];
+
+// Split repomix output into the sections of the given files (relative
+// paths). Returns { style, prefix, sections: [{ path, text }], gap, suffix }
+// where gap separates sections, or null for output in another style.
+function splitRepomixOutput(content, paths) {
+  const wanted = new Set(paths);
+  for (const style of REPOMIX_STYLES) {
+    const starts = [];
+    const seen = new Set();
+    for (const match of content.matchAll(style.header)) {
+      if (wanted.has(match[1]) && !seen.has(match[1])) {
+        seen.add(match[1]);
+        starts.push({ path: match[1], index: match.index });
+      }
+    }
+    if (starts.length === 0) continue;
+    const last = starts[starts.length - 1].index;
+    const end = style.end(content, last);
+    if (end < last) return null;
+
+    const sections = starts.map((start, i) => ({
+      path: start.path,
+      text: content.slice(
+        start.index,
+        i + 1 < starts.length ? starts[i + 1].index : end
+      ),
+    }));
+
+    // Sections are separated by blank lines; the last one may be followed
+    // by more, which stay at the end
+    const trailing = (text) => text.match(/\n*$/)[0];
+    const gap = trailing(sections[0].text);
+    const extra = trailing(sections[sections.length - 1].text).slice(gap.length);
+    for (const section of sections) {
+      section.text = section.text.replace(/\n*$/, "");
+    }
+    return {
+      style,
+      prefix: content.slice(0, starts[0].index),
+      sections,
+      gap,
+      suffix: extra + content.slice(end),
+    };
+  }
+  return null;
+}
+
+// Put split repomix output back together
+function joinRepomixOutput(parts) {
+  return (
+    parts.prefix +
+    parts.sections.map((section) => section.text + parts.gap).join("") +
+    parts.suffix
+  );
+}
+
+// Move the file sections of repomix output into the order of the given
+// relative paths; repomix always sorts them by path
+function reorderRepomixOutput(content, order) {
+  const parts = splitRepomixOutput(content, order);
+  if (!parts) return content;
+  const rank = new Map(order.map((file, i) => [file, i]));
+  parts.sections.sort((a, b) => rank.get(a.path) - rank.get(b.path));
+  return joinRepomixOutput(parts);
+}
+
+// Replace the file contents in repomix output. replace(relPath, content)
+// returns what to emit for a file; markdown code blocks are marked as
+// diffs when diff is set.
+function replaceRepomixContents(content, paths, replace, diff = false) {
+  const parts = splitRepomixOutput(content, paths);
+  if (!parts) return content;
+  for (const section of parts.sections) {
+    let [head, body, tail] = parts.style.parts(section.text);
+    if (diff && parts.style.name === "markdown") {
+      head = head.replace(/^(`+).*\n$/m, "$1diff\n");
+    }
+    section.text = head + replace(section.path, body) + tail;
+  }
+  return joinRepomixOutput(parts);
+}
+
+// Read the output settings of repomix.config.json (style, filePath,
+// headerText, fileSummary, ...), which the built-in packer follows too
+function readRepomixOutputConfig() {
+  try {
+    return (
+      JSON.parse(fs.readFileSync("repomix.config.json", "utf8")).output || {}
+    );
+  } catch (e) {
+    // No repomix config - use the defaults
+    return {};
+  }
+}
+
+// Output options for packing, with repomix's defaults. They are read from
+// the output section of repomix.config.json, and overridden by the output
+// setting of the cherrypiq config.
+const OUTPUT_OPTIONS = {
+  style: "xml", // see OUTPUT_STYLES
+  filePath: null, // null for repomix-output with the style's extension
+  removeComments: false,
+  removeEmptyLines: false,
+  truncateLines: null, // keep only the first lines of each file
+  signaturesOnly: false, // remove function bodies of JS/TS files
+  transforms: {}, // options for files matching a pattern (FILE_TRANSFORMS)
+  showLineNumbers: false,
+  fileSummary: true,
+  directoryStructure: true,
+  headerText: null, // text for the start of the output
+  headerFile: null, // file to read that text from instead
+};
+
+const OUTPUT_STYLES = ["xml", "markdown", "plain"];
+
+// Get the output options for packing (see OUTPUT_OPTIONS)
+function getOutputOptions(config) {
+  return {
+    ...OUTPUT_OPTIONS,
+    ...readRepomixOutputConfig(),
+    ...(config.output || {}),
+  };
+}
+
+// Get the file the output is written to: the configured one, or repomix's
+// default for the style
+function getOutputPath(outputOptions) {
+  if (outputOptions.filePath) return outputOptions.filePath;
+  const extensions = { markdown: "md", plain: "txt" };
+  return `repomix-output.${extensions[outputOptions.style] || "xml"}`;
+}
+
+// Get the header text of the output, reading the header file if one is set
+function getHeaderText(outputOptions) {
+  if (!outputOptions.headerFile) return outputOptions.headerText || "";
+  try {
+    return fs.readFileSync(outputOptions.headerFile, "utf8");
+  } catch (e) {
+    throw new Error(
+      `cannot read header file ${outputOptions.headerFile}: ${e.code || e.message}`
+    );
+  }
+}
+
+// Summarize output options for the status bar: the style and whatever
+// differs from the defaults (e.g. "markdown, no comments, line numbers")
+function describeOutputOptions(outputOptions) {
+  const parts = [outputOptions.style];
+  if (outputOptions.removeComments) parts.push("no comments");
+  if (outputOptions.removeEmptyLines) parts.push("no empty lines");
+  parts.push(...describeTransforms(outputOptions));
+  if (outputOptions.showLineNumbers) parts.push("line numbers");
+  if (outputOptions.fileSummary === false) parts.push("no summary");
+  if (outputOptions.directoryStructure === false) parts.push("no tree");
+  if (outputOptions.headerFile || outputOptions.headerText) {
+    parts.push("header");
+  }
+  return parts.join(", ");
+}
+
+// Build the repomix arguments for output options. repomix reads
+// repomix.config.json too, so only settings that differ from its defaults
+// need passing.
+function getRepomixOutputArgs(outputOptions) {
+  const args = ["--style", outputOptions.style];
+  if (outputOptions.removeComments) args.push("--remove-comments");
+  if (outputOptions.removeEmptyLines) args.push("--remove-empty-lines");
+  if (outputOptions.showLineNumbers) args.push("--output-show-line-numbers");
+  if (outputOptions.fileSummary === false) args.push("--no-file-summary");
+  if (outputOptions.directoryStructure === false) {
+    args.push("--no-directory-structure");
+  }
+  const headerText = getHeaderText(outputOptions).trim();
+  if (headerText) args.push("--header-text", headerText);
+  return args;
+}
+
+// Copy text to the system clipboard. Returns false when no clipboard
+// command is available.
+function copyToClipboard(text) {
+  const commands =
+    process.platform === "darwin"
+      ? [["pbcopy"]]
+      : process.platform === "win32"
+      ? [["clip"]]
+      : [
+          ["wl-copy"],
+          ["xclip", "-selection", "clipboard"],
+          ["xsel", "--clipboard", "--input"],
+        ];
+  return commands.some(([command, ...args]) => {
+    const result = spawnSync(command, args, { input: text });
+    return !result.error && result.status === 0;
+  });
+}
+
+// Run a command without a shell. Its output is passed line by line to
+// options.onLine, except stdout when options.capture is set: that is
+// collected instead. options.input is written to its stdin. Resolves to
+// the collected stdout; rejects with the last line of output when the
+// command fails.
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+    let stdout = "";
+    let lastLine = "";
+
+    const emit = (line) => {
+      // Drop colors and spinner control sequences
+      const text = line.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "").trimEnd();
+      if (!text) return;
+      lastLine = text;
+      if (options.onLine) options.onLine(text);
+    };
+    const forward = (stream) => {
+      let partial = "";
+      stream.setEncoding("utf8");
+      stream.on("data", (chunk) => {
+        const lines = (partial + chunk).split(/\r\n|\r|\n/);
+        partial = lines.pop();
+        lines.forEach(emit);
+      });
+      stream.on("end", () => emit(partial));
+    };
+
+    if (options.capture) {
+      child.stdout.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => (stdout += chunk));
+    } else {
+      forward(child.stdout);
+    }
+    forward(child.stderr);
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(
+          new Error(
+            `${command} exited with code ${code}` +
+              (lastLine ? `: ${lastLine}` : "")
+          )
+        );
+      }
+    });
+    // The command may exit without reading its input
+    child.stdin.on("error", () => {});
+    child.stdin.end(options.input || "");
+  });
+}
+
+// Run repomix through npx (see runCommand)
+function runRepomixCommand(args, options = {}) {
+  const npx = process.platform === "win32" ? "npx.cmd" : "npx";
+  return runCommand(npx, ["repomix", ...args], options);
+}
+
+// Run repomix with selected files, writing the output file (and copying
+// it). Resolves to the output path; rejects when repomix fails.
+// options: output (file to write), copy (also copy to the clipboard), log
+// (receives repomix's progress line by line), patterns (include/ignore
+// patterns to pass instead of the files), order (the files in the order
+// to pack them, instead of by path), diff ({ mode, base, context, diffs }:
+// emit the files' diffs against base, see CONTENT_MODES; diffs is a Map of
+// file -> diff as getGitDiffs returns it, taken from git when missing),
+// redact (files whose secrets are redacted, see redactSecrets), ranges (a
+// Map of files to the line ranges to pack of them, see
+// extractLineRanges), instruction (text for the end of the output) and
+// outputOptions (see OUTPUT_OPTIONS)
+async function runRepomix(selectedFiles, options = {}) {
+  const outputOptions = options.outputOptions || getOutputOptions({});
+  const { args, input } = getRepomixSelectionArgs(
+    selectedFiles,
+    options.patterns
+  );
+  args.push(...getRepomixOutputArgs(outputOptions));
+  const outputPath = options.output || getOutputPath(outputOptions);
+  const commandOptions = { input, onLine: options.log };
+
+  // repomix reads instructions from a file
+  let instructionFile = null;
+  if (options.instruction) {
+    instructionFile = path.join(
+      os.tmpdir(),
+      `cherrypiq-instruction-${process.pid}.md`
+    );
+    fs.writeFileSync(instructionFile, options.instruction);
+    args.push("--instruction-file-path", instructionFile);
+  }
+
+  try {
+    const redact = options.redact || [];
+    const ranges = options.ranges || new Map();
+    // repomix can't truncate files, remove function bodies or transform
+    // just some files
+    const transformed =
+      outputOptions.truncateLines ||
+      outputOptions.signaturesOnly ||
+      Object.keys(outputOptions.transforms || {}).length > 0;
+    if (
+      !options.order &&
+      !options.diff &&
+      redact.length === 0 &&
+      ranges.size === 0 &&
+      !transformed
+    ) {
+      args.push("--output", outputPath);
+      if (options.copy) args.push("--copy");
+      await runRepomixCommand(args, commandOptions);
+      return outputPath;
+    }
+
+    // Post-process the output on stdout: cut out line ranges, transform
+    // the files, emit their diffs, redact secrets and put the files in the
+    // chosen order (repomix always sorts them by path)
+    let content = await runRepomixCommand([...args, "--stdout"], {
+      ...commandOptions,
+      capture: true,
+    });
+    const relative = (file) =>
+      path.relative(process.cwd(), file).split(path.sep).join("/");
+
+    if (ranges.size > 0 || transformed) {
+      // Process the files themselves, as repomix may have processed them
+      const ranged = new Map(
+        [...ranges].map(([file, fileRanges]) => [relative(file), fileRanges])
+      );
+      content = replaceRepomixContents(
+        content,
+        selectedFiles.map(relative),
+        (relPath, body) => {
+          if (!ranged.has(relPath) && !transformed) return body;
+          const fileContent = fs.readFileSync(relPath, "utf8");
+          const transforms = getFileTransforms(outputOptions, relPath);
+          return ranged.has(relPath)
+            ? extractLineRanges(
+                fileContent,
+                ranged.get(relPath),
+                relPath,
+                (text, firstLine) =>
+                  processFileContent(text, relPath, transforms, firstLine)
+              )
+            : processFileContent(fileContent, relPath, transforms);
+        }
+      );
+    }
+    if (options.diff) {
+      const { mode, base, context } = options.diff;
+      const diffs = new Map();
+      for (const [file, diff] of options.diff.diffs ||
+        getGitDiffs(process.cwd(), base, selectedFiles, context)) {
+        diffs.set(relative(file), diff);
+      }
+      content = replaceRepomixContents(
+        content,
+        [...diffs.keys()],
+        (relPath, body) =>
+          formatDiffContent(diffs.get(relPath), body, mode, base).replace(
+            /\n$/,
+            ""
+          ),
+        true
+      );
+    }
+    if (redact.length > 0) {
+      // Sections run up to the next listed file, so all files are listed
+      const allowlist = loadSecretsAllowlist(process.cwd());
+      const redacted = new Set(redact.map(relative));
+      content = replaceRepomixContents(
+        content,
+        selectedFiles.map(relative),
+        (relPath, body) =>
+          redacted.has(relPath)
+            ? redactSecrets(body, relPath, allowlist)
+            : body
+      );
+    }
+    if (options.order) {
+      content = reorderRepomixOutput(content, options.order.map(relative));
+    }
+
+    fs.writeFileSync(outputPath, content);
+    if (options.copy && !copyToClipboard(content)) {
+      throw new Error("no clipboard command found");
+    }
+    return outputPath;
+  } finally {
+    if (instructionFile) fs.rmSync(instructionFile, { force: true });
+  }
+}
+
+// Languages of markdown code blocks by file extension, named as repomix
+// names them
+const CODE_BLOCK_LANGUAGES = {
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  mts: "typescript",
+  cts: "typescript",
+  tsx: "typescript",
+  vue: "vue",
+  svelte: "svelte",
+  py: "python",
+  pyi: "python",
+  rb: "ruby",
+  java: "java",
+  kt: "kotlin",
+  kts: "kotlin",
+  scala: "scala",
+  c: "c",
+  h: "c",
+  cpp: "cpp",
+  cc: "cpp",
+  hpp: "cpp",
+  m: "objectivec",
+  cs: "csharp",
+  go: "go",
+  rs: "rust",
+  swift: "swift",
+  php: "php",
+  dart: "dart",
+  hs: "haskell",
+  ex: "elixir",
+  exs: "elixir",
+  erl: "erlang",
+  ml: "ocaml",
+  elm: "elm",
+  r: "r",
+  jl: "julia",
+  zig: "zig",
+  lua: "lua",
+  pl: "perl",
+  sh: "bash",
+  bash: "bash",
+  zsh: "zsh",
+  fish: "fish",
+  ps1: "powershell",
+  bat: "batch",
+  html: "html",
+  htm: "html",
+  css: "css",
+  scss: "scss",
+  sass: "sass",
+  less: "less",
+  json: "json",
+  jsonc: "json",
+  xml: "xml",
+  svg: "xml",
+  yaml: "yaml",
+  yml: "yaml",
+  toml: "toml",
+  ini: "ini",
+  md: "markdown",
+  mdx: "markdown",
+  tex: "latex",
+  sql: "sql",
+  prisma: "prisma",
+  dockerfile: "dockerfile",
+  tf: "hcl",
+  hcl: "hcl",
+  nix: "nix",
+  makefile: "makefile",
+  graphql: "graphql",
+  gql: "graphql",
+  proto: "protobuf",
+  diff: "diff",
+  patch: "diff",
+};
+
+// Separators of the plain output style
+const PLAIN_SEPARATOR = "=".repeat(16);
+const PLAIN_LONG_SEPARATOR = "=".repeat(64);
+
+// Render the directory structure of packed files (relative paths) the way
+// repomix does: directories before files, nested by two spaces
+function formatFileTree(relPaths) {
+  const root = new Map(); // name -> Map of children, or null for a file
+  for (const relPath of relPaths) {
+    const parts = relPath.split("/");
+    let node = root;
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) {
+        if (!node.has(part)) node.set(part, null);
+        return;
+      }
+      if (!node.get(part)) node.set(part, new Map());
+      node = node.get(part);
+    });
+  }
+
+  const render = (node, indent) =>
+    [...node.entries()]
+      .sort(([a, aChildren], [b, bChildren]) =>
+        !aChildren === !bChildren
+          ? a.localeCompare(b)
+          : aChildren
+          ? -1
+          : 1
+      )
+      .map(([name, children]) =>
+        children
+          ? `${indent}${name}/\n${render(children, `${indent}  `)}`
+          : `${indent}${name}\n`
+      )
+      .join("");
+  return render(root, "").trimEnd();
+}
+
+// Format packed files ([{ path, content, language }]) as repomix output in
+// the given style ("xml", "markdown" or "plain"). options: fileSummary and
+// directoryStructure (both on unless false), headerText, notes (extra
+// lines for the summary), instruction (text for the end) and
+// removeComments, removeEmptyLines and showLineNumbers (noted in the
+// summary; the contents are expected to be processed already).
+function formatPackedOutput(files, style, options = {}) {
+  const processing = [
+    options.removeComments && "comments have been removed",
+    options.removeEmptyLines && "empty lines have been removed",
+    options.showLineNumbers && "line numbers have been added",
+  ].filter(Boolean);
+  const header =
+    "This file is a merged representation of a subset of the codebase, " +
+    "containing specifically included files, combined into a single " +
+    "document by cherrypiq." +
+    (processing.length > 0
+      ? `\nThe content has been processed where ${processing.join(", ")}.`
+      : "");
+  const purpose =
+    "This file contains a packed representation of a subset of the " +
+    "repository's contents that is considered the most important context.\n" +
+    "It is designed to be easily consumable by AI systems for analysis, code review,\n" +
+    "or other automated processes.";
+  const fileFormat =
+    "The content is organized as follows:\n" +
+    "1. This summary section\n" +
+    "2. Repository information\n" +
+    "3. Directory structure\n" +
+    "4. Repository files (if enabled)\n" +
+    "5. Multiple file entries, each consisting of:\n";
+  const usage = [
+    "- This file should be treated as read-only. Any changes should be made to the",
+    "  original repository files, not this packed version.",
+    "- When processing this file, use the file path to distinguish",
+    "  between different files in the repository.",
+    "- Be aware that this file may contain sensitive information. Handle it with",
+    "  the same level of security as you would the original repository.",
+    ...(options.headerText
+      ? [
+          "- Pay special attention to the Repository Description. These " +
+            "contain important context and guidelines specific to this project.",
+        ]
+      : []),
+  ].join("\n");
+  const notes = [
+    "- Some files may have been excluded based on .gitignore rules",
+    "- Binary files are not included in this packed representation",
+    "- Only the files selected with cherrypiq are included",
+    ...(options.removeComments
+      ? ["- Code comments have been removed from supported file types"]
+      : []),
+    ...(options.removeEmptyLines
+      ? ["- Empty lines have been removed from all files"]
+      : []),
+    ...(options.showLineNumbers
+      ? ["- Line numbers have been added to the beginning of each line"]
+      : []),
+    ...(options.notes || []).map((note) => `- ${note}`),
+  ].join("\n");
+  const fileSummary = options.fileSummary !== false;
+  const tree =
+    options.directoryStructure !== false
+      ? formatFileTree(files.map((file) => file.path))
+      : null;
+  const headerText = options.headerText ? options.headerText.trim() : "";
+  const instruction = options.instruction ? options.instruction.trim() : "";
+  let output = "";
+
+  if (style === "markdown") {
+    // Fence code blocks with more backticks than any file contains
+    let longest = 0;
+    for (const file of files) {
+      for (const [run] of file.content.matchAll(/`+/g)) {
+        longest = Math.max(longest, run.length);
+      }
+    }
+    const fence = "`".repeat(Math.max(3, longest + 1));
+    if (fileSummary) {
+      output +=
+        `${header}\n\n# File Summary\n\n## Purpose\n${purpose}\n\n` +
+        `## File Format\n${fileFormat}` +
+        "  a. A header with the file path (## File: path/to/file)\n" +
+        "  b. The full contents of the file in a code block\n\n" +
+        `## Usage Guidelines\n${usage}\n\n## Notes\n${notes}\n\n`;
+    }
+    if (headerText) output += `# User Provided Header\n${headerText}\n\n`;
+    if (tree !== null) output += `# Directory Structure\n\`\`\`\n${tree}\n\`\`\`\n\n`;
+    output += "# Files\n\n";
+    for (const file of files) {
+      const language =
+        file.language ||
+        CODE_BLOCK_LANGUAGES[file.path.split(".").pop().toLowerCase()] ||
+        "";
+      output +=
+        `## File: ${file.path}\n${fence}${language}\n` +
+        `${file.content}\n${fence}\n\n`;
+    }
+    if (instruction) output += `\n\n# Instruction\n${instruction}\n`;
+  } else if (style === "plain") {
+    const section = (title) =>
+      `${PLAIN_LONG_SEPARATOR}\n${title}\n${PLAIN_LONG_SEPARATOR}\n`;
+    if (fileSummary) {
+      output +=
+        `${header}\n\n${section("File Summary")}\n` +
+        `Purpose:\n--------\n${purpose}\n\n` +
+        `File Format:\n------------\n${fileFormat}` +
+        "  a. A separator line (================)\n" +
+        "  b. The file path (File: path/to/file)\n" +
+        "  c. Another separator line\n" +
+        "  d. The full contents of the file\n" +
+        "  e. A blank line\n\n" +
+        `Usage Guidelines:\n-----------------\n${usage}\n\n` +
+        `Notes:\n------\n${notes}\n\n\n`;
+    }
+    if (headerText) output += `${section("User Provided Header")}${headerText}\n\n`;
+    if (tree !== null) output += `${section("Directory Structure")}${tree}\n\n`;
+    output += `${section("Files")}\n`;
+    for (const file of files) {
+      output +=
+        `${PLAIN_SEPARATOR}\nFile: ${file.path}\n${PLAIN_SEPARATOR}\n` +
+        `${file.content}\n\n`;
+    }
+    output += instruction
+      ? `\n\n${section("Instruction")}${instruction}\n\n`
+      : "\n\n\n";
+    output += section("End of Codebase");
+  } else {
+    if (fileSummary) {
+      output +=
+        `${header}\n\n<file_summary>\n` +
+        "This section contains a summary of this file.\n\n" +
+        `<purpose>\n${purpose}\n</purpose>\n\n` +
+        `<file_format>\n${fileFormat}` +
+        "  - File path as an attribute\n" +
+        "  - Full contents of the file\n</file_format>\n\n" +
+        `<usage_guidelines>\n${usage}\n</usage_guidelines>\n\n` +
+        `<notes>\n${notes}\n</notes>\n\n</file_summary>\n\n`;
+    }
+    if (headerText) {
+      output += `<user_provided_header>\n${headerText}\n</user_provided_header>\n\n`;
+    }
+    if (tree !== null) {
+      output += `<directory_structure>\n${tree}\n</directory_structure>\n\n`;
+    }
+    output +=
+      "<files>\nThis section contains the contents of the repository's files.\n\n";
+    for (const file of files) {
+      output += `<file path="${file.path}">\n${file.content}\n</file>\n\n`;
+    }
+    output += "</files>\n";
+    if (instruction) {
+      output += `\n\n<instruction>\n${instruction}\n</instruction>\n`;
+    }
+  }
+  return `${output.trim()}\n`;
+}
+
+// Comment syntax by file extension, for removing comments: line comment
+// markers, block comment delimiters ([open, close]), blocks only removed
+// at the start of a line (lineBlock, e.g. Python docstrings), string
+// quotes (nothing inside strings is removed), whether there are regex
+// literals (JS) and a line comment prefix to keep (e.g. Go directives)
+const C_COMMENTS = {
+  line: ["//"],
+  block: [["/*", "*/"]],
+  lineBlock: [],
+  quotes: ['"', "'"],
+};
+const JS_COMMENTS = { ...C_COMMENTS, quotes: ['"', "'", "`"], regex: true };
+const HASH_COMMENTS = {
+  line: ["#"],
+  block: [],
+  lineBlock: [],
+  quotes: ['"', "'"],
+};
+const MARKUP_COMMENTS = {
+  line: [],
+  block: [["<!--", "-->"]],
+  lineBlock: [],
+  quotes: [],
+};
+const COMMENT_SYNTAX = {
+  c: C_COMMENTS,
+  h: C_COMMENTS,
+  cc: C_COMMENTS,
+  cpp: C_COMMENTS,
+  cxx: C_COMMENTS,
+  hpp: C_COMMENTS,
+  cs: C_COMMENTS,
+  java: C_COMMENTS,
+  kt: C_COMMENTS,
+  dart: C_COMMENTS,
+  rs: C_COMMENTS,
+  sol: C_COMMENTS,
+  swift: C_COMMENTS,
+  css: { ...C_COMMENTS, line: [] },
+  less: C_COMMENTS,
+  scss: C_COMMENTS,
+  sass: C_COMMENTS,
+  js: JS_COMMENTS,
+  jsx: JS_COMMENTS,
+  mjs: JS_COMMENTS,
+  cjs: JS_COMMENTS,
+  ts: JS_COMMENTS,
+  tsx: JS_COMMENTS,
+  go: { ...JS_COMMENTS, regex: false, keep: "//go:" },
+  php: { ...C_COMMENTS, line: ["//", "#"] },
+  py: {
+    ...HASH_COMMENTS,
+    lineBlock: [
+      ['"""', '"""'],
+      ["'''", "'''"],
+    ],
+    quotes: ['"""', "'''", '"', "'"],
+  },
+  rb: { ...HASH_COMMENTS, lineBlock: [["=begin", "=end"]] },
+  sh: HASH_COMMENTS,
+  bash: HASH_COMMENTS,
+  yaml: HASH_COMMENTS,
+  yml: HASH_COMMENTS,
+  sql: { ...C_COMMENTS, line: ["--"] },
+  html: MARKUP_COMMENTS,
+  htm: MARKUP_COMMENTS,
+  xml: MARKUP_COMMENTS,
+  svg: MARKUP_COMMENTS,
+};
+
+// Remove the comments from a file's content (see COMMENT_SYNTAX), keeping
+// its line breaks and a leading #! line. Content of other file types is
+// returned unchanged.
+function removeComments(content, filePath) {
+  const syntax =
+    COMMENT_SYNTAX[path.extname(filePath).slice(1).toLowerCase()];
+  if (!syntax) return content;
+  const atLineStart = (i) =>
+    /^[ \t]*$/.test(content.slice(content.lastIndexOf("\n", i - 1) + 1, i));
+
+  let output = "";
+  let i = 0;
+  if (content.startsWith("#!")) {
+    i = content.indexOf("\n") === -1 ? content.length : content.indexOf("\n");
+    output = content.slice(0, i);
+  }
+  while (i < content.length) {
+    const lineBlock = syntax.lineBlock.find(([open]) =>
+      content.startsWith(open, i)
+    );
+    const block =
+      syntax.block.find(([open]) => content.startsWith(open, i)) ||
+      (lineBlock && atLineStart(i) ? lineBlock : null);
+    if (block) {
+      const end = content.indexOf(block[1], i + block[0].length);
+      const stop = end === -1 ? content.length : end + block[1].length;
+      output += content.slice(i, stop).replace(/[^\n]/g, "");
+      i = stop;
+      continue;
+    }
+
+    // A # only starts a comment at the start of a word (not in $# or a#b)
+    const marker = syntax.line.find(
+      (line) =>
+        content.startsWith(line, i) &&
+        (line !== "#" || i === 0 || /\s/.test(content[i - 1]))
+    );
+    if (marker && !(syntax.keep && content.startsWith(syntax.keep, i))) {
+      const end = content.indexOf("\n", i);
+      i = end === -1 ? content.length : end;
+      continue;
+    }
+
+    // Copy regex literals whole, as they may contain quotes or //
+    if (
+      syntax.regex &&
+      content[i] === "/" &&
+      isJsRegexStart(output.slice(output.lastIndexOf("\n") + 1))
+    ) {
+      const lineStart = content.lastIndexOf("\n", i - 1) + 1;
+      const lineEnd = content.indexOf("\n", i);
+      const line = content.slice(
+        lineStart,
+        lineEnd === -1 ? content.length : lineEnd
+      );
+      const end = lineStart + findJsRegexEnd(line, i - lineStart) + 1;
+      output += content.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    // Copy strings whole; single-line quotes end at the line's end
+    const quote = syntax.quotes.find((q) => content.startsWith(q, i));
+    if (quote) {
+      let end = i + quote.length;
+      while (end < content.length && !content.startsWith(quote, end)) {
+        if (content[end] === "\\") end++;
+        else if (content[end] === "\n" && quote.length === 1 && quote !== "`") {
+          break;
+        }
+        end++;
+      }
+      if (content.startsWith(quote, end)) end += quote.length;
+      output += content.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    output += content[i];
+    i++;
+  }
+  return output
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n");
+}
+
+// Process a file's content for packing as its output options say (see
+// getFileTransforms): remove comments, function bodies and empty lines,
+// trim it, cut it to its first lines and number them (from firstLine, for
+// line ranges)
+function processFileContent(content, filePath, outputOptions, firstLine = 1) {
+  let processed = content;
+  if (outputOptions.removeComments) {
+    processed = removeComments(processed, filePath);
+  }
+  if (outputOptions.signaturesOnly) {
+    processed = removeFunctionBodies(processed, filePath);
+  }
+  if (outputOptions.removeEmptyLines) {
+    processed = processed
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .join("\n");
+  }
+  let lines = processed.trim().split("\n");
+  const limit = outputOptions.truncateLines;
+  const truncated = limit && lines.length > limit ? lines.length - limit : 0;
+  if (truncated) lines = lines.slice(0, limit);
+  if (outputOptions.showLineNumbers) {
+    const width = String(lines.length + firstLine - 1).length;
+    lines = lines.map(
+      (line, i) => `${String(i + firstLine).padStart(width)}: ${line}`
+    );
+  }
+  if (truncated) lines.push(`... (${truncated} more lines)`);
+  return lines.join("\n");
+}
+
+// Output options that change the content of files, which can be set for
+// some files with the transforms output option
+const FILE_TRANSFORMS = [
+  "removeComments",
+  "removeEmptyLines",
+  "truncateLines",
+  "signaturesOnly",
+];
+
+// Get the options processing a file's content (see processFileContent):
+// the output options, overridden by the transforms whose pattern matches
+// the file's path (see matchesPathPattern), later patterns winning
+function getFileTransforms(outputOptions, relPath) {
+  const transforms = { showLineNumbers: outputOptions.showLineNumbers };
+  for (const key of FILE_TRANSFORMS) transforms[key] = outputOptions[key];
+  for (const [pattern, overrides] of Object.entries(
+    outputOptions.transforms || {}
+  )) {
+    if (!matchesPathPattern(relPath, pattern)) continue;
+    for (const key of FILE_TRANSFORMS) {
+      if (overrides[key] !== undefined) transforms[key] = overrides[key];
+    }
+  }
+  return transforms;
+}
+
+// Check whether output options transform the content of any file
+function hasContentTransforms(outputOptions) {
+  return (
+    FILE_TRANSFORMS.some((key) => outputOptions[key]) ||
+    Object.keys(outputOptions.transforms || {}).length > 0
+  );
+}
+
+// Get the options of the content the transforms are compared with ("before
+// transforms"): the files as they are, but with line numbers when the
+// output shows them, so numbering isn't counted as a transform. Null when
+// that is the raw content.
+function getBaselineOptions(outputOptions) {
+  return outputOptions.showLineNumbers ? { showLineNumbers: true } : null;
+}
+
+// Describe the transforms of output options for the notes of the output
+// and the status bar, e.g. ["first 200 lines", "signatures only"]
+function describeTransforms(outputOptions) {
+  const parts = [];
+  if (outputOptions.truncateLines) {
+    parts.push(`first ${outputOptions.truncateLines} lines`);
+  }
+  if (outputOptions.signaturesOnly) parts.push("signatures only");
+  const patterns = Object.keys(outputOptions.transforms || {});
+  if (patterns.length > 0) {
+    parts.push(`transforms for ${patterns.join(", ")}`);
+  }
+  return parts;
+}
+
+// Keywords the previewer highlights, by file extension. Strings and
+// comments follow COMMENT_SYNTAX.
+const JS_KEYWORDS = (
+  "async await break case catch class const continue debugger default " +
+  "delete do else export extends false finally for from function if " +
+  "import in instanceof let new null of return static super switch " +
+  "this throw true try typeof undefined var void while yield"
+).split(" ");
+const TS_KEYWORDS = [
+  ...JS_KEYWORDS,
+  ...(
+    "abstract any as boolean declare enum implements interface keyof " +
+    "namespace never number private protected public readonly string " +
+    "type unknown"
+  ).split(" "),
+];
+const PYTHON_KEYWORDS = (
+  "and as assert async await break class continue def del elif else " +
+  "except False finally for from global if import in is lambda None " +
+  "nonlocal not or pass raise return self True try while with yield"
+).split(" ");
+const GO_KEYWORDS = (
+  "break case chan const continue default defer else false " +
+  "fallthrough for func go goto if import interface map nil package " +
+  "range return select struct switch true type var"
+).split(" ");
+const C_KEYWORDS = (
+  "abstract auto bool break case catch char class const continue " +
+  "default delete do double else enum extends extern false final " +
+  "float for fun if implements import include int interface long " +
+  "namespace new null nullptr override package private protected " +
+  "public return short signed sizeof static struct super switch " +
+  "template this throw true try typedef union unsigned using val var " +
+  "virtual void volatile while"
+).split(" ");
+const RUST_KEYWORDS = (
+  "as async await break const continue crate dyn else enum extern " +
+  "false fn for if impl in let loop match mod move mut pub ref return " +
+  "self Self static struct super trait true type unsafe use where " +
+  "while"
+).split(" ");
+const RUBY_KEYWORDS = (
+  "begin break case class def do else elsif end ensure false for if " +
+  "in module next nil not or and raise require rescue return self " +
+  "super then true unless until when while yield"
+).split(" ");
+const SHELL_KEYWORDS = (
+  "case do done echo elif else esac exit export fi for function if in " +
+  "local return then until while"
+).split(" ");
+const SQL_KEYWORDS = (
+  "and as by create delete from group having in insert into is join " +
+  "left limit not null on or order primary key references select set " +
+  "table update values where"
+).split(" ");
+const HIGHLIGHT_KEYWORDS = {
+  js: JS_KEYWORDS,
+  jsx: JS_KEYWORDS,
+  mjs: JS_KEYWORDS,
+  cjs: JS_KEYWORDS,
+  ts: TS_KEYWORDS,
+  tsx: TS_KEYWORDS,
+  py: PYTHON_KEYWORDS,
+  go: GO_KEYWORDS,
+  c: C_KEYWORDS,
+  h: C_KEYWORDS,
+  cc: C_KEYWORDS,
+  cpp: C_KEYWORDS,
+  cxx: C_KEYWORDS,
+  hpp: C_KEYWORDS,
+  cs: C_KEYWORDS,
+  java: C_KEYWORDS,
+  kt: C_KEYWORDS,
+  dart: C_KEYWORDS,
+  swift: C_KEYWORDS,
+  php: C_KEYWORDS,
+  rs: RUST_KEYWORDS,
+  rb: RUBY_KEYWORDS,
+  sh: SHELL_KEYWORDS,
+  bash: SHELL_KEYWORDS,
+  sql: SQL_KEYWORDS,
+};
+
+// Colors of highlighted code, as blessed tags
+const HIGHLIGHT_STYLES = {
+  comment: "gray-fg",
+  string: "green-fg",
+  number: "yellow-fg",
+  keyword: "cyan-fg",
+};
+
+// Get the highlighting syntax of a file ({ comments, keywords }), or null
+// for file types without one. JSON only has strings and numbers.
+function getHighlightSyntax(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const comments =
+    COMMENT_SYNTAX[extension] ||
+    (extension === "json"
+      ? { line: [], block: [], lineBlock: [], quotes: ['"'] }
+      : null);
+  if (!comments) return null;
+  const keywords = HIGHLIGHT_KEYWORDS[extension] || [];
+  return {
+    comments,
+    keywords: new Set(
+      extension === "sql"
+        ? keywords.flatMap((keyword) => [keyword, keyword.toUpperCase()])
+        : keywords
+    ),
+  };
+}
+
+// Highlight a line of code as blessed tags (see getHighlightSyntax). state
+// is what the previous line left open ({ close, style } of a block comment
+// or multi-line string, or null). Returns { text, state } with the state
+// for the next line.
+function highlightLine(line, syntax, state) {
+  let text = "";
+  const emit = (part, style) => {
+    if (!part) return;
+    const escaped = blessed.escape(part);
+    text += style
+      ? `{${HIGHLIGHT_STYLES[style]}}${escaped}{/${HIGHLIGHT_STYLES[style]}}`
+      : escaped;
+  };
+  // Find the end of a string or block from i, skipping escaped characters
+  // in strings; -1 when it doesn't end on this line
+  const findClose = (close, style, i) => {
+    let end = i;
+    while (end < line.length && !line.startsWith(close, end)) {
+      end += style === "string" && line[end] === "\\" ? 2 : 1;
+    }
+    return end < line.length ? end + close.length : -1;
+  };
+
+  let i = 0;
+  if (state) {
+    const end = findClose(state.close, state.style, 0);
+    if (end === -1) {
+      emit(line, state.style);
+      return { text, state };
+    }
+    emit(line.slice(0, end), state.style);
+    i = end;
+  }
+
+  const { comments, keywords } = syntax;
+  while (i < line.length) {
+    const rest = line.slice(i);
+    const lineBlock = comments.lineBlock.find(([open]) =>
+      rest.startsWith(open)
+    );
+    const block =
+      comments.block.find(([open]) => rest.startsWith(open)) ||
+      (lineBlock && /^\s*$/.test(line.slice(0, i)) ? lineBlock : null);
+    if (block) {
+      const end = findClose(block[1], "comment", i + block[0].length);
+      if (end === -1) {
+        emit(rest, "comment");
+        return { text, state: { close: block[1], style: "comment" } };
+      }
+      emit(line.slice(i, end), "comment");
+      i = end;
+      continue;
+    }
+
+    // A # only starts a comment at the start of a word, as in removeComments
+    const marker = comments.line.find(
+      (open) =>
+        rest.startsWith(open) &&
+        (open !== "#" || i === 0 || /\s/.test(line[i - 1]))
+    );
+    if (marker) {
+      emit(rest, "comment");
+      return { text, state: null };
+    }
+
+    const quote = comments.quotes.find((q) => rest.startsWith(q));
+    if (quote) {
+      const end = findClose(quote, "string", i + quote.length);
+      if (end === -1) {
+        emit(rest, "string");
+        // Only template literals and triple quotes span lines
+        const multiline = quote === "`" || quote.length === 3;
+        return {
+          text,
+          state: multiline ? { close: quote, style: "string" } : null,
+        };
+      }
+      emit(line.slice(i, end), "string");
+      i = end;
+      continue;
+    }
+
+    const word = rest.match(/^[A-Za-z_$][\w$]*/);
+    if (word) {
+      emit(word[0], keywords.has(word[0]) ? "keyword" : null);
+      i += word[0].length;
+      continue;
+    }
+    const number = rest.match(/^\d[\w.]*/);
+    if (number) {
+      emit(number[0], "number");
+      i += number[0].length;
+      continue;
+    }
+    emit(line[i], null);
+    i++;
+  }
+  return { text, state: null };
+}
+
+// Bytes read at a time by createLineReader
+const PREVIEW_CHUNK_SIZE = 64 * 1024;
+
+// Characters of a line the preview shows, so minified files stay fast
+const PREVIEW_LINE_LENGTH = 1000;
+
+// Read a file's lines on demand, a chunk at a time, so big files open at
+// once. ensure(count) reads until count lines are available or the file
+// ends (done); lines holds the lines read so far.
+function createLineReader(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  const decoder = new StringDecoder("utf8");
+  const buffer = Buffer.alloc(PREVIEW_CHUNK_SIZE);
+  let position = 0;
+  let partial = "";
+
+  const reader = {
+    lines: [],
+    size: fs.fstatSync(fd).size,
+    done: false,
+    ensure(count) {
+      while (!reader.done && reader.lines.length < count) {
+        const bytes = fs.readSync(fd, buffer, 0, buffer.length, position);
+        position += bytes;
+        const end = bytes === 0 || position >= reader.size;
+        const parts = (
+          partial +
+          decoder.write(buffer.subarray(0, bytes)) +
+          (end ? decoder.end() : "")
+        ).split(/\r?\n/);
+        partial = parts.pop();
+        reader.lines.push(...parts);
+        if (end) {
+          if (partial || reader.lines.length === 0) reader.lines.push(partial);
+          reader.done = true;
+          fs.closeSync(fd);
+        }
+      }
+    },
+    close() {
+      if (!reader.done) fs.closeSync(fd);
+      reader.done = true;
+    },
+  };
+  return reader;
+}
+
+// File types recognized by their first bytes, for binary file summaries
+const BINARY_SIGNATURES = [
+  ["89504e47", "PNG image"],
+  ["ffd8ff", "JPEG image"],
+  ["47494638", "GIF image"],
+  ["52494646", "RIFF media (WebP, WAV or AVI)"],
+  ["25504446", "PDF document"],
+  ["504b0304", "ZIP archive (or a format based on it)"],
+  ["1f8b", "gzip archive"],
+  ["7f454c46", "ELF executable"],
+  ["cafebabe", "Java class or Mach-O universal binary"],
+  ["0061736d", "WebAssembly module"],
+  ["53514c69746520666f726d6174", "SQLite database"],
+];
+
+// Bytes of a binary file shown in its hex dump
+const HEX_DUMP_SIZE = 512;
+
+// Summarize a binary file from its first bytes: its type, if recognized,
+// its size and a hex dump of those bytes (offset, hex, printable text)
+function formatBinarySummary(buffer, size) {
+  const hex = buffer.toString("hex");
+  const signature = BINARY_SIGNATURES.find(([magic]) => hex.startsWith(magic));
+  const type = signature ? signature[1] : "unknown type";
+  const lines = [`Binary file: ${type}, ${formatSize(size)}`, ""];
+  const bytes = buffer.subarray(0, HEX_DUMP_SIZE);
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = bytes.subarray(offset, offset + 16);
+    const hexBytes = [...row]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join(" ");
+    const printable = [...row]
+      .map((byte) =>
+        byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : "."
+      )
+      .join("");
+    const address = offset.toString(16).padStart(8, "0");
+    lines.push(`${address}  ${hexBytes.padEnd(47)}  |${printable}|`);
+  }
+  if (size > bytes.length) {
+    lines.push("", `(first ${bytes.length} of ${size} bytes)`);
+  }
+  return lines;
+}
+
+// Patterns of known secrets, checked before packing. Findings are named
+// after the rule; group is the part of the match to redact.
+const SECRET_PATTERNS = [
+  {
+    rule: "private-key",
+    regex:
+      /-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?(?:-----END \1-----|$)/g,
+  },
+  { rule: "aws-access-key", regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    rule: "github-token",
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})/g,
+  },
+  { rule: "gitlab-token", regex: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { rule: "slack-token", regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { rule: "stripe-key", regex: /\b[rs]k_live_[A-Za-z0-9]{20,}/g },
+  { rule: "google-api-key", regex: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { rule: "anthropic-key", regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  {
+    rule: "openai-key",
+    regex: /\bsk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{32,}/g,
+  },
+  {
+    rule: "jwt",
+    regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    rule: "password-assignment",
+    regex:
+      /\b(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)["']?\s*[:=]\s*["'](?![$<{%])([^"'\s]{8,})["']/gi,
+    group: 1,
+  },
+];
+
+// Quoted strings checked for high entropy: long enough that random keys
+// stand out from words and identifiers (see isHighEntropy)
+const ENTROPY_CANDIDATE = /["'`]([A-Za-z0-9+/=_-]{32,})["'`]/g;
+const SECRET_ENTROPY_THRESHOLD = 4.3; // bits per character
+
+// Names of files that hold credentials whatever they contain. Examples and
+// templates of them are fine.
+const SENSITIVE_FILE_PATTERNS = [
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  "*.p12",
+  "*.pfx",
+  "*.jks",
+  "*.keystore",
+  "id_rsa",
+  "id_dsa",
+  "id_ecdsa",
+  "id_ed25519",
+  ".npmrc",
+  ".pypirc",
+  ".netrc",
+  ".htpasswd",
+  "credentials.json",
+  "*.tfstate",
+];
+const SENSITIVE_FILE_EXCEPTIONS = [
+  ".env.example",
+  ".env.sample",
+  ".env.template",
+];
+
+// Check whether a path matches a pattern: against the file name when the
+// pattern has no "/", like gitignore, otherwise against the whole path
+function matchesPathPattern(relPath, pattern) {
+  const normalized = relPath.split(path.sep).join("/");
+  return pattern.includes("/")
+    ? minimatch(normalized, pattern.replace(/^\//, ""))
+    : minimatch(path.posix.basename(normalized), pattern);
+}
+
+// Check whether a file's name marks it as sensitive
+function isSensitiveFile(relPath) {
+  return (
+    SENSITIVE_FILE_PATTERNS.some((pattern) =>
+      matchesPathPattern(relPath, pattern)
+    ) &&
+    !SENSITIVE_FILE_EXCEPTIONS.some((pattern) =>
+      matchesPathPattern(relPath, pattern)
+    )
+  );
+}
+
+// Shannon entropy of a string, in bits per character
+function shannonEntropy(text) {
+  const frequencies = new Map();
+  for (const ch of text) frequencies.set(ch, (frequencies.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of frequencies.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Check whether a string looks like a random key: letters and digits with
+// high entropy. Hex digests stay below the threshold; integrity hashes
+// (sha512-...) are skipped.
+function isHighEntropy(value) {
+  return (
+    /\d/.test(value) &&
+    /[A-Za-z]/.test(value) &&
+    !/^sha\d+-/.test(value) &&
+    shannonEntropy(value) >= SECRET_ENTROPY_THRESHOLD
+  );
+}
+
+// Find the secrets in a text: matches of SECRET_PATTERNS and high-entropy
+// strings. Returns [{ rule, index, length, line }] sorted by index, without
+// overlaps.
+function findSecrets(content) {
+  const found = [];
+  for (const { rule, regex, group } of SECRET_PATTERNS) {
+    for (const match of content.matchAll(regex)) {
+      const value = group ? match[group] : match[0];
+      const index = match.index + match[0].lastIndexOf(value);
+      found.push({ rule, index, length: value.length });
+    }
+  }
+  for (const match of content.matchAll(ENTROPY_CANDIDATE)) {
+    if (isHighEntropy(match[1])) {
+      found.push({
+        rule: "high-entropy",
+        index: match.index + 1,
+        length: match[1].length,
+      });
+    }
+  }
+
+  found.sort((a, b) => a.index - b.index || b.length - a.length);
+  const secrets = [];
+  let end = 0;
+  let line = 1;
+  let lineIndex = 0;
+  for (const secret of found) {
+    if (secret.index < end) continue; // Inside an earlier finding
+    for (; lineIndex < secret.index; lineIndex++) {
+      if (content[lineIndex] === "\n") line++;
+    }
+    secrets.push({ ...secret, line });
+    end = secret.index + secret.length;
+  }
+  return secrets;
+}
+
+// Get the path of the project's secrets allowlist
+function getSecretsAllowlistPath(root) {
+  return path.join(getStateDir(root), "secrets-allowlist");
+}
+
+// Load the project's secrets allowlist. Each line is a path pattern (see
+// matchesPathPattern), optionally followed by ":rule" to allow only that
+// rule's findings ("sensitive-file" for the file name). Returns
+// [{ pattern, rule }], rule null for all.
+function loadSecretsAllowlist(root) {
+  let content;
+  try {
+    content = fs.readFileSync(getSecretsAllowlistPath(root), "utf8");
+  } catch (e) {
+    return [];
+  }
+  return content
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const match = line.match(/^(.*):([a-z-]+)$/);
+      return match
+        ? { pattern: match[1], rule: match[2] }
+        : { pattern: line, rule: null };
+    });
+}
+
+// Add entries ("pattern" or "pattern:rule") to the project's allowlist
+function addToSecretsAllowlist(root, entries) {
+  ensureStateDir(root);
+  fs.appendFileSync(
+    getSecretsAllowlistPath(root),
+    entries.map((entry) => `${entry}\n`).join("")
+  );
+}
+
+// Check whether the allowlist allows a rule's findings in a file
+function isSecretAllowed(allowlist, relPath, rule) {
+  return allowlist.some(
+    (entry) =>
+      (entry.rule === null || entry.rule === rule) &&
+      matchesPathPattern(relPath, entry.pattern)
+  );
+}
+
+// Scan files for secrets before packing: sensitive file names and secrets
+// in what is packed of them (binary files and files over 2 MB are only
+// checked by name). With diff (see runRepomix, with its diffs), that is
+// the file's diff, which holds removed lines too, and in "diff+file" mode
+// its content as well. Runs offline. Resolves to the findings the
+// project's allowlist doesn't allow: [{ file, rule, line, inDiff,
+// preview }], line 0 for file names and a line of the diff when inDiff.
+async function scanForSecrets(files, root, diff = null) {
+  const allowlist = loadSecretsAllowlist(root);
+  const findings = [];
+  for (const file of files) {
+    const relPath = path.relative(root, file).split(path.sep).join("/");
+    if (
+      isSensitiveFile(relPath) &&
+      !isSecretAllowed(allowlist, relPath, "sensitive-file")
+    ) {
+      findings.push({
+        file,
+        rule: "sensitive-file",
+        line: 0,
+        inDiff: false,
+        preview: "",
+      });
+    }
+
+    const texts = []; // [{ content, inDiff }]
+    if (diff && diff.diffs.get(file)) {
+      texts.push({ content: diff.diffs.get(file), inDiff: true });
+    }
+    if (!diff || diff.mode === "diff+file") {
+      try {
+        const buffer = await readFile(file);
+        if (!isBinaryContent(buffer)) {
+          texts.push({ content: buffer.toString("utf8"), inDiff: false });
+        }
+      } catch (e) {
+        // Unreadable - packed without it
+      }
+    }
+    for (const { content, inDiff } of texts) {
+      if (content.length > 2 * 1024 * 1024) continue;
+      for (const secret of findSecrets(content)) {
+        if (isSecretAllowed(allowlist, relPath, secret.rule)) continue;
+        const value = content.substr(secret.index, secret.length);
+        findings.push({
+          file,
+          rule: secret.rule,
+          line: secret.line,
+          inDiff,
+          preview: `${value.slice(0, 4)}…`,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+// Redact the secrets in a file's packed content, or all of it for a
+// sensitive file, except what the allowlist allows
+function redactSecrets(content, relPath, allowlist) {
+  if (
+    isSensitiveFile(relPath) &&
+    !isSecretAllowed(allowlist, relPath, "sensitive-file")
+  ) {
+    return "[REDACTED: sensitive file]";
+  }
+  let output = "";
+  let last = 0;
+  for (const secret of findSecrets(content)) {
+    if (isSecretAllowed(allowlist, relPath, secret.rule)) continue;
+    output += `${content.slice(last, secret.index)}[REDACTED:${secret.rule}]`;
+    last = secret.index + secret.length;
+  }
+  return output + content.slice(last);
+}
+
+// Read the selected files and pack them in-process into repomix-compatible
+// output, in their order. Binary files are left out, as repomix does.
+// options: diff, redact, ranges (see runRepomix), instruction (text for the
+// end) and outputOptions (see OUTPUT_OPTIONS).
+async function packFiles(selectedFiles, options = {}) {
+  const outputOptions = options.outputOptions || getOutputOptions({});
+  const { diff } = options;
+  const diffs = diff
+    ? diff.diffs ||
+      getGitDiffs(process.cwd(), diff.base, selectedFiles, diff.context)
+    : null;
+  const redact = new Set(options.redact || []);
+  const allowlist = redact.size > 0 ? loadSecretsAllowlist(process.cwd()) : [];
+  const ranges = options.ranges || new Map();
+
+  const files = [];
+  for (const file of selectedFiles) {
+    let buffer;
+    try {
+      buffer = await readFile(file);
+    } catch (e) {
+      continue;
+    }
+    if (isBinaryContent(buffer)) continue;
+
+    const relPath = path.relative(process.cwd(), file).split(path.sep).join("/");
+    const transforms = getFileTransforms(outputOptions, relPath);
+    let content = ranges.has(file)
+      ? extractLineRanges(
+          buffer.toString("utf8"),
+          ranges.get(file),
+          relPath,
+          (text, firstLine) =>
+            processFileContent(text, file, transforms, firstLine)
+        )
+      : processFileContent(buffer.toString("utf8"), file, transforms);
+    if (diffs) {
+      content = formatDiffContent(
+        diffs.get(file),
+        content,
+        diff.mode,
+        diff.base
+      ).trim();
+    }
+    if (redact.has(file)) content = redactSecrets(content, relPath, allowlist);
+    files.push({
+      path: relPath,
+      content,
+      language: diffs ? "diff" : null,
+    });
+  }
+
+  const notes = [];
+  if (diff) notes.push(`Files are shown as ${diff.mode} against ${diff.base}`);
+  const transforms = describeTransforms(outputOptions);
+  if (transforms.length > 0) {
+    notes.push(`File contents have been transformed: ${transforms.join(", ")}`);
+  }
+  return formatPackedOutput(files, outputOptions.style, {
+    ...outputOptions,
+    headerText: getHeaderText(outputOptions),
+    notes,
+    instruction: options.instruction,
+  });
+}
+
+// Pack the selected files with the built-in packer, writing the output
+// file (and copying it). Resolves to the output path. options as for
+// runRepomix, except patterns, which the built-in packer doesn't need.
+async function runNativePacker(selectedFiles, options = {}) {
+  const outputOptions = options.outputOptions || getOutputOptions({});
+  const content = await packFiles(selectedFiles, {
+    diff: options.diff,
+    redact: options.redact,
+    ranges: options.ranges,
+    instruction: options.instruction,
+    outputOptions,
+  });
+  const outputPath = options.output || getOutputPath(outputOptions);
+  fs.writeFileSync(outputPath, content);
+  if (options.log) {
+    const count = selectedFiles.length;
+    options.log(`Packed ${count} file${count === 1 ? "" : "s"}`);
+  }
+  if (options.copy && !copyToClipboard(content)) {
+    throw new Error("no clipboard command found");
+  }
+  return outputPath;
+}
+
+// Pack the selected files with the configured packer: the built-in one, or
+// repomix when config.packer is "repomix". Resolves to the output path;
+// rejects when packing fails.
+function runPacker(selectedFiles, config, options = {}) {
+  const packOptions = { outputOptions: getOutputOptions(config), ...options };
+  return config.packer === "repomix"
+    ? runRepomix(selectedFiles, packOptions)
+    : runNativePacker(selectedFiles, packOptions);
+}
+
+// Prompt templates that are always available, by name. Templates in the
+// prompt directories replace them (see loadPromptTemplates).
+const BUILTIN_PROMPT_TEMPLATES = {
+  explain:
+    "Explain the architecture of this code: the main components, how they " +
+    "fit together and how data flows between them.",
+  review:
+    "Review the changes on {{branch}} against {{diff_base}} in these " +
+    "files:\n{{files}}\n\nPoint out bugs, risky changes and anything that " +
+    "needs tests.",
+  security:
+    "Review these files for security issues, such as injection, unsafe " +
+    "input handling and leaked secrets:\n{{files}}",
+  tests:
+    "Write tests for these files, covering edge cases and error " +
+    "handling:\n{{files}}",
+};
+
+// Number of prompts kept in the prompt history
+const PROMPT_HISTORY_LIMIT = 50;
+
+// Get the directories prompt templates are read from, with where they
+// come from; project templates win over user ones
+function getPromptTemplateDirs(root) {
+  return [
+    {
+      source: "user",
+      dir: path.join(getUserConfigDir(), "prompts"),
+    },
+    { source: "project", dir: path.join(getStateDir(root), "prompts") },
+  ];
+}
+
+// Load the prompt templates: the built-in ones and the .md or .txt files
+// in the prompt directories, named after the file. Returns
+// [{ name, source, text }] sorted by name.
+function loadPromptTemplates(root) {
+  const templates = new Map();
+  for (const [name, text] of Object.entries(BUILTIN_PROMPT_TEMPLATES)) {
+    templates.set(name, { name, source: "built-in", text });
+  }
+  for (const { source, dir } of getPromptTemplateDirs(root)) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch (e) {
+      continue; // No templates at this level
+    }
+    for (const entry of entries) {
+      if (!/\.(md|txt)$/.test(entry)) continue;
+      const name = entry.replace(/\.(md|txt)$/, "");
+      try {
+        const text = fs.readFileSync(path.join(dir, entry), "utf8").trim();
+        templates.set(name, { name, source, text });
+      } catch (e) {
+        // Unreadable template - skip it
+      }
+    }
+  }
+  return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Get the values of the prompt template variables: files (the selected
+// files, one per line), branch (the current git branch) and diff_base
+// (the base branch diffs are taken against)
+function getPromptVariables(root, selectedFiles, diffBase) {
+  let branch = "";
+  let base = diffBase || "";
+  try {
+    branch = runGit(root, ["rev-parse", "--abbrev-ref", "HEAD"]).trim();
+    if (!base) base = getDefaultGitBase(root) || "";
+  } catch (e) {
+    // Not a git repository - leave them empty
+  }
+  return {
+    files: selectedFiles
+      .map((file) => path.relative(root, file).split(path.sep).join("/"))
+      .join("\n"),
+    branch,
+    diff_base: base,
+  };
+}
+
+// Fill in the {{name}} variables of a prompt template (see
+// getPromptVariables). Unknown variables are left as they are.
+function renderPromptTemplate(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    variables[name] !== undefined ? variables[name] : match
+  );
+}
+
+// Load the project's prompt history, newest first
+function loadPromptHistory(root) {
+  try {
+    const data = JSON.parse(
+      fs.readFileSync(
+        path.join(getStateDir(root), "prompt-history.json"),
+        "utf8"
+      )
+    );
+    return Array.isArray(data.prompts) ? data.prompts : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Add a prompt to the front of the project's prompt history
+function savePromptHistory(root, prompt) {
+  const prompts = [
+    prompt,
+    ...loadPromptHistory(root).filter((previous) => previous !== prompt),
+  ].slice(0, PROMPT_HISTORY_LIMIT);
+  ensureStateDir(root);
+  fs.writeFileSync(
+    path.join(getStateDir(root), "prompt-history.json"),
+    JSON.stringify({ version: 1, prompts }, null, 2)
+  );
+  return prompts;
+}
+
+// Create the prompt editor: a multi-line text area with key help below
+function createPromptInput(screen) {
+  const promptBox = blessed.box({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "60%",
+    hidden: true, // Hide by default
+    label: " Prompt ",
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  const promptInput = blessed.textarea({
+    parent: promptBox,
+    top: 0,
+    left: 1,
+    right: 1,
+    bottom: 1,
+    inputOnFocus: true,
+    keys: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      focus: {
+        border: {
+          fg: "green",
+        },
+      },
+    },
+  });
+
+  // Add a small help text
+  blessed.box({
+    parent: promptBox,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content:
+      "C-s: pack with prompt | C-p/C-n: history | {{files}} {{branch}} {{diff_base}} | esc: cancel",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  return { promptBox, promptInput };
+}
+
+// Exit codes of the non-interactive commands
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // bad arguments or packing failed
+  noFiles: 2, // the selection resolved to no files
+  overBudget: 3, // the selection exceeds the token budget
+  secrets: 4, // secrets were found (with --fail-on-secrets)
+};
+
+// Print usage of the pack command
+function printPackUsage() {
+  console.log(`Usage: cherrypiq pack [options]
+
+Select files without the TUI and pack them, with the built-in packer or
+repomix (see the packer setting).
+Without --include, --profile or a git option, the selection saved by the
+TUI is used.
+
+Options:
+  --include <glob>     Select non-ignored files matching the glob (repeatable,
+                       or comma separated)
+  --exclude <glob>     Drop files matching the glob (repeatable, or comma
+                       separated)
+  --include-skipped    Select binary, lockfile, minified, generated and
+                       large files too; globs and directories skip them
+                       unless a glob is the file's path
+  --profile <name>     Start from a saved profile
+  --changed            Select files modified, staged or untracked in git
+  --modified           Select files modified in the work tree
+  --staged             Select files staged in the index
+  --untracked          Select untracked files
+  --diff-base <ref>    Select files changed since the branch forked from ref
+                       (git diff --name-only <ref>...HEAD)
+  --last-commits <n>   Select files touched by the last n commits
+  --content <mode>     Pack each file ("file"), its diff against the base
+                       ("diff") or both ("diff+file")
+  --content-base <ref> Base the diffs of --content are taken against
+                       (defaults to the configured gitBase or main/master)
+  --diff-context <n>   Lines of context around changes in diffs
+  --packer <name>      Pack with "native" (built in) or "repomix"
+  --prompt <name>      Add a prompt template, with its variables filled in,
+                       to the end of the output (counted in the tokens)
+  --out <file>         Write the output to this file
+  --copy               Copy the output to the clipboard
+  --budget <n|model>   Fail if the selection exceeds n tokens or the model's
+                       context window (defaults to the configured budget)
+  --max-tokens <n>     Same as --budget
+  --tokenizer <name>   Count tokens with this tokenizer (e.g. o200k_base,
+                       cl100k_base, claude)
+  --fail-on-secrets    Fail if the selection contains possible secrets or
+                       sensitive files (see the secrets allowlist)
+  --redact-secrets     Redact the secrets found in the output
+  --json-stats         Print selection statistics as JSON on stdout
+  --dry-run            Resolve the selection and print statistics only
+  -h, --help           Show this help
+
+Exit codes:
+  0  success
+  1  invalid arguments or packing failed
+  2  no files selected
+  3  token budget exceeded
+  4  secrets found (with --fail-on-secrets)`);
+}
+
+// Parse the arguments of the pack command
+function parsePackArgs(args) {
+  const options = {
+    include: [],
+    exclude: [],
+    includeSkipped: false,
+    profile: null,
+    git: { status: [], base: null, commits: null },
+    content: null,
+    contentBase: null,
+    diffContext: null,
+    packer: null,
+    prompt: null,
+    out: null,
+    copy: false,
+    budget: null,
+    tokenizer: null,
+    failOnSecrets: false,
+    redactSecrets: false,
+    jsonStats: false,
+    dryRun: false,
+    help: false,
+  };
+  const splitGlobs = (value) =>
+    value
+      .split(",")
+      .map((glob) => glob.trim())
+      .filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    let flag = args[i];
+    let inlineValue;
+    if (flag.startsWith("--") && flag.includes("=")) {
+      inlineValue = flag.slice(flag.indexOf("=") + 1);
+      flag = flag.slice(0, flag.indexOf("="));
+    }
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length) throw new Error(`${flag} requires a value`);
+      return args[++i];
+    };
+
+    switch (flag) {
+      case "--include":
+        options.include.push(...splitGlobs(value()));
+        break;
+      case "--exclude":
+        options.exclude.push(...splitGlobs(value()));
+        break;
+      case "--include-skipped":
+        options.includeSkipped = true;
+        break;
+      case "--profile":
+        options.profile = value();
+        break;
+      case "--changed":
+        options.git.status.push(...GIT_STATUS_KINDS);
+        break;
+      case "--modified":
+      case "--staged":
+      case "--untracked":
+        options.git.status.push(flag.slice(2));
+        break;
+      case "--diff-base":
+        options.git.base = value();
+        break;
+      case "--last-commits": {
+        const count = Number(value());
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error("--last-commits requires a positive number");
+        }
+        options.git.commits = count;
+        break;
+      }
+      case "--content":
+        options.content = value();
+        if (!CONTENT_MODES.includes(options.content)) {
+          throw new Error(
+            `--content must be one of: ${CONTENT_MODES.join(", ")}`
+          );
+        }
+        break;
+      case "--content-base":
+        options.contentBase = value();
+        break;
+      case "--diff-context": {
+        const context = Number(value());
+        if (!Number.isInteger(context) || context < 0) {
+          throw new Error("--diff-context requires a number");
+        }
+        options.diffContext = context;
+        break;
+      }
+      case "--packer":
+        options.packer = value();
+        if (!["native", "repomix"].includes(options.packer)) {
+          throw new Error('--packer must be "native" or "repomix"');
+        }
+        break;
+      case "--prompt":
+        options.prompt = value();
+        break;
+      case "--out":
+      case "-o":
+        options.out = value();
+        break;
+      case "--copy":
+        options.copy = true;
+        break;
+      case "--budget":
+      case "--max-tokens":
+        options.budget = resolveBudget(value());
+        break;
+      case "--tokenizer":
+        options.tokenizer = value();
+        break;
+      case "--fail-on-secrets":
+        options.failOnSecrets = true;
+        break;
+      case "--redact-secrets":
+        options.redactSecrets = true;
+        break;
+      case "--json-stats":
+        options.jsonStats = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+}
+
+// Run the pack command; resolves to the process exit code
+async function packCommand(args) {
+  let options;
+  try {
+    options = parsePackArgs(args);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    console.error("Run 'cherrypiq pack --help' for usage.");
+    return EXIT_CODES.error;
+  }
+  if (options.help) {
+    printPackUsage();
+    return EXIT_CODES.ok;
+  }
+
+  const projectRoot = process.cwd();
+  const gitignorePatterns = await getGitignorePatterns(projectRoot);
+  const log = options.jsonStats ? console.error : console.log;
+
+  const config = loadConfig(projectRoot);
+  if (options.packer) config.packer = options.packer;
+  registerTokenizers(config, projectRoot);
+
+  let budget = options.budget;
+  let tokenizer;
+  try {
+    if (budget === null) budget = resolveBudget(config.budget);
+    tokenizer = validateTokenizer(
+      options.tokenizer || config.tokenizer || DEFAULT_TOKENIZER
+    );
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    return EXIT_CODES.error;
+  }
+
+  // Pack diffs against the base instead of (or before) the files
+  let diff = null;
+  const content = options.content || config.content;
+  if (!CONTENT_MODES.includes(content)) {
+    console.error(
+      `Error: content must be one of: ${CONTENT_MODES.join(", ")}`
+    );
+    return EXIT_CODES.error;
+  }
+  if (content !== "file") {
+    const base =
+      options.contentBase || config.gitBase || getDefaultGitBase(projectRoot);
+    if (!base) {
+      console.error(
+        "Error: no base to diff against; use --content-base <ref>"
+      );
+      return EXIT_CODES.error;
+    }
+    diff = {
+      mode: content,
+      base,
+      context:
+        options.diffContext !== null ? options.diffContext : config.diffContext,
+    };
+  }
+
+  // Files selected with git
+  const useGit =
+    options.git.status.length > 0 || options.git.base || options.git.commits;
+  let gitFiles = [];
+  if (useGit) {
+    try {
+      gitFiles = getGitSelection(projectRoot, options.git);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      return EXIT_CODES.error;
+    }
+  }
+
+  // Build the selection the same way a profile is resolved
+  let selection = { include: [], exclude: [] };
+  let patterns = null; // repomix patterns generated from the saved rules
+  // Without a classifier, skipped files are selected too
+  const classify = options.includeSkipped
+    ? null
+    : createFileClassifier(projectRoot, config);
+  if (options.profile) {
+    const profile = loadProfiles(projectRoot).profiles[options.profile];
+    if (!profile) {
+      console.error(`Error: profile "${options.profile}" not found`);
+      return EXIT_CODES.error;
+    }
+    selection = { ...profile };
+  } else if (options.include.length === 0 && !useGit) {
+    const saved = loadSelectionState(projectRoot);
+    selection.rules = serializeSelectionRules(projectRoot, saved.rules);
+    // Skipped files are left out by listing the files instead
+    const skipped = classify
+      ? await listSkippedFiles(saved.rules, gitignorePatterns, classify)
+      : [];
+    patterns =
+      skipped.length > 0 ? null : selectionToPatterns(projectRoot, saved.rules);
+    if (patterns) patterns.ignore.push(...options.exclude);
+  }
+  selection.selectedFiles = [
+    ...(selection.selectedFiles || []),
+    ...gitFiles.map((file) => path.relative(projectRoot, file)),
+  ];
+  selection.include = [...(selection.include || []), ...options.include];
+  selection.exclude = [...(selection.exclude || []), ...options.exclude];
+
+  const { rules, files: selectedFiles } = await resolveProfile(
+    projectRoot,
+    selection,
+    gitignorePatterns,
+    classify
+  );
+  // Line ranges and a custom order of the saved selection or profile
+  const { ranges } = rules;
+  const customOrder = rules.order.length > 0;
+  // Count the files as they are, and as they are packed when the output
+  // options transform them
+  const outputOptions = getOutputOptions(config);
+  const transformed = hasContentTransforms(outputOptions);
+  const tokenStats = createTokenStats(projectRoot, config);
+  const baseline = transformed ? getBaselineOptions(outputOptions) : null;
+  let rawStats = countRangeContent(
+    ranges,
+    await tokenStats.getStats(selectedFiles, [tokenizer], null, baseline),
+    projectRoot,
+    [tokenizer],
+    baseline
+  );
+  let fileStats = transformed
+    ? countRangeContent(
+        ranges,
+        await tokenStats.getStats(
+          selectedFiles,
+          [tokenizer],
+          null,
+          outputOptions
+        ),
+        projectRoot,
+        [tokenizer],
+        outputOptions
+      )
+    : rawStats;
+  if (diff) {
+    try {
+      const diffStats = createDiffStats(projectRoot, tokenStats);
+      const diffCounts = await diffStats.getStats(
+        diff.base,
+        selectedFiles,
+        diff.context,
+        [tokenizer]
+      );
+      const count = (stats) =>
+        countDiffContent(diffCounts, stats, diff.mode, [tokenizer]);
+      fileStats = count(fileStats);
+      rawStats = transformed ? count(rawStats) : fileStats;
+      // Packed from the diffs taken for counting
+      diff.diffs = await diffStats.getDiffs(
+        diff.base,
+        selectedFiles,
+        diff.context
+      );
+    } catch (e) {
+      tokenStats.close();
+      console.error(`Error: ${e.message}`);
+      return EXIT_CODES.error;
+    }
+  }
+  tokenStats.close();
+  const totals = sumTokenCounts(selectedFiles, fileStats, [tokenizer]);
+  let rawTokens = sumTokenCounts(selectedFiles, rawStats, [tokenizer]).tokens;
+
+  // A prompt template packed at the end, counted with the files
+  let instruction = null;
+  let promptTokens = 0;
+  if (options.prompt) {
+    const template = loadPromptTemplates(projectRoot).find(
+      (candidate) => candidate.name === options.prompt
+    );
+    if (!template) {
+      console.error(`Error: prompt template "${options.prompt}" not found`);
+      return EXIT_CODES.error;
+    }
+    instruction = renderPromptTemplate(
+      template.text,
+      getPromptVariables(
+        projectRoot,
+        selectedFiles,
+        diff ? diff.base : options.git.base || config.gitBase
+      )
+    ).trim();
+    promptTokens = countText(instruction, [tokenizer]).tokens;
+    totals.tokens += promptTokens;
+    rawTokens += promptTokens;
+  }
+  const overBudget = budget !== null && totals.tokens > budget;
+
+  // Possible secrets in the selection (see scanForSecrets)
+  const secrets =
+    config.scanSecrets || options.failOnSecrets || options.redactSecrets
+      ? await scanForSecrets(selectedFiles, projectRoot, diff)
+      : [];
+  const relative = (file) =>
+    path.relative(projectRoot, file).split(path.sep).join("/");
+
+  if (options.jsonStats) {
+    console.log(
+      JSON.stringify(
+        {
+          files: selectedFiles.map(relative),
+          fileCount: selectedFiles.length,
+          ranges: Object.fromEntries(
+            [...ranges]
+              .filter(([file]) => selectedFiles.includes(file))
+              .map(([file, fileRanges]) => [relative(file), fileRanges])
+          ),
+          lines: totals.lines,
+          tokens: totals.tokens,
+          rawTokens,
+          chars: totals.chars,
+          tokenizer,
+          exactTokens: getTokenCounter(tokenizer).exact,
+          content,
+          diffBase: diff ? diff.base : null,
+          prompt: options.prompt,
+          promptTokens,
+          budget,
+          overBudget,
+          secrets: secrets.map(({ file, rule, line, inDiff }) => ({
+            file: relative(file),
+            rule,
+            line,
+            inDiff,
+          })),
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    log(
+      `Selected ${selectedFiles.length} ` +
+        `file${selectedFiles.length === 1 ? "" : "s"}: ${totals.tokens} ` +
+        `${getTokenizerLabel(tokenizer)} tokens` +
+        (transformed ? ` (${rawTokens} before transforms)` : "") +
+        `, ${totals.lines} lines` +
+        (diff ? ` (${diff.mode} against ${diff.base})` : "") +
+        (instruction ? `, including ${promptTokens} for the prompt` : "")
+    );
+  }
+
+  for (const { file, rule, line, inDiff } of secrets) {
+    console.error(
+      `Warning: possible secret: ${relative(file)}` +
+        (inDiff ? `, diff line ${line}` : line > 0 ? `:${line}` : "") +
+        ` (${rule})`
+    );
+  }
+
   if (selectedFiles.length === 0) {
-    console.log("No files selected. Exiting.");
+    console.error("Error: no files selected");
+    return EXIT_CODES.noFiles;
+  }
+  if (overBudget) {
+    console.error(
+      `Error: ${totals.tokens} tokens exceeds the budget of ${budget}`
+    );
+    return EXIT_CODES.overBudget;
+  }
+  if (options.failOnSecrets && secrets.length > 0) {
+    console.error(
+      `Error: ${secrets.length} possible secrets found; allow them in ` +
+        path.relative(projectRoot, getSecretsAllowlistPath(projectRoot))
+    );
+    return EXIT_CODES.secrets;
+  }
+  if (options.dryRun) {
+    return EXIT_CODES.ok;
+  }
+
+  log(
+    `Packing ${selectedFiles.length} selected ` +
+      `file${selectedFiles.length === 1 ? "" : "s"}...`
+  );
+  try {
+    const outputPath = await runPacker(selectedFiles, config, {
+      output: options.out,
+      copy: options.copy,
+      log,
+      patterns,
+      order: customOrder ? selectedFiles : null,
+      diff,
+      redact: options.redactSecrets
+        ? [...new Set(secrets.map((secret) => secret.file))]
+        : [],
+      ranges,
+      instruction,
+    });
+    log(
+      `Output written to ${outputPath}` +
+        (options.copy ? " and copied to the clipboard." : ".")
+    );
+  } catch (e) {
+    console.error(`Error: packing failed: ${e.message}`);
+    return EXIT_CODES.error;
+  }
+  return EXIT_CODES.ok;
+}
+
+// Print usage of the interactive selector
+function printUsage() {
+  console.log(`Usage: cherrypiq [options]
+       cherrypiq pack [options]   (see cherrypiq pack --help)
+       cherrypiq update
+
+Options:
+  --budget <n|model>   Token budget shown as a gauge, as a token count
+                       (e.g. 128k) or a model name (e.g. gpt-4o)
+  --tokenizer <name>   Count tokens with this tokenizer (e.g. o200k_base,
+                       cl100k_base, claude)
+  -h, --help           Show this help`);
+}
+
+// Parse the arguments of the interactive selector
+function parseUIArgs(args) {
+  const options = { budget: undefined, tokenizer: undefined, help: false };
+  for (let i = 0; i < args.length; i++) {
+    let flag = args[i];
+    let inlineValue;
+    if (flag.startsWith("--") && flag.includes("=")) {
+      inlineValue = flag.slice(flag.indexOf("=") + 1);
+      flag = flag.slice(0, flag.indexOf("="));
+    }
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length) throw new Error(`${flag} requires a value`);
+      return args[++i];
+    };
+
+    switch (flag) {
+      case "--budget":
+        options.budget = resolveBudget(value());
+        break;
+      case "--tokenizer":
+        options.tokenizer = value();
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+}
+
+// Setup blessed UI
+function setupUI() {
+  const screen = blessed.screen({
+    smartCSR: true,
+    title: "cherrypiq",
+    fullUnicode: true,
+  });
+
+  // Left column for file navigation
+  const leftColumn = blessed.box({
+    top: 0,
+    left: 0,
+    width: "60%",
+    height: "100%",
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // File list
+  const list = blessed.box({
+    parent: leftColumn,
+    top: 1, // Leave space for path display
+    left: 0,
+    width: "100%-2", // Account for borders
+    height: "100%-4", // Account for borders and path display
+    keys: true,
+    vi: true,
+    mouse: true,
+    tags: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      ch: " ",
+      track: {
+        bg: "gray",
+      },
+      style: {
+        inverse: true,
+      },
+    },
+  });
+
+  // Right column
+  const rightColumn = blessed.box({
+    top: 0,
+    right: 0,
+    width: "40%",
+    height: "100%",
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // Token count display in top half of right column
+  const tokenCount = blessed.box({
+    parent: rightColumn,
+    top: 1,
+    left: 1,
+    width: "100%-2",
+    height: "30%",
+    content: "Token Count: 0",
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // Command help in bottom half of right column
+  const commandHelp = blessed.box({
+    parent: rightColumn,
+    top: "30%",
+    left: 1,
+    width: "100%-2",
+    height: "70%",
+    content:
+      "{bold}Commands{/bold}\n\n" +
+      "Navigation:\n" +
+      "  j/↓: Move down\n" +
+      "  k/↑: Move up\n" +
+      "  g/G: Go to top/bottom\n" +
+      "  h/←: Go up dir\n" +
+      "  l/→/enter: Open dir\n" +
+      "  v: Toggle tree view\n\n" +
+      "Selection:\n" +
+      "  space: Select file/dir\n" +
+      "  d: Add imports/importers\n" +
+      "  w: Review selection\n" +
+      "  p/esc: Preview/close file\n\n" +
+      "Actions:\n" +
+      "  r/O: Pack/output options\n" +
+      "  c: Copy to clipboard\n" +
+      "  i: Input prompt\n" +
+      "  b: Set token budget\n" +
+      "  a/s: Annotate/sort list\n" +
+      "  t: Cycle tokenizer\n" +
+      "  P/S: Profiles/save profile\n" +
+      "  C/D: Git select/diff mode\n" +
+      "  / f: Find file/text\n" +
+      "  R: Launch ranger\n" +
+      "  ?: Toggle help\n" +
+      "  q: Quit",
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // Path display at top of left column
+  const pathDisplay = blessed.box({
+    parent: leftColumn,
+    top: 0,
+    left: 0,
+    width: "100%-2",
+    height: 1,
+    content: process.cwd(),
+    style: {
+      bg: "blue",
+      fg: "white",
+    },
+  });
+
+  // Selected count display at bottom of left column
+  const selectedCount = blessed.box({
+    parent: leftColumn,
+    bottom: 0,
+    left: 0,
+    width: "100%-2",
+    height: 1,
+    content: "Selected: 0",
+    tags: true,
+    style: {
+      bg: "blue",
+      fg: "white",
+    },
+  });
+
+  // File preview popup. Its lines are rendered as they scroll into view
+  // (see previewFile), so it doesn't scroll itself.
+  const previewBox = blessed.box({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "80%",
+    hidden: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+    tags: true,
+    wrap: false,
+    mouse: true,
+  });
+
+  // Prompt input box
+  const { promptBox, promptInput } = createPromptInput(screen);
+
+  // Profile picker popup
+  // (kept over the left column so the token panel stays visible)
+  const profilePicker = blessed.list({
+    top: "center",
+    left: 2,
+    width: "60%-4",
+    height: "50%",
+    hidden: true,
+    label: " Profiles ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the profile picker
+  blessed.box({
+    parent: profilePicker,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 2,
+    content:
+      "enter: switch | l: load | s: save | n: rename\nd: delete | e: globs | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Prompt template picker, shown before the prompt editor
+  const templatePicker = blessed.list({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "50%",
+    hidden: true,
+    label: " Prompt templates ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the template picker
+  blessed.box({
+    parent: templatePicker,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content: "enter: edit prompt | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Outline of the previewed file, to select its functions and classes
+  const outlinePicker = blessed.list({
+    top: "center",
+    left: "center",
+    width: "70%",
+    height: "70%",
+    hidden: true,
+    label: " Outline ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the outline picker
+  blessed.box({
+    parent: outlinePicker,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content: "space: select lines | enter: go to | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Git selection menu, also used to pick the base branch
+  const gitPicker = blessed.list({
+    top: "center",
+    left: 2,
+    width: "60%-4",
+    height: "50%",
+    hidden: true,
+    label: " Select with git ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the git menu
+  blessed.box({
+    parent: gitPicker,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content: "enter: replace selection | a: add to selection | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Dependency menu, also the checklist of suggested files
+  const dependencyPicker = blessed.list({
+    top: "center",
+    left: 2,
+    width: "60%-4",
+    height: "60%",
+    hidden: true,
+    label: " Add dependencies ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the dependency menu
+  const dependencyHelp = blessed.box({
+    parent: dependencyPicker,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content: "enter: choose | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Output options panel
+  const optionsPanel = blessed.list({
+    top: "center",
+    left: 2,
+    width: "60%-4",
+    height: 12,
+    hidden: true,
+    label: " Output options ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the options panel
+  blessed.box({
+    parent: optionsPanel,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content: "enter/space: change | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Review pane listing every selected file in packing order
+  const reviewPane = blessed.list({
+    top: 1,
+    left: 2,
+    width: "60%-4",
+    height: "100%-3",
+    hidden: true,
+    label: " Selection ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the review pane
+  blessed.box({
+    parent: reviewPane,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 2,
+    content:
+      "d: remove | [/]: move up/down | t: move to top\ns: sort (custom/path/size) | enter: go to file | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Review of possible secrets found before packing
+  const secretsDialog = blessed.list({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "60%",
+    hidden: true,
+    label: " Possible secrets ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "red",
+      },
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  // Key help at the bottom of the secrets dialog
+  blessed.box({
+    parent: secretsDialog,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 2,
+    content:
+      "x: exclude file | r: redact secrets | o: pack as is | a: add to allowlist\n" +
+      "X/R/O: all files | enter: pack | esc: cancel",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Log of the packer's progress and errors while packing
+  const logPane = blessed.log({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "60%",
+    hidden: true,
+    label: " Packing ",
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    scrollable: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // Fuzzy finder popup: a query line above the results
+  const finderBox = blessed.box({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "80%",
+    hidden: true,
+    label: " Find file ",
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  const finderInput = blessed.box({
+    parent: finderBox,
+    top: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    tags: true,
+    content: "> ",
+  });
+
+  const finderList = blessed.list({
+    parent: finderBox,
+    top: 2,
+    left: 1,
+    right: 1,
+    bottom: 1,
+    tags: true,
+    style: {
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  blessed.box({
+    parent: finderBox,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content:
+      "tab: select | enter: go to file | ↑/↓: move | C-t: ignored files | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Content search popup: a pattern line above files and matching lines
+  const searchBox = blessed.box({
+    top: "center",
+    left: "center",
+    width: "80%",
+    height: "80%",
+    hidden: true,
+    label: " Search contents ",
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  const searchInput = blessed.box({
+    parent: searchBox,
+    top: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    tags: true,
+    content: "> ",
+  });
+
+  const searchList = blessed.list({
+    parent: searchBox,
+    top: 2,
+    left: 1,
+    right: 1,
+    bottom: 1,
+    tags: true,
+    style: {
+      selected: {
+        bg: "blue",
+      },
+    },
+  });
+
+  blessed.box({
+    parent: searchBox,
+    bottom: 0,
+    left: 1,
+    right: 1,
+    height: 1,
+    content:
+      "enter: search/go to file | tab: select | C-a: all | C-r: regex | C-s: case | esc: close",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  // Single-line text prompt used by dialogs
+  const textPrompt = blessed.prompt({
+    top: "center",
+    left: "center",
+    width: "60%",
+    height: 8,
+    hidden: true,
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  // Yes/no confirmation used by dialogs
+  const confirmDialog = blessed.question({
+    top: "center",
+    left: "center",
+    width: "60%",
+    height: 7,
+    hidden: true,
+    tags: true,
+    border: {
+      type: "line",
+    },
+    style: {
+      border: {
+        fg: "white",
+      },
+    },
+  });
+
+  screen.append(leftColumn);
+  screen.append(rightColumn);
+  screen.append(previewBox);
+  screen.append(outlinePicker);
+  screen.append(promptBox);
+  screen.append(templatePicker);
+  screen.append(profilePicker);
+  screen.append(gitPicker);
+  screen.append(dependencyPicker);
+  screen.append(optionsPanel);
+  screen.append(reviewPane);
+  screen.append(secretsDialog);
+  screen.append(logPane);
+  screen.append(finderBox);
+  screen.append(searchBox);
+  screen.append(textPrompt);
+  screen.append(confirmDialog);
+
+  return {
+    screen,
+    list,
+    pathDisplay,
+    selectedCount,
+    tokenCount,
+    commandHelp,
+    previewBox,
+    outlinePicker,
+    promptBox,
+    promptInput,
+    templatePicker,
+    profilePicker,
+    gitPicker,
+    dependencyPicker,
+    dependencyHelp,
+    optionsPanel,
+    reviewPane,
+    secretsDialog,
+    logPane,
+    finderBox,
+    finderInput,
+    finderList,
+    searchBox,
+    searchInput,
+    searchList,
+    textPrompt,
+    confirmDialog,
+  };
+}
+
+// Main function
+async function main(options = {}) {
+  const ui = setupUI();
+  const {
+    screen,
+    list,
+    pathDisplay,
+    selectedCount,
+    tokenCount,
+    commandHelp,
+    previewBox,
+    outlinePicker,
+    promptBox,
+    promptInput,
+    templatePicker,
+    profilePicker,
+    gitPicker,
+    dependencyPicker,
+    dependencyHelp,
+    optionsPanel,
+    reviewPane,
+    secretsDialog,
+    logPane,
+    finderBox,
+    finderInput,
+    finderList,
+    searchBox,
+    searchInput,
+    searchList,
+    textPrompt,
+    confirmDialog,
+  } = ui;
+
+  const projectRoot = process.cwd();
+  let currentDir = projectRoot;
+  let currentItems = [];
+  let selectionRules = createSelectionRules(); // what the user selected
+  let selectedFiles = []; // the files those rules resolve to
+  let selectedIndex = 0; // Current selection index
+  let scrollOffset = 0; // Scroll offset for the list
+  let statusMessage = ""; // Shown next to the selected count
+
+  let profileData = loadProfiles(projectRoot);
+  const config = loadConfig(projectRoot);
+  let selectionTotals = { lines: 0, tokens: 0, chars: 0 };
+  const tokenStats = createTokenStats(projectRoot, config);
+  const diffStats = createDiffStats(projectRoot, tokenStats);
+  const selectionStats = new Map(); // selected file -> token stats
+  const transformedStats = new Map(); // ... as packed with the transforms
+  const baselineStats = new Map(); // ... numbered, to compare them with
+  let packedStats = selectionStats; // selected file -> stats of what's packed
+  let tokenCountSeq = 0;
+  let latestTokenCount = Promise.resolve();
+  process.on("exit", () => tokenStats.save());
+
+  // Token budget and tokenizer: command line options win over the config
+  let budget = null;
+  let tokenizer = DEFAULT_TOKENIZER;
+  let configError = null;
+  registerTokenizers(config, projectRoot);
+  try {
+    budget =
+      options.budget !== undefined
+        ? options.budget
+        : resolveBudget(config.budget);
+    tokenizer = validateTokenizer(
+      options.tokenizer || config.tokenizer || DEFAULT_TOKENIZER
+    );
+  } catch (e) {
+    configError = e.message;
+  }
+  const compareTokenizers = (
+    config.compareTokenizers || DEFAULT_COMPARE_TOKENIZERS
+  ).filter((name) => tokenizers[name]);
+
+  // What is packed for each file (see CONTENT_MODES)
+  let contentMode = CONTENT_MODES.includes(config.content)
+    ? config.content
+    : "file";
+  let outputOptions = getOutputOptions(config); // see OUTPUT_OPTIONS
+
+  // Kinds of files skipped by directory selection (see classifyFile)
+  const classify = createFileClassifier(projectRoot, config);
+
+  // The base to diff against when none is configured, looked up once
+  let defaultGitBase;
+
+  // The diffs to pack instead of the files (see runRepomix),
+  // null in file mode. Throws when there is no base to diff against.
+  function getDiffOptions() {
+    if (contentMode === "file") return null;
+    if (!config.gitBase && defaultGitBase === undefined) {
+      defaultGitBase = getDefaultGitBase(projectRoot);
+    }
+    const base = config.gitBase || defaultGitBase;
+    if (!base) throw new Error("no base branch to diff against");
+    return { mode: contentMode, base, context: config.diffContext };
+  }
+
+  // The diff options for packing; shows the error and returns false when
+  // there is no base to diff against
+  function getPackDiffOptions() {
+    try {
+      return getDiffOptions();
+    } catch (e) {
+      statusMessage = `{red-fg}${blessed.escape(e.message)}{/red-fg}`;
+      renderList();
+      return false;
+    }
+  }
+
+  // Tokenizers to count with: the active one first
+  const getTokenizerNames = () => [
+    tokenizer,
+    ...compareTokenizers.filter((name) => name !== tokenizer),
+  ];
+
+  // Restore the selection from the last session
+  const savedSelection = loadSelectionState(projectRoot);
+  selectionRules = savedSelection.rules;
+  if (savedSelection.restored || savedSelection.missing.length) {
+    statusMessage = `Restored ${savedSelection.restored}`;
+    if (savedSelection.renamed.length) {
+      statusMessage += `, ${savedSelection.renamed.length} renamed`;
+    }
+    if (savedSelection.missing.length) {
+      statusMessage += `, {yellow-fg}${savedSelection.missing.length} missing dropped{/yellow-fg}`;
+      // Persist the reconciled selection so the warning isn't repeated
+      saveSelectionState(projectRoot, selectionRules);
+    }
+  }
+  if (configError) {
+    statusMessage = `{red-fg}${configError}{/red-fg}`;
+  }
+
+  // File list annotations and order
+  const ANNOTATION_MODES = [null, "tokens", "size"];
+  const SORT_MODES = ["name", "size", "tokens", "mtime"];
+  let annotationMode = ANNOTATION_MODES.includes(config.annotation)
+    ? config.annotation
+    : null;
+  let sortMode = SORT_MODES.includes(config.sort) ? config.sort : "name";
+  const annotations = new Map(); // path -> { tokens, size, mtimeMs }
+  let annotationSeq = 0;
+
+  // Tree view: expanded directories are listed inline below their parent
+  let treeMode = config.tree === true;
+  const expandedDirs = new Set();
+  const treeChildren = new Map(); // loaded directory -> its items
+
+  // Load initial directory
+  const gitignorePatterns = await getGitignorePatterns(currentDir);
+  selectedFiles = await resolveSelection(
+    selectionRules,
+    gitignorePatterns,
+    classify
+  );
+
+  // Recursive totals of directories (see createDirectoryTotals)
+  const dirTotals = createDirectoryTotals(tokenStats, gitignorePatterns);
+  await reloadDirectory();
+
+  // Calculate visible height (accounting for borders)
+  const getVisibleHeight = () => list.height - 2;
+
+  // Calculate visible width (accounting for the scrollbar)
+  const getVisibleWidth = () => list.width - 2;
+
+  // Render the file list with custom implementation
+  function renderList() {
+    const visibleHeight = getVisibleHeight();
+
+    // Ensure scroll offset is valid
+    if (selectedIndex < scrollOffset) {
+      scrollOffset = selectedIndex;
+    } else if (selectedIndex >= scrollOffset + visibleHeight) {
+      scrollOffset = selectedIndex - visibleHeight + 1;
+    }
+
+    // Create content for the box
+    let content = "";
+
+    // Only render visible items
+    const visibleItems = currentItems.slice(
+      scrollOffset,
+      scrollOffset + visibleHeight
+    );
+
+    visibleItems.forEach((item, idx) => {
+      const isSelected = idx + scrollOffset === selectedIndex;
+      let prefix = item.isDir ? "[+] " : "    ";
+      prefix = item.selected ? "{red-fg}[✓]{/red-fg} " : prefix;
+      // Directories with only some of their files selected, and files with
+      // only some of their lines
+      prefix = item.partial ? "{yellow-fg}[-]{/yellow-fg} " : prefix;
+
+      let display = item.name;
+      if (item.isDir) {
+        display = "{bold}" + display + "/{/bold}";
+      }
+      if (item.ignored || (item.kind && !item.selected)) {
+        display = "{gray-fg}" + display + "{/gray-fg}";
+      }
+      if (item.selected) {
+        display = "{yellow-fg}" + display + "{/yellow-fg}";
+      }
+      // Skipped files are marked with their kind
+      const marker = item.kind ? ` [${FILE_KIND_MARKERS[item.kind]}]` : "";
+      if (marker) display += `{magenta-fg}${marker}{/magenta-fg}`;
+
+      // Indentation guides and the expanded/collapsed arrow of the tree
+      let tree = "";
+      if (treeMode) {
+        tree = `{gray-fg}${item.guide}{/gray-fg}`;
+        if (item.isDir) tree += expandedDirs.has(item.path) ? "▾ " : "▸ ";
+      }
+      const treeWidth = treeMode
+        ? blessed.unicode.strWidth(item.guide) + (item.isDir ? 2 : 0)
+        : 0;
+
+      // Right-aligned token count or size
+      const annotation = annotationMode && annotations.get(item.path);
+      if (annotation && !item.ignored) {
+        const text =
+          annotationMode === "tokens"
+            ? formatCount(annotation.tokens)
+            : formatSize(annotation.size);
+        const used =
+          4 +
+          treeWidth +
+          blessed.unicode.strWidth(item.name) +
+          marker.length +
+          (item.isDir ? 1 : 0);
+        const padding = Math.max(1, getVisibleWidth() - used - text.length);
+        display += " ".repeat(padding) + `{cyan-fg}${text}{/cyan-fg}`;
+      }
+
+      // Highlight selected item
+      if (isSelected) {
+        content += `{blue-bg}${prefix}${tree}${display}{/blue-bg}\n`;
+      } else {
+        content += `${prefix}${tree}${display}\n`;
+      }
+    });
+
+    // Set content and update UI
+    list.setContent(content);
+    selectedCount.setContent(
+      `Selected: ${selectedFiles.length}` +
+        ` | ${blessed.escape(describeOutputOptions(outputOptions))}` +
+        (profileData.active ? ` | Profile: ${profileData.active}` : "") +
+        (statusMessage ? ` | ${statusMessage}` : "")
+    );
+    screen.render();
+  }
+
+  // Initial render
+  await updateTokenCount(selectedFiles, tokenCount);
+  renderList();
+
+  // Custom key handling
+  screen.key(["j", "down"], () => {
+    if (screen.focused !== list) return;
+    if (selectedIndex < currentItems.length - 1) {
+      selectedIndex++;
+      renderList();
+    }
+  });
+
+  screen.key(["k", "up"], () => {
+    if (screen.focused !== list) return;
+    if (selectedIndex > 0) {
+      selectedIndex--;
+      renderList();
+    }
+  });
+
+  screen.key(["g", "home"], () => {
+    if (screen.focused !== list) return;
+    if (currentItems.length > 0) {
+      selectedIndex = 0;
+      renderList();
+    }
+  });
+
+  screen.key(["G", "end"], () => {
+    if (screen.focused !== list) return;
+    if (currentItems.length > 0) {
+      selectedIndex = currentItems.length - 1;
+      renderList();
+    }
+  });
+
+  screen.key(["C-d", "pagedown"], () => {
+    if (screen.focused !== list) return;
+    const pageSize = Math.min(10, currentItems.length);
+    selectedIndex = Math.min(selectedIndex + pageSize, currentItems.length - 1);
+    renderList();
+  });
+
+  screen.key(["C-u", "pageup"], () => {
+    if (screen.focused !== list) return;
+    const pageSize = Math.min(10, currentItems.length);
+    selectedIndex = Math.max(selectedIndex - pageSize, 0);
+    renderList();
+  });
+
+  // Space: select/deselect file or directory. A partly selected
+  // directory is selected completely.
+  screen.key("space", async () => {
+    if (screen.focused !== list) return;
+    const item = currentItems[selectedIndex];
+    if (!item || item.ignored) return;
+
+    // Skipped files are selected by a rule of their own (see classifyFile)
+    await selectPath(item.path, !item.selected, item.isDir, !!item.kind);
+    statusMessage = "";
+    if (item.isDir && item.selected) {
+      const skipped = await listSkippedFiles(
+        createSelectionRules([item.path]),
+        gitignorePatterns,
+        classify
+      );
+      if (skipped.length > 0) {
+        statusMessage = `{magenta-fg}Skipped ${await describeSkippedFiles(
+          skipped
+        )}{/magenta-fg} (F: select them too)`;
+      }
+    }
+
+    // Update UI and token count
+    renderList();
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  });
+
+  // Select or deselect a path and update the selected files. Only a
+  // directory needs resolving again; a file changes just itself.
+  async function selectPath(target, selected, isDir, explicit = false) {
+    selectionRules = setPathSelected(
+      selectionRules,
+      target,
+      selected,
+      explicit
+    );
+    if (isDir) {
+      await refreshSelection();
+    } else {
+      const idx = selectedFiles.indexOf(target);
+      if (selected && idx === -1) {
+        selectedFiles = orderFiles([...selectedFiles, target], selectionRules.order);
+      } else if (!selected && idx !== -1) {
+        selectedFiles.splice(idx, 1);
+      }
+    }
+    saveSelectionState(projectRoot, selectionRules);
+    markSelection(currentItems, selectionRules);
+  }
+
+  // Select just some lines of a file (see setFileRanges) and update the
+  // selected files, the list, the preview and the token count
+  async function selectRanges(file, ranges) {
+    selectionRules = setFileRanges(selectionRules, file, ranges);
+    const idx = selectedFiles.indexOf(file);
+    if (ranges.length > 0 && idx === -1) {
+      selectedFiles = orderFiles([...selectedFiles, file], selectionRules.order);
+    } else if (ranges.length === 0 && idx !== -1) {
+      selectedFiles.splice(idx, 1);
+    }
+    saveSelectionState(projectRoot, selectionRules);
+    markSelection(currentItems, selectionRules);
+    renderList();
+    if (preview) renderPreview();
+    await updateTokenCount(selectedFiles, tokenCount);
+    screen.render();
+  }
+
+  // Count skipped files by kind, e.g. "3 files (2 lockfile, 1 binary)"
+  async function describeSkippedFiles(files) {
+    const kinds = new Map();
+    for (const kind of (await classifyFiles(classify, files)).values()) {
+      kinds.set(kind, (kinds.get(kind) || 0) + 1);
+    }
+    const counts = [...kinds].map(([kind, count]) => `${count} ${kind}`);
+    return `${files.length} files (${counts.join(", ")})`;
+  }
+
+  // F: select the item under the cursor, a directory with the files its
+  // selection skips (see classifyFile)
+  screen.key("S-f", async () => {
+    if (screen.focused !== list) return;
+    const item = currentItems[selectedIndex];
+    if (!item || item.ignored) return;
+
+    statusMessage = "";
+    if (item.isDir) {
+      const skipped = await listSkippedFiles(
+        createSelectionRules([item.path]),
+        gitignorePatterns,
+        classify
+      );
+      selectionRules = setPathSelected(selectionRules, item.path, true);
+      selectionRules.include.push(...skipped);
+      await refreshSelection();
+      saveSelectionState(projectRoot, selectionRules);
+      markSelection(currentItems, selectionRules);
+      if (skipped.length > 0) {
+        statusMessage = `Selected ${await describeSkippedFiles(skipped)} too`;
+      }
+    } else {
+      await selectPath(item.path, true, false, true);
+    }
+
+    renderList();
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  });
+
+  // Resolve the selection rules again, picking up files created or
+  // deleted under selected directories
+  async function refreshSelection() {
+    selectedFiles = await resolveSelection(
+      selectionRules,
+      gitignorePatterns,
+      classify
+    );
+  }
+
+  // Enter: open directory (in tree mode: expand or collapse it)
+  screen.key(["enter", "l", "o", "right"], async (ch, key) => {
+    if (screen.focused !== list) return;
+    const item = currentItems[selectedIndex];
+    if (treeMode) {
+      if (!item || !item.isDir) return;
+      if (!expandedDirs.has(item.path)) {
+        expandedDirs.add(item.path);
+      } else if (key.name !== "l" && key.name !== "right") {
+        expandedDirs.delete(item.path);
+      }
+      await reloadDirectory();
+      renderList();
+      return;
+    }
+    if (item && item.isDir) {
+      currentDir = item.path;
+      selectedIndex = 0; // Reset selection to top
+      await reloadDirectory();
+      scrollOffset = 0; // Reset scroll
+      renderList();
+    }
+  });
+
+  // Backspace/h/left: go up one directory (in tree mode h/left first
+  // collapse the directory or move to the parent row)
+  screen.key(["backspace", "h", "left"], async (ch, key) => {
+    if (screen.focused !== list) return;
+    const item = currentItems[selectedIndex];
+    if (treeMode && item && key.name !== "backspace") {
+      if (item.isDir && expandedDirs.has(item.path)) {
+        expandedDirs.delete(item.path);
+        await reloadDirectory();
+        renderList();
+        return;
+      }
+      if (item.depth > 0) {
+        const parent = path.dirname(item.path);
+        selectedIndex = currentItems.findIndex((row) => row.path === parent);
+        renderList();
+        return;
+      }
+    }
+    const parentDir = path.dirname(currentDir);
+    if (parentDir !== currentDir) {
+      currentDir = parentDir;
+      selectedIndex = 0; // Reset selection to top
+      await reloadDirectory();
+      scrollOffset = 0; // Reset scroll
+      renderList();
+    }
+  });
+
+  // Secrets dialog: the files with possible secrets and what to do with
+  // each when packing ("redact", "exclude" or "keep")
+  const SECRET_ACTIONS = {
+    redact: "{yellow-fg}redact {/yellow-fg}",
+    exclude: "{red-fg}exclude{/red-fg}",
+    keep: "{gray-fg}as is  {/gray-fg}",
+  };
+  let secretFiles = []; // [{ file, findings, action }]
+  let resolveSecrets = null;
+
+  // Show the files with possible secrets, their findings and actions
+  function renderSecretsDialog() {
+    const index = secretsDialog.selected;
+    secretsDialog.setItems(
+      secretFiles.map(({ file, findings, action }) => {
+        const found = findings
+          .map(
+            ({ rule, line, inDiff }) =>
+              rule +
+              (line > 0 ? ` (${inDiff ? "diff line" : "line"} ${line})` : "")
+          )
+          .join(", ");
+        return (
+          `[${SECRET_ACTIONS[action]}] ` +
+          `${blessed.escape(path.relative(projectRoot, file))} ` +
+          `{gray-fg}${blessed.escape(found)}{/gray-fg}`
+        );
+      })
+    );
+    secretsDialog.setLabel(
+      ` Possible secrets in ${secretFiles.length} files `
+    );
+    secretsDialog.select(Math.min(index, secretFiles.length - 1));
+    screen.render();
+  }
+
+  // Scan what is packed of files for secrets (see scanForSecrets, given
+  // the diff options of a diff content mode). When some are found, the
+  // secrets dialog asks what to do with each file; packing waits for it.
+  // Resolves to { exclude, redact } (lists of files), or null to cancel.
+  async function reviewSecrets(files, diff) {
+    if (!config.scanSecrets) return { exclude: [], redact: [] };
+    const findings = await scanForSecrets(files, projectRoot, diff);
+    if (findings.length === 0) return { exclude: [], redact: [] };
+
+    const byFile = new Map();
+    for (const finding of findings) {
+      if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+      byFile.get(finding.file).push(finding);
+    }
+    secretFiles = [...byFile].map(([file, fileFindings]) => ({
+      file,
+      findings: fileFindings,
+      action: "redact",
+    }));
+    secretsDialog.select(0);
+    renderSecretsDialog();
+    secretsDialog.show();
+    secretsDialog.focus();
+    screen.render();
+    return new Promise((resolve) => {
+      resolveSecrets = resolve;
+    });
+  }
+
+  // Close the secrets dialog, packing unless cancelled
+  function closeSecretsDialog(cancelled) {
+    secretsDialog.hide();
+    list.focus();
+    screen.render();
+    const resolve = resolveSecrets;
+    resolveSecrets = null;
+    if (!resolve) return;
+    const filesWith = (action) =>
+      secretFiles
+        .filter((entry) => entry.action === action)
+        .map((entry) => entry.file);
+    resolve(
+      cancelled
+        ? null
+        : { exclude: filesWith("exclude"), redact: filesWith("redact") }
+    );
+  }
+
+  // Set the action of the file under the cursor, or of all files
+  function setSecretAction(action, all) {
+    const entries = all
+      ? secretFiles
+      : [secretFiles[secretsDialog.selected]].filter(Boolean);
+    for (const entry of entries) entry.action = action;
+    renderSecretsDialog();
+  }
+
+  secretsDialog.key("x", () => setSecretAction("exclude", false));
+  secretsDialog.key("r", () => setSecretAction("redact", false));
+  secretsDialog.key("o", () => setSecretAction("keep", false));
+  secretsDialog.key("S-x", () => setSecretAction("exclude", true));
+  secretsDialog.key("S-r", () => setSecretAction("redact", true));
+  secretsDialog.key("S-o", () => setSecretAction("keep", true));
+
+  // a: allow the file's findings from now on (see loadSecretsAllowlist)
+  secretsDialog.key("a", () => {
+    const entry = secretFiles[secretsDialog.selected];
+    if (!entry) return;
+    const relPath = path
+      .relative(projectRoot, entry.file)
+      .split(path.sep)
+      .join("/");
+    const rules = [...new Set(entry.findings.map((finding) => finding.rule))];
+    addToSecretsAllowlist(
+      projectRoot,
+      rules.map((rule) => `${relPath}:${rule}`)
+    );
+    secretFiles = secretFiles.filter((other) => other !== entry);
+    if (secretFiles.length === 0) {
+      closeSecretsDialog(false);
+    } else {
+      renderSecretsDialog();
+    }
+  });
+
+  secretsDialog.on("select", () => closeSecretsDialog(false));
+  secretsDialog.key(["escape"], () => closeSecretsDialog(true));
+
+  // Pack the selection, following the packer's progress and errors in the
+  // log pane. packOptions are passed on to the packer (copy, instruction).
+  let packing = false;
+  async function packSelection(packOptions = {}) {
+    if (packing) return;
+    const diff = getPackDiffOptions();
+    if (diff === false) return;
+    const instructionTokens = packOptions.instruction
+      ? countText(packOptions.instruction, [tokenizer]).tokens
+      : 0;
+    if (!(await confirmWithinBudget(instructionTokens))) return;
+    if (selectedFiles.length === 0) {
+      statusMessage = "{red-fg}No files selected{/red-fg}";
+      renderList();
+      return;
+    }
+
+    packing = true;
+    if (diff) {
+      // The diffs are packed from the cache the token panel fills
+      try {
+        diff.diffs = await diffStats.getDiffs(
+          diff.base,
+          selectedFiles,
+          diff.context
+        );
+      } catch (e) {
+        packing = false;
+        statusMessage = `{red-fg}${blessed.escape(e.message)}{/red-fg}`;
+        renderList();
+        return;
+      }
+    }
+    const secrets = await reviewSecrets(selectedFiles, diff);
+    if (!secrets) {
+      packing = false;
+      statusMessage = "Packing cancelled";
+      renderList();
+      return;
+    }
+    const files = selectedFiles.filter(
+      (file) => !secrets.exclude.includes(file)
+    );
+    if (files.length === 0) {
+      packing = false;
+      statusMessage = "{red-fg}All files were excluded{/red-fg}";
+      renderList();
+      return;
+    }
+
+    const log = (line) => {
+      logPane.log(blessed.escape(line));
+      screen.render();
+    };
+    logPane.setContent("");
+    logPane.setLabel(" Packing ");
+    logPane.show();
+    logPane.focus();
+    screen.render();
+    log(`Packing ${files.length} selected files...`);
+    if (secrets.exclude.length > 0) {
+      log(`Left out ${secrets.exclude.length} files with possible secrets`);
+    }
+    if (secrets.redact.length > 0) {
+      log(`Redacting possible secrets in ${secrets.redact.length} files`);
+    }
+    try {
+      // Excluded and skipped files are left out by listing the files instead
+      const skipped = await listSkippedFiles(
+        selectionRules,
+        gitignorePatterns,
+        classify
+      );
+      const outputPath = await runPacker(files, config, {
+        ...packOptions,
+        log,
+        patterns:
+          secrets.exclude.length > 0 || skipped.length > 0
+            ? null
+            : selectionToPatterns(projectRoot, selectionRules),
+        order: selectionRules.order.length > 0 ? files : null,
+        diff,
+        redact: secrets.redact,
+        ranges: selectionRules.ranges,
+      });
+      const done =
+        `Output written to ${outputPath}` +
+        (packOptions.copy ? " and copied to the clipboard" : "");
+      logPane.log(`{green-fg}${blessed.escape(done)}{/green-fg}`);
+      statusMessage = `{green-fg}${blessed.escape(done)}{/green-fg}`;
+    } catch (e) {
+      logPane.log(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+      logPane.setLabel(" Packing failed ");
+      statusMessage = "{red-fg}Packing failed{/red-fg}";
+    }
+    logPane.log("{gray-fg}esc: close{/gray-fg}");
+    packing = false;
+    renderList();
+  }
+
+  // esc: close the packing log once the packer has finished
+  logPane.key(["escape", "enter"], () => {
+    if (packing) return;
+    logPane.hide();
+    list.focus();
+    renderList();
+  });
+
+  // r: pack the selected files
+  screen.key("r", async () => {
+    if (screen.focused !== list) return;
+    await packSelection();
+  });
+
+  // R: launch ranger if installed
+  screen.key("R", async () => {
+    if (screen.focused !== list) return;
+    if (!rangerInstalled) {
+      commandHelp.setContent(
+        "{red-bg}Ranger is not installed!{/red-bg} Press any key to continue..."
+      );
+      screen.render();
+      setTimeout(() => {
+        commandHelp.setContent(
+          "{bold}cherrypiq{/bold} | {bold}j/k{/bold}: navigate | {bold}space{/bold}: select | {bold}enter{/bold}: open dir | {bold}r{/bold}: pack | {bold}R{/bold}: ranger" +
+            (rangerInstalled ? "" : " (not installed)") +
+            " | {bold}q{/bold}: quit"
+        );
+        screen.render();
+      }, 3000);
+      return;
+    }
+
+    screen.destroy();
+    console.log("Launching ranger...");
+
+    try {
+      const rangerSelectedFiles = await launchRanger();
+      if (rangerSelectedFiles.length > 0) {
+        selectedFiles = rangerSelectedFiles;
+        selectionRules = createSelectionRules(selectedFiles);
+        saveSelectionState(projectRoot, selectionRules);
+        console.log(`${selectedFiles.length} files selected from ranger.`);
+
+        const rl = require("readline").createInterface({
+          input: process.stdin,
+          output: process.stdout,
+        });
+
+        rl.question("Pack these selections? (y/n) ", (answer) => {
+          rl.close();
+          if (answer.toLowerCase() === "y") {
+            console.log(`Packing ${selectedFiles.length} selected files...`);
+            runPacker(selectedFiles, config, { log: console.log })
+              .then((outputPath) =>
+                console.log(`Output written to ${outputPath}.`)
+              )
+              .catch((e) => {
+                console.error("Packing failed:", e.message);
+                process.exitCode = 1;
+              });
+          } else {
+            main(options); // Restart the UI
+          }
+        });
+      } else {
+        console.log("No files selected in ranger.");
+        main(options); // Restart the UI
+      }
+    } catch (e) {
+      console.error("Error using ranger:", e.message);
+      main(options); // Restart the UI
+    }
+  });
+
+  // q/Ctrl-c: quit
+  screen.key(["q", "C-c"], () => {
+    screen.destroy();
     process.exit(0);
+  });
+
+  // Update token count display, optionally comparing the selection with
+  // another set of files ({ label, files, totals })
+  function updateTokenCount(selectedFiles, tokenCount, comparison) {
+    markSelection(currentItems, selectionRules);
+    latestTokenCount = renderTokenCount(
+      selectedFiles,
+      tokenCount,
+      comparison
+    ).then(() => {
+      if (reviewPane.visible) renderReviewPane();
+    });
+    return latestTokenCount;
+  }
+
+  // Count the selection and render the token panel. Every file goes
+  // through the token cache, which recounts only the files that are new or
+  // changed on disk since they were counted; while they are, the panel
+  // shows progress.
+  async function renderTokenCount(selectedFiles, tokenCount, comparison) {
+    const seq = ++tokenCountSeq;
+    const tokenizerNames = getTokenizerNames();
+
+    // Files with transformed content are counted as they are packed too
+    const transformed = hasContentTransforms(outputOptions);
+    const baseline = transformed ? getBaselineOptions(outputOptions) : null;
+    const counts = [[selectionStats, null]];
+    if (transformed) counts.push([transformedStats, outputOptions]);
+    if (baseline) counts.push([baselineStats, baseline]);
+    for (const [statsByFile, options] of counts) {
+      const counted = await tokenStats.getStats(
+        selectedFiles,
+        tokenizerNames,
+        (done, total) => {
+          if (
+            seq !== tokenCountSeq ||
+            total < TOKEN_JOB_SIZE ||
+            done === total
+          ) {
+            return;
+          }
+          tokenCount.setLabel(
+            ` {yellow-fg}counting… ${done}/${total}{/yellow-fg} `
+          );
+          screen.render();
+        },
+        options
+      );
+      for (const [file, stats] of counted) statsByFile.set(file, stats);
+      tokenStats.scheduleSave();
+    }
+
+    // In a diff mode, count the diffs that are packed too
+    let diff = null;
+    let diffCounts = null;
+    let diffError = null;
+    if (contentMode !== "file") {
+      try {
+        diff = getDiffOptions();
+        diffCounts = await diffStats.getStats(
+          diff.base,
+          selectedFiles,
+          diff.context,
+          tokenizerNames
+        );
+      } catch (e) {
+        diffError = e;
+      }
+    }
+
+    // A newer update renders the panel
+    if (seq !== tokenCountSeq) return;
+    tokenCount.removeLabel();
+
+    // Forget files that left the selection
+    const selected = new Set(selectedFiles);
+    for (const statsByFile of [
+      selectionStats,
+      transformedStats,
+      baselineStats,
+    ]) {
+      for (const file of statsByFile.keys()) {
+        if (!selected.has(file)) statsByFile.delete(file);
+      }
+    }
+
+    // Count just the selected lines of files with line ranges, and in a
+    // diff mode, the diffs that are packed
+    let contentText = "";
+    const rawStats = countRangeContent(
+      selectionRules.ranges,
+      selectionStats,
+      projectRoot,
+      tokenizerNames
+    );
+    const fileStats = transformed
+      ? countRangeContent(
+          selectionRules.ranges,
+          transformedStats,
+          projectRoot,
+          tokenizerNames,
+          outputOptions
+        )
+      : rawStats;
+    const beforeStats = baseline
+      ? countRangeContent(
+          selectionRules.ranges,
+          baselineStats,
+          projectRoot,
+          tokenizerNames,
+          baseline
+        )
+      : rawStats;
+    packedStats = fileStats;
+    let rawPackedStats = beforeStats;
+    if (diffCounts) {
+      packedStats = countDiffContent(
+        diffCounts,
+        fileStats,
+        diff.mode,
+        tokenizerNames
+      );
+      rawPackedStats = transformed
+        ? countDiffContent(diffCounts, beforeStats, diff.mode, tokenizerNames)
+        : packedStats;
+      contentText = `Content: ${diff.mode} against ${blessed.escape(diff.base)}\n`;
+    } else if (diffError) {
+      contentText = `{red-fg}Content: ${blessed.escape(diffError.message)}{/red-fg}\n`;
+    }
+
+    const totals = sumTokenCounts(selectedFiles, packedStats, tokenizerNames);
+
+    // What the transforms save, or cost
+    let transformText = "";
+    if (transformed) {
+      const raw = sumTokenCounts(
+        selectedFiles,
+        rawPackedStats,
+        tokenizerNames
+      ).tokens;
+      const change =
+        raw > 0 ? Math.round((totals.tokens / raw - 1) * 100) : 0;
+      const color = change > 0 ? "red" : "green";
+      transformText =
+        `Before transforms: ${raw} ` +
+        `({${color}-fg}${change > 0 ? "+" : ""}${change}%{/${color}-fg})\n`;
+    }
+    const {
+      lines: totalLines,
+      tokens: totalTokens,
+      chars: totalChars,
+    } = totals;
+    selectionTotals = totals;
+
+    // Counts of every tokenizer side by side
+    const tokenizerCounts = tokenizerNames
+      .map((name) => {
+        const count = `${getTokenizerLabel(name)}: ${totals.counts[name]}`;
+        return name === tokenizer ? `{bold}${count}{/bold}` : count;
+      })
+      .join("  ");
+
+    let comparisonText = "";
+    if (comparison) {
+      const compared = new Set(comparison.files);
+      const added = comparison.files.filter((f) => !selected.has(f));
+      const removed = selectedFiles.filter((f) => !compared.has(f));
+      const delta = comparison.totals.tokens - totalTokens;
+      const deltaColor = delta > 0 ? "red" : "green";
+      const overBudget = budget !== null && comparison.totals.tokens > budget;
+      comparisonText =
+        `\n\n{bold}${comparison.label}{/bold}\n` +
+        `Files: ${comparison.files.length} (+${added.length} / -${removed.length})\n` +
+        `Tokens: ${comparison.totals.tokens} ` +
+        `({${deltaColor}-fg}${delta >= 0 ? "+" : ""}${delta}{/${deltaColor}-fg})` +
+        (overBudget ? " {red-fg}over budget{/red-fg}" : "");
+    }
+
+    let budgetText = "";
+    if (budget !== null) {
+      budgetText =
+        ` / ${budget}\n` +
+        formatBudgetGauge(totalTokens, budget, config.budgetWarning);
+    }
+
+    tokenCount.setContent(
+      "{bold}Code Statistics{/bold}\n\n" +
+        `Selected Files: ${selectedFiles.length}\n` +
+        contentText +
+        `Lines of Code: ${totalLines}\n` +
+        `${getTokenizerLabel(tokenizer)} Tokens: ${totalTokens}` +
+        `${budgetText}\n` +
+        transformText +
+        `Characters: ${totalChars}` +
+        (comparisonText || `\n\n${tokenizerCounts}`)
+    );
+  }
+
+  // The file shown in the preview: its lines so far (ensure(count) reads
+  // more, done() tells whether all are read), render(i) giving line i as
+  // blessed tags, whether to number the lines and to select lines of it,
+  // the first line shown, the cursor, the first line being marked and the
+  // search
+  let preview = null;
+
+  // Open a file for the preview: a summary of binary files, bat's output
+  // when it is the configured previewer, or the file read on demand and
+  // highlighted natively (see highlightLine)
+  function openPreview(filePath) {
+    const sample = Buffer.alloc(FILE_SAMPLE_SIZE);
+    const fd = fs.openSync(filePath, "r");
+    let bytes;
+    try {
+      bytes = fs.readSync(fd, sample, 0, sample.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const fixed = (lines, render, selectable) => ({
+      lines,
+      ensure() {},
+      done: () => true,
+      close() {},
+      render,
+      numbered: false,
+      selectable,
+    });
+
+    if (isBinaryContent(sample.subarray(0, bytes))) {
+      const lines = formatBinarySummary(
+        sample.subarray(0, bytes),
+        fs.statSync(filePath).size
+      );
+      return fixed(lines, (i) => blessed.escape(lines[i]), false);
+    }
+
+    if (config.previewer === "bat" && batInstalled) {
+      const output = execFileSync(
+        getBatCommand(),
+        ["--color=always", "--style=numbers,changes", filePath],
+        {
+          encoding: "utf8",
+          maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+        }
+      );
+      const colored = output.replace(/\n$/, "").split("\n");
+      const lines = colored.map((line) =>
+        line.replace(/\x1b\[[0-9;]*m/g, "")
+      );
+      return fixed(lines, (i) => blessed.escape(colored[i]), true);
+    }
+
+    const reader = createLineReader(filePath);
+    const syntax = getHighlightSyntax(filePath);
+    const highlighted = [];
+    let state = null;
+    return {
+      lines: reader.lines,
+      ensure: reader.ensure,
+      done: () => reader.done,
+      close: reader.close,
+      // Lines are highlighted in order, as each depends on the one before
+      render(i) {
+        if (!syntax) {
+          return blessed.escape(reader.lines[i].slice(0, PREVIEW_LINE_LENGTH));
+        }
+        while (highlighted.length <= i) {
+          const result = highlightLine(
+            reader.lines[highlighted.length].slice(0, PREVIEW_LINE_LENGTH),
+            syntax,
+            state
+          );
+          highlighted.push(result.text);
+          state = result.state;
+        }
+        return highlighted[i];
+      },
+      numbered: true,
+      selectable: true,
+    };
   }
 
-  // Convert absolute paths to relative paths
-  const relativePaths = selectedFiles.map((file) =>
-    path.relative(process.cwd(), file)
-  );
+  // Preview a file in the preview popup
+  function previewFile(filePath) {
+    closePreview();
+    const relPath = path.relative(projectRoot, filePath);
+    previewBox.setLabel(` ${blessed.escape(relPath)} `);
+    previewBox.show();
+    previewBox.focus();
+    try {
+      preview = {
+        ...openPreview(filePath),
+        file: filePath,
+        top: 0,
+        cursor: 0,
+        mark: null,
+        query: null,
+        regex: null,
+        match: -1,
+        message: "",
+      };
+    } catch (error) {
+      previewBox.setContent(
+        "{red-fg}Error previewing file: " +
+          `${blessed.escape(error.message)}{/red-fg}`
+      );
+      screen.render();
+      return;
+    }
+    renderPreview();
+  }
 
-  // Create include pattern for repomix
-  const includePattern = relativePaths.join(",");
+  // Number of lines of code the preview shows (without its status lines)
+  const getPreviewHeight = () => Math.max(1, previewBox.height - 4);
 
-  try {
-    const output = execSync(
-      `npx repomix --include "${includePattern}" --prompt "${prompt}"`,
-      {
-        encoding: "utf8",
+  // Lines of the previewed file that are selected: its line ranges, all
+  // of it when the whole file is selected, or none
+  function getPreviewSelection() {
+    const ranges = selectionRules.ranges.get(preview.file);
+    if (ranges) return ranges;
+    if (!selectedFiles.includes(preview.file)) return [];
+    preview.ensure(Infinity);
+    return [[1, preview.lines.length]];
+  }
+
+  // Render the lines of the preview in view, with the cursor, the selected
+  // lines and the search matches highlighted, and its status lines
+  function renderPreview() {
+    const height = getPreviewHeight();
+    const { lines } = preview;
+    preview.ensure(Math.max(preview.top, preview.cursor) + height + 1);
+    if (preview.selectable) {
+      preview.cursor = Math.max(
+        0,
+        Math.min(preview.cursor, lines.length - 1)
+      );
+      preview.top = Math.min(preview.top, preview.cursor);
+      preview.top = Math.max(preview.top, preview.cursor - height + 1);
+    }
+    preview.top = Math.max(0, Math.min(preview.top, lines.length - height));
+    const end = Math.min(preview.top + height, lines.length);
+    const width = Math.max(3, String(lines.length).length);
+
+    const ranges = selectionRules.ranges.get(preview.file);
+    const whole = !ranges && selectedFiles.includes(preview.file);
+    const marked =
+      preview.mark === null
+        ? null
+        : [
+            Math.min(preview.mark, preview.cursor),
+            Math.max(preview.mark, preview.cursor),
+          ];
+    const inRanges = (i) =>
+      whole || (ranges || []).some(([start, end]) => i + 1 >= start && i < end);
+
+    let content = "";
+    for (let i = preview.top; i < end; i++) {
+      let gutter = "";
+      if (preview.selectable) {
+        if (marked && i >= marked[0] && i <= marked[1]) {
+          gutter = "{yellow-fg}▌{/yellow-fg}";
+        } else if (inRanges(i)) {
+          gutter = "{green-fg}▌{/green-fg}";
+        } else {
+          gutter = " ";
+        }
       }
-    );
-    return output;
-  } catch (e) {
-    console.error("Failed to run repomix:", e.message);
-    return null;
+      const cursor = preview.selectable && i === preview.cursor;
+      if (preview.numbered) {
+        const color = i === preview.match ? "yellow-fg" : "gray-fg";
+        const number = String(i + 1).padStart(width);
+        gutter += cursor
+          ? `{inverse}${number}{/inverse} `
+          : `{${color}}${number}{/${color}} `;
+      } else if (preview.selectable) {
+        gutter += cursor ? "{bold}▶{/bold} " : "  ";
+      }
+      content += `${gutter}${renderPreviewLine(i)}\n`;
+    }
+    content += "\n".repeat(height - (end - preview.top));
+
+    let selection = "not selected";
+    if (ranges) selection = `lines ${formatLineRanges(ranges)}`;
+    else if (whole) selection = "whole file";
+    content +=
+      `{gray-fg}Lines ${preview.top + 1}-${end} of ${lines.length}` +
+      `${preview.done() ? "" : "+"}` +
+      (preview.selectable ? ` | Selected: ${selection}` : "") +
+      "{/gray-fg}" +
+      (preview.message ? ` ${preview.message}` : "") +
+      "\n{gray-fg}" +
+      (preview.selectable
+        ? "v: mark lines | x: unmark | o: outline | "
+        : "") +
+      "/: search | n/N: next/previous | esc: close{/gray-fg}";
+    previewBox.setContent(content);
+    screen.render();
   }
-}
 
-// Setup blessed UI
-function setupUI() {
-  const screen = blessed.screen({
-    smartCSR: true,
-    title: "cherrypiq",
-    fullUnicode: true,
+  // Render a line of the preview: highlighted, or with the search matches
+  // shown inverted
+  function renderPreviewLine(i) {
+    const line = preview.lines[i].slice(0, PREVIEW_LINE_LENGTH);
+    if (!preview.regex) return preview.render(i);
+    let text = "";
+    let last = 0;
+    let match;
+    preview.regex.lastIndex = 0;
+    while ((match = preview.regex.exec(line))) {
+      text += blessed.escape(line.slice(last, match.index));
+      text += `{inverse}${blessed.escape(match[0])}{/inverse}`;
+      last = match.index + match[0].length;
+      // Avoid looping forever on empty matches
+      if (!match[0].length) preview.regex.lastIndex++;
+    }
+    if (last === 0) return preview.render(i);
+    return text + blessed.escape(line.slice(last));
+  }
+
+  // Move the preview's cursor by a number of lines, scrolling to keep it
+  // in view, or just scroll a preview without a cursor
+  function scrollPreview(offset) {
+    if (!preview) return;
+    if (preview.selectable) {
+      preview.cursor = Math.max(0, preview.cursor + offset);
+    } else {
+      preview.top = Math.max(0, preview.top + offset);
+    }
+    preview.message = "";
+    renderPreview();
+  }
+
+  // Move to the next (direction 1) or previous (-1) line matching the
+  // search, reading more of the file as needed
+  function findPreviewMatch(direction) {
+    if (!preview || !preview.regex) return;
+    const { lines, regex } = preview;
+    let i = preview.selectable ? preview.cursor : preview.top;
+    if (preview.match !== -1) {
+      i = (preview.selectable ? preview.cursor : preview.match) + direction;
+    }
+    for (; i >= 0; i += direction) {
+      if (i >= lines.length) preview.ensure(i + 1);
+      if (i >= lines.length) break;
+      regex.lastIndex = 0;
+      if (regex.test(lines[i])) {
+        preview.match = i;
+        preview.cursor = i;
+        preview.top = i - Math.floor(getPreviewHeight() / 3);
+        preview.message = "";
+        renderPreview();
+        return;
+      }
+    }
+    preview.message =
+      `{red-fg}No more matches for ` +
+      `"${blessed.escape(preview.query)}"{/red-fg}`;
+    renderPreview();
+  }
+
+  // Close the preview and the file it reads
+  function closePreview() {
+    if (preview) preview.close();
+    preview = null;
+  }
+
+  previewBox.key(["j", "down"], () => scrollPreview(1));
+  previewBox.key(["k", "up"], () => scrollPreview(-1));
+  previewBox.key(["C-d", "pagedown", "space"], () =>
+    scrollPreview(getPreviewHeight())
+  );
+  previewBox.key(["C-u", "pageup"], () => scrollPreview(-getPreviewHeight()));
+  previewBox.key(["g", "home"], () => scrollPreview(-Infinity));
+  previewBox.key(["G", "end"], () => {
+    if (!preview) return;
+    preview.ensure(Infinity);
+    scrollPreview(preview.lines.length);
   });
+  previewBox.on("wheeldown", () => scrollPreview(3));
+  previewBox.on("wheelup", () => scrollPreview(-3));
 
-  // Left column for file navigation
-  const leftColumn = blessed.box({
-    top: 0,
-    left: 0,
-    width: "60%",
-    height: "100%",
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-    },
+  // /: search the previewed file; n/N: next/previous match
+  previewBox.key("/", async () => {
+    if (!preview) return;
+    const query = await askText("Search in file:", preview.query || "");
+    previewBox.focus();
+    if (!preview) return;
+    preview.query = query || null;
+    preview.regex = query ? buildSearchRegex(query) : null;
+    preview.match = -1;
+    preview.message = "";
+    if (preview.regex) findPreviewMatch(1);
+    else renderPreview();
   });
+  previewBox.key("n", () => findPreviewMatch(1));
+  previewBox.key("S-n", () => findPreviewMatch(-1));
 
-  // File list
-  const list = blessed.box({
-    parent: leftColumn,
-    top: 1, // Leave space for path display
-    left: 0,
-    width: "100%-2", // Account for borders
-    height: "100%-4", // Account for borders and path display
-    keys: true,
-    vi: true,
-    mouse: true,
-    tags: true,
-    scrollable: true,
-    alwaysScroll: true,
-    scrollbar: {
-      ch: " ",
-      track: {
-        bg: "gray",
-      },
-      style: {
-        inverse: true,
-      },
-    },
+  // v: mark lines from the cursor, and select them when pressed again
+  previewBox.key("v", async () => {
+    if (!preview || !preview.selectable) return;
+    if (preview.mark === null) {
+      preview.mark = preview.cursor;
+      preview.message = "Move to the last line and press v again";
+      renderPreview();
+      return;
+    }
+    const start = Math.min(preview.mark, preview.cursor) + 1;
+    const end = Math.max(preview.mark, preview.cursor) + 1;
+    preview.mark = null;
+    preview.message = "";
+    await selectRanges(preview.file, [
+      ...(selectionRules.ranges.get(preview.file) || []),
+      [start, end],
+    ]);
   });
 
-  // Right column
-  const rightColumn = blessed.box({
-    top: 0,
-    right: 0,
-    width: "40%",
-    height: "100%",
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-    },
+  // x: unselect the marked lines, or the selected lines under the cursor
+  previewBox.key("x", async () => {
+    if (!preview || !preview.selectable) return;
+    const ranges = getPreviewSelection();
+    let removed = null;
+    if (preview.mark !== null) {
+      removed = [
+        Math.min(preview.mark, preview.cursor) + 1,
+        Math.max(preview.mark, preview.cursor) + 1,
+      ];
+      preview.mark = null;
+    } else {
+      const line = preview.cursor + 1;
+      removed = ranges.find(([start, end]) => line >= start && line <= end);
+    }
+    if (!removed) {
+      preview.message = `Line ${preview.cursor + 1} is not selected`;
+      renderPreview();
+      return;
+    }
+    preview.message = "";
+    await selectRanges(preview.file, subtractLineRange(ranges, removed));
   });
 
-  // Token count display in top half of right column
-  const tokenCount = blessed.box({
-    parent: rightColumn,
-    top: 1,
-    left: 1,
-    width: "100%-2",
-    height: "30%",
-    content: "Token Count: 0",
-    tags: true,
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-    },
+  // o: show the functions and classes of the previewed file, to select
+  // them or go to them
+  let outlineItems = [];
+
+  previewBox.key("o", () => {
+    if (!preview || !preview.selectable) return;
+    let outline = null;
+    try {
+      outline = parseOutline(
+        fs.readFileSync(preview.file, "utf8"),
+        preview.file
+      );
+    } catch (error) {
+      preview.message = `{red-fg}${blessed.escape(error.message)}{/red-fg}`;
+      renderPreview();
+      return;
+    }
+    if (!outline || outline.length === 0) {
+      preview.message = outline
+        ? "No functions or classes found"
+        : "No outline for this type of file";
+      renderPreview();
+      return;
+    }
+    outlineItems = outline;
+    renderOutline();
+    // Start at the innermost item around the cursor
+    const line = preview.cursor + 1;
+    let current = 0;
+    outline.forEach((item, index) => {
+      if (item.start <= line && item.end >= line) current = index;
+    });
+    outlinePicker.select(current);
+    outlinePicker.show();
+    outlinePicker.focus();
+    screen.render();
   });
 
-  // Command help in bottom half of right column
-  const commandHelp = blessed.box({
-    parent: rightColumn,
-    top: "30%",
-    left: 1,
-    width: "100%-2",
-    height: "70%",
-    content:
-      "{bold}Commands{/bold}\n\n" +
-      "Navigation:\n" +
-      "  j/↓: Move down\n" +
-      "  k/↑: Move up\n" +
-      "  g: Go to top\n" +
-      "  G: Go to bottom\n" +
-      "  h/←: Go up dir\n" +
-      "  l/→/enter: Open dir\n\n" +
-      "Selection:\n" +
-      "  space: Select file/dir\n" +
-      "  p: Preview file\n" +
-      "  esc: Close preview\n\n" +
-      "Actions:\n" +
-      "  r: Run repomix\n" +
-      "  c: Copy to clipboard\n" +
-      "  i: Input prompt\n" +
-      "  R: Launch ranger\n" +
-      "  ?: Toggle help\n" +
-      "  q: Quit",
-    tags: true,
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-    },
+  // Render the outline, checking the items whose lines are all selected
+  function renderOutline() {
+    const ranges = getPreviewSelection();
+    outlinePicker.setItems(
+      outlineItems.map((item) => {
+        const checked = ranges.some(
+          ([start, end]) => start <= item.start && end >= item.end
+        );
+        const lines = formatLineRanges([[item.start, item.end]]);
+        return (
+          `${"  ".repeat(item.depth)}${checked ? "[✓]" : "[ ]"} ` +
+          `{gray-fg}${item.kind}{/gray-fg} ${blessed.escape(item.name)} ` +
+          `{gray-fg}${lines}{/gray-fg}`
+        );
+      })
+    );
+    screen.render();
+  }
+
+  // space: select or unselect the lines of the item under the cursor
+  outlinePicker.key("space", async () => {
+    const item = outlineItems[outlinePicker.selected];
+    if (!item || !preview) return;
+    const ranges = getPreviewSelection();
+    const lines = [item.start, item.end];
+    const checked = ranges.some(
+      ([start, end]) => start <= item.start && end >= item.end
+    );
+    if (checked) {
+      await selectRanges(preview.file, subtractLineRange(ranges, lines));
+    } else {
+      await selectRanges(preview.file, [
+        ...(selectionRules.ranges.get(preview.file) || []),
+        lines,
+      ]);
+    }
+    renderOutline();
   });
 
-  // Path display at top of left column
-  const pathDisplay = blessed.box({
-    parent: leftColumn,
-    top: 0,
-    left: 0,
-    width: "100%-2",
-    height: 1,
-    content: process.cwd(),
-    style: {
-      bg: "blue",
-      fg: "white",
-    },
+  // enter: go to the item in the preview
+  outlinePicker.on("select", (item, index) => {
+    outlinePicker.hide();
+    previewBox.focus();
+    if (!preview) return;
+    preview.cursor = outlineItems[index].line - 1;
+    preview.mark = null;
+    preview.message = "";
+    renderPreview();
+  });
+  outlinePicker.key(["escape"], () => {
+    outlinePicker.hide();
+    previewBox.focus();
+    if (preview) renderPreview();
+    else screen.render();
   });
 
-  // Selected count display at bottom of left column
-  const selectedCount = blessed.box({
-    parent: leftColumn,
-    bottom: 0,
-    left: 0,
-    width: "100%-2",
-    height: 1,
-    content: "Selected: 0",
-    tags: true,
-    style: {
-      bg: "blue",
-      fg: "white",
-    },
+  // p: preview the file under the cursor
+  screen.key("p", () => {
+    if (screen.focused !== list) return;
+    const item = currentItems[selectedIndex];
+    if (!item || item.isDir) return;
+    previewFile(item.path);
   });
 
-  // Preview popup for bat
-  const previewBox = blessed.box({
-    top: "center",
-    left: "center",
-    width: "80%",
-    height: "80%",
-    hidden: true,
-    border: {
-      type: "line",
-    },
-    style: {
-      border: {
-        fg: "white",
-      },
-    },
-    tags: true,
-    scrollable: true,
-    alwaysScroll: true,
-    keys: true,
-    vi: true,
-    mouse: true,
+  // esc: stop marking lines, or close the preview
+  previewBox.key("escape", () => {
+    if (preview && preview.mark !== null) {
+      preview.mark = null;
+      preview.message = "";
+      renderPreview();
+      return;
+    }
+    closePreview();
+    previewBox.hide();
+    list.focus();
+    screen.render();
+  });
+
+  // c: pack the selected files and copy the output to the clipboard
+  screen.key("c", async () => {
+    if (screen.focused !== list) return;
+    await packSelection({ copy: true });
+  });
+
+  // i: pick a prompt template, edit the prompt and pack the selection with
+  // it. Variables in the prompt are filled in when it is packed.
+  let promptTemplates = [];
+  let promptVariables = {};
+  let promptHistory = loadPromptHistory(projectRoot);
+  let promptHistoryIndex = -1; // -1 for the prompt being written
+  let promptDraft = "";
+
+  screen.key("i", () => {
+    if (screen.focused !== list) return;
+    promptTemplates = loadPromptTemplates(projectRoot);
+    templatePicker.setItems([
+      "{gray-fg}Empty prompt{/gray-fg}",
+      ...promptTemplates.map(
+        (template) =>
+          `${blessed.escape(template.name)} ` +
+          `{gray-fg}(${template.source}) ` +
+          `${blessed.escape(template.text.split("\n")[0])}{/gray-fg}`
+      ),
+    ]);
+    templatePicker.select(0);
+    templatePicker.show();
+    templatePicker.focus();
+    screen.render();
+  });
+
+  templatePicker.on("select", (item, index) => {
+    const template = promptTemplates[index - 1];
+    templatePicker.hide();
+    openPromptEditor(template ? template.text : "");
   });
+  templatePicker.key(["escape"], () => {
+    templatePicker.hide();
+    list.focus();
+    screen.render();
+  });
+
+  // Open the prompt editor with a prompt
+  function openPromptEditor(text) {
+    promptVariables = getPromptVariables(
+      projectRoot,
+      selectedFiles,
+      config.gitBase
+    );
+    promptHistoryIndex = -1;
+    promptInput.setValue(text);
+    promptBox.show();
+    promptInput.focus();
+    updatePromptLabel();
+  }
 
-  // Prompt input box
-  const { promptBox, promptInput } = createPromptInput(screen);
+  // Show the tokens of the filled-in prompt, and the total with the
+  // selection, in the editor's label
+  function updatePromptLabel() {
+    const prompt = renderPromptTemplate(
+      promptInput.getValue(),
+      promptVariables
+    ).trim();
+    const tokens = countText(prompt, [tokenizer]).tokens;
+    const total = selectionTotals.tokens + tokens;
+    const color = budget !== null && total > budget ? "red" : "green";
+    promptBox.setLabel(
+      ` Prompt: ${formatCount(tokens)} tokens, total ` +
+        `{${color}-fg}${formatCount(total)}{/${color}-fg}` +
+        (budget !== null ? ` / ${formatCount(budget)}` : "") +
+        " "
+    );
+    screen.render();
+  }
 
-  screen.append(leftColumn);
-  screen.append(rightColumn);
-  screen.append(previewBox);
-  screen.append(promptBox);
+  // Replace the prompt with an older (step 1) or newer (step -1) one from
+  // the history, keeping what was being written
+  function showPromptHistory(step) {
+    const index = promptHistoryIndex + step;
+    if (index < -1 || index >= promptHistory.length) return;
+    if (promptHistoryIndex === -1) promptDraft = promptInput.getValue();
+    promptHistoryIndex = index;
+    promptInput.setValue(index === -1 ? promptDraft : promptHistory[index]);
+    updatePromptLabel();
+  }
 
-  return {
-    screen,
-    list,
-    pathDisplay,
-    selectedCount,
-    tokenCount,
-    commandHelp,
-    previewBox,
-    promptBox,
-    promptInput,
-  };
-}
+  promptInput.on("keypress", () => setImmediate(updatePromptLabel));
+  promptInput.key("C-p", () => showPromptHistory(1));
+  promptInput.key("C-n", () => showPromptHistory(-1));
 
-// Main function
-async function main() {
-  const ui = setupUI();
-  const {
-    screen,
-    list,
-    pathDisplay,
-    selectedCount,
-    tokenCount,
-    commandHelp,
-    previewBox,
-    promptBox,
-    promptInput,
-  } = ui;
+  // C-s: pack with the prompt. The text area only cancels, so the prompt is
+  // read before it stops reading input.
+  promptInput.key("C-s", async () => {
+    const text = promptInput.getValue().trim();
+    promptInput.cancel();
+    if (!text) return;
+    promptHistory = savePromptHistory(projectRoot, text);
+    await packSelection({
+      instruction: renderPromptTemplate(text, promptVariables),
+    });
+  });
 
-  let currentDir = process.cwd();
-  let currentItems = [];
-  let selectedFiles = [];
-  let selectedIndex = 0; // Current selection index
-  let scrollOffset = 0; // Scroll offset for the list
+  promptInput.on("cancel", () => {
+    promptBox.hide();
+    list.focus();
+    screen.render();
+  });
 
-  // Load initial directory
-  const gitignorePatterns = await getGitignorePatterns(currentDir);
-  currentItems = await getDirectoryContent(
-    currentDir,
-    gitignorePatterns,
-    selectedFiles
-  );
+  // Reload the current directory listing (e.g. after the selection changed)
+  async function reloadDirectory() {
+    pathDisplay.setContent(currentDir);
+    treeChildren.clear();
+    await loadTreeChildren(currentDir);
+    flattenItems();
+    selectedIndex = Math.min(selectedIndex, Math.max(currentItems.length - 1, 0));
+    sortItems();
+    loadAnnotations();
+  }
 
-  // Calculate visible height (accounting for borders)
-  const getVisibleHeight = () => list.height - 2;
+  // Read a directory's entries, and in tree mode those of its expanded
+  // subdirectories
+  async function loadTreeChildren(dir) {
+    const items = await getDirectoryContent(
+      dir,
+      gitignorePatterns,
+      selectionRules,
+      classify
+    );
+    treeChildren.set(dir, items);
+    if (!treeMode) return;
+    for (const item of items) {
+      if (item.isDir && expandedDirs.has(item.path)) {
+        await loadTreeChildren(item.path);
+      }
+    }
+  }
 
-  // Render the file list with custom implementation
-  function renderList() {
-    const visibleHeight = getVisibleHeight();
+  // Flatten the loaded directories into the rows of the listing. Each row
+  // gets its depth and the indentation guide drawn before its name.
+  function flattenItems() {
+    currentItems = [];
+    const walk = (dir, depth, indent) => {
+      const items = treeChildren.get(dir) || [];
+      items.forEach((item, i) => {
+        const last = i === items.length - 1;
+        item.depth = depth;
+        item.guide = treeMode ? indent + (last ? "└─ " : "├─ ") : "";
+        currentItems.push(item);
+        if (treeMode && item.isDir && expandedDirs.has(item.path)) {
+          walk(item.path, depth + 1, indent + (last ? "   " : "│  "));
+        }
+      });
+    };
+    walk(currentDir, 0, "");
+  }
 
-    // Ensure scroll offset is valid
-    if (selectedIndex < scrollOffset) {
-      scrollOffset = selectedIndex;
-    } else if (selectedIndex >= scrollOffset + visibleHeight) {
-      scrollOffset = selectedIndex - visibleHeight + 1;
+  // Sort each directory by the sort mode, keeping directories first and
+  // the highlighted item under the cursor
+  function sortItems() {
+    const highlighted = currentItems[selectedIndex];
+    const value = (item) => {
+      const annotation = annotations.get(item.path);
+      if (!annotation) return -1;
+      return sortMode === "mtime" ? annotation.mtimeMs : annotation[sortMode];
+    };
+    for (const items of treeChildren.values()) {
+      items.sort((a, b) => {
+        if (a.isDir && !b.isDir) return -1;
+        if (!a.isDir && b.isDir) return 1;
+        if (sortMode !== "name") {
+          const diff = value(b) - value(a);
+          if (diff !== 0) return diff;
+        }
+        return a.name.localeCompare(b.name);
+      });
     }
+    flattenItems();
+    if (highlighted) selectedIndex = Math.max(currentItems.indexOf(highlighted), 0);
+  }
 
-    // Create content for the box
-    let content = "";
+  // Show a file in the listing: in tree mode its directories under the
+  // current one are expanded, otherwise its directory is opened
+  async function goToFile(file) {
+    if (treeMode && file.startsWith(currentDir + path.sep)) {
+      for (
+        let dir = path.dirname(file);
+        dir !== currentDir;
+        dir = path.dirname(dir)
+      ) {
+        expandedDirs.add(dir);
+      }
+    } else {
+      currentDir = path.dirname(file);
+      scrollOffset = 0;
+    }
+    await reloadDirectory();
+    selectedIndex = Math.max(
+      currentItems.findIndex((item) => item.path === file),
+      0
+    );
+  }
 
-    // Only render visible items
-    const visibleItems = currentItems.slice(
-      scrollOffset,
-      scrollOffset + visibleHeight
+  // v: toggle between the directory listing and the tree view
+  screen.key("v", async () => {
+    if (screen.focused !== list) return;
+    treeMode = !treeMode;
+    saveProjectConfig(projectRoot, { tree: treeMode });
+    statusMessage = `View: ${treeMode ? "tree" : "list"}`;
+    const highlighted = currentItems[selectedIndex];
+    await reloadDirectory();
+    selectedIndex = Math.max(
+      currentItems.findIndex((item) => highlighted && item.path === highlighted.path),
+      0
     );
+    renderList();
+  });
 
-    visibleItems.forEach((item, idx) => {
-      const isSelected = idx + scrollOffset === selectedIndex;
-      let prefix = item.isDir ? "[+] " : "    ";
-      prefix = item.selected ? "{red-fg}[✓]{/red-fg} " : prefix;
+  // Compute sizes and token counts of the listing in the background:
+  // files first, then the recursive totals of each directory (see
+  // createDirectoryTotals, which spares listing unchanged directories
+  // again). Callers don't wait for it, so errors (such as unreadable
+  // directories) are shown in the status bar instead of rejecting.
+  async function loadAnnotations() {
+    const seq = ++annotationSeq;
+    try {
+      if (!annotationMode && sortMode === "name") return;
+      const visible = currentItems.filter((item) => !item.ignored);
 
-      let display = item.name;
-      if (item.isDir) {
-        display = "{bold}" + display + "/{/bold}";
-      }
-      if (item.ignored) {
-        display = "{grey-fg}" + display + "{/grey-fg}";
-      }
-      if (item.selected) {
-        display = "{yellow-fg}" + display + "{/yellow-fg}";
+      const files = visible
+        .filter((item) => !item.isDir)
+        .map((item) => item.path);
+      const fileStats = await tokenStats.getStats(files, [tokenizer]);
+      if (seq !== annotationSeq) return;
+      for (const [file, stats] of fileStats) {
+        annotations.set(file, {
+          tokens: stats.counts[tokenizer],
+          size: stats.size || 0,
+          mtimeMs: stats.mtimeMs || 0,
+        });
       }
+      sortItems();
+      renderList();
 
-      // Highlight selected item
-      if (isSelected) {
-        content += `{blue-bg}${prefix}${display}{/blue-bg}\n`;
-      } else {
-        content += `${prefix}${display}\n`;
+      for (const item of visible.filter((item) => item.isDir)) {
+        const total = await dirTotals.getTotal(item.path, tokenizer);
+        if (seq !== annotationSeq) return;
+        annotations.set(item.path, total);
+        sortItems();
+        renderList();
       }
+      sortItems();
+      renderList();
+      tokenStats.scheduleSave();
+    } catch (e) {
+      if (seq !== annotationSeq) return;
+      statusMessage = `{red-fg}Annotations: ${blessed.escape(e.message)}{/red-fg}`;
+      renderList();
+    }
+  }
+
+  // a: cycle the file list annotation (none, tokens, size)
+  screen.key("a", () => {
+    if (screen.focused !== list) return;
+    annotationMode =
+      ANNOTATION_MODES[
+        (ANNOTATION_MODES.indexOf(annotationMode) + 1) % ANNOTATION_MODES.length
+      ];
+    saveProjectConfig(projectRoot, { annotation: annotationMode });
+    statusMessage = `Annotation: ${annotationMode || "off"}`;
+    renderList();
+    loadAnnotations();
+  });
+
+  // s: cycle the sort order of the listing
+  screen.key("s", () => {
+    if (screen.focused !== list) return;
+    sortMode = SORT_MODES[(SORT_MODES.indexOf(sortMode) + 1) % SORT_MODES.length];
+    saveProjectConfig(projectRoot, { sort: sortMode });
+    statusMessage = `Sort: ${sortMode}`;
+    sortItems();
+    renderList();
+    loadAnnotations();
+  });
+
+  // Ask for a line of text; resolves to null when cancelled
+  function askText(label, initial = "") {
+    return new Promise((resolve) => {
+      textPrompt.input(label, initial, (err, value) => {
+        resolve(err || value == null ? null : value.trim());
+      });
     });
+  }
 
-    // Set content and update UI
-    list.setContent(content);
-    selectedCount.setContent(`Selected: ${selectedFiles.length}`);
+  // Ask a yes/no question
+  function askConfirm(text) {
+    return new Promise((resolve) => {
+      confirmDialog.ask(text, (err, ok) => resolve(!err && !!ok));
+    });
+  }
+
+  // Replace the selection with a profile's rules
+  async function applyProfile(name) {
+    const resolved = await resolveProfile(
+      projectRoot,
+      profileData.profiles[name],
+      gitignorePatterns,
+      classify
+    );
+    selectionRules = resolved.rules;
+    selectedFiles = resolved.files;
+    saveSelectionState(projectRoot, selectionRules);
+    await reloadDirectory();
+  }
+
+  // Store the selection rules in a profile, keeping its globs. Rules for
+  // paths its globs match are left to the globs.
+  function storeProfile(name) {
+    const previous = profileData.profiles[name] || {};
+    const byGlob = (patterns) => (rulePath) =>
+      !(patterns || []).some((pattern) =>
+        minimatch(path.relative(projectRoot, rulePath), pattern)
+      );
+    profileData.profiles[name] = createProfile(
+      projectRoot,
+      createSelectionRules(
+        selectionRules.include.filter(byGlob(previous.include)),
+        selectionRules.exclude.filter(byGlob(previous.exclude)),
+        selectionRules.order,
+        selectionRules.ranges
+      ),
+      previous
+    );
+    saveProfiles(projectRoot, profileData);
+  }
+
+  // Get the profile highlighted in the picker
+  function getPickedProfile() {
+    const names = Object.keys(profileData.profiles).sort();
+    return names[profilePicker.selected] || null;
+  }
+
+  // Fill the picker with the saved profiles
+  function renderProfilePicker(selectName) {
+    const names = Object.keys(profileData.profiles).sort();
+    if (names.length === 0) {
+      profilePicker.setItems([
+        "{gray-fg}No profiles yet - press s to save the current selection{/gray-fg}",
+      ]);
+    } else {
+      profilePicker.setItems(
+        names.map((name) => {
+          const profile = profileData.profiles[name];
+          const marker =
+            name === profileData.active ? "{green-fg}*{/green-fg} " : "  ";
+          const globs =
+            profile.include.length + profile.exclude.length > 0
+              ? `, +${profile.include.length}/-${profile.exclude.length} globs`
+              : "";
+          const paths =
+            (profile.rules || {}).include || profile.selectedFiles || [];
+          return `${marker}${name} {gray-fg}(${paths.length} paths${globs}){/gray-fg}`;
+        })
+      );
+    }
+    const index = names.indexOf(selectName || profileData.active);
+    profilePicker.select(Math.max(index, 0));
     screen.render();
   }
 
-  // Initial render
-  renderList();
+  // Show the token difference between the selection and a profile
+  let profilePreviewSeq = 0;
+  async function previewProfile(name) {
+    const seq = ++profilePreviewSeq;
+    if (!name) {
+      await updateTokenCount(selectedFiles, tokenCount);
+    } else {
+      const { files } = await resolveProfile(
+        projectRoot,
+        profileData.profiles[name],
+        gitignorePatterns,
+        classify
+      );
+      const totals = sumTokenCounts(
+        files,
+        await tokenStats.getStats(files, [tokenizer]),
+        [tokenizer]
+      );
+      if (seq !== profilePreviewSeq) return;
+      await updateTokenCount(selectedFiles, tokenCount, {
+        label: `Profile: ${name}`,
+        files,
+        totals,
+      });
+    }
+    if (seq === profilePreviewSeq) screen.render();
+  }
 
-  // Custom key handling
-  screen.key(["j", "down"], () => {
-    if (selectedIndex < currentItems.length - 1) {
-      selectedIndex++;
+  // Close the picker and refresh the main view
+  async function closeProfilePicker() {
+    profilePreviewSeq++;
+    profilePicker.hide();
+    list.focus();
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  }
+
+  // Ask before packing a selection that exceeds the budget
+  // (extraTokens: tokens packed with it, such as a prompt's)
+  async function confirmWithinBudget(extraTokens = 0) {
+    // Directories may have gained or lost files since they were selected
+    await refreshSelection();
+    await updateTokenCount(selectedFiles, tokenCount);
+    const tokens = selectionTotals.tokens + extraTokens;
+    if (budget === null || tokens <= budget) return true;
+    return askConfirm(
+      `{red-fg}${extraTokens > 0 ? "Selection and prompt are" : "Selection is"} ` +
+        `${tokens} tokens, over the budget of ${budget}.{/red-fg} ` +
+        "Continue anyway? (y/n)"
+    );
+  }
+
+  // t: cycle through the tokenizers
+  screen.key("t", async () => {
+    if (screen.focused !== list) return;
+    const names = Object.keys(tokenizers);
+    tokenizer = names[(names.indexOf(tokenizer) + 1) % names.length];
+    saveProjectConfig(projectRoot, { tokenizer });
+    statusMessage = `Tokenizer: ${getTokenizerLabel(tokenizer)}`;
+    annotations.clear();
+    loadAnnotations();
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  });
+
+  // D: cycle what is packed for each file: the file, its diff or both
+  screen.key("S-d", async () => {
+    if (screen.focused !== list) return;
+    contentMode =
+      CONTENT_MODES[
+        (CONTENT_MODES.indexOf(contentMode) + 1) % CONTENT_MODES.length
+      ];
+    saveProjectConfig(projectRoot, { content: contentMode });
+    statusMessage = `Content: ${contentMode}`;
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  });
+
+  // b: set the token budget for this project
+  screen.key("b", async () => {
+    if (screen.focused !== list) return;
+    const value = await askText(
+      "Token budget (e.g. 128k or gpt-4o, empty to clear):",
+      config.budget === null ? "" : String(config.budget)
+    );
+    if (value === null) return;
+    try {
+      budget = resolveBudget(value);
+    } catch (e) {
+      statusMessage = `{red-fg}${e.message}{/red-fg}`;
       renderList();
+      return;
     }
+    config.budget = value || null;
+    saveProjectConfig(projectRoot, { budget: config.budget });
+    statusMessage = budget === null ? "Budget cleared" : `Budget: ${budget}`;
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
   });
 
-  screen.key(["k", "up"], () => {
-    if (selectedIndex > 0) {
-      selectedIndex--;
-      renderList();
+  // Save the selection as a named profile (prompting for the name)
+  async function saveProfileAs(initialName) {
+    const name = await askText("Save selection as profile:", initialName || "");
+    if (!name) return null;
+    storeProfile(name);
+    if (!profileData.active) {
+      profileData.active = name;
+      saveProfiles(projectRoot, profileData);
     }
+    statusMessage = `Saved profile ${name}`;
+    return name;
+  }
+
+  // P: open the profile picker
+  screen.key("S-p", () => {
+    if (screen.focused !== list) return;
+    renderProfilePicker();
+    profilePicker.show();
+    profilePicker.focus();
+    screen.render();
+    previewProfile(getPickedProfile());
   });
 
-  screen.key(["g", "home"], () => {
-    if (currentItems.length > 0) {
-      selectedIndex = 0;
-      renderList();
+  // S: save the selection as a profile
+  screen.key("S-s", async () => {
+    if (screen.focused !== list) return;
+    await saveProfileAs(profileData.active);
+    renderList();
+  });
+
+  profilePicker.on("select item", () => {
+    if (profilePicker.visible) previewProfile(getPickedProfile());
+  });
+
+  profilePicker.key(["escape"], () => closeProfilePicker());
+
+  // enter: switch to a profile, storing the selection in the active one
+  profilePicker.on("select", async () => {
+    const name = getPickedProfile();
+    if (!name) return;
+    if (profileData.active && profileData.profiles[profileData.active]) {
+      storeProfile(profileData.active);
     }
+    profileData.active = name;
+    saveProfiles(projectRoot, profileData);
+    await applyProfile(name);
+    statusMessage = `Switched to ${name}`;
+    await closeProfilePicker();
   });
 
-  screen.key(["G", "end"], () => {
-    if (currentItems.length > 0) {
-      selectedIndex = currentItems.length - 1;
+  // l: load a profile's files without changing the active profile
+  profilePicker.key("l", async () => {
+    const name = getPickedProfile();
+    if (!name) return;
+    await applyProfile(name);
+    statusMessage = `Loaded ${name}`;
+    await closeProfilePicker();
+  });
+
+  // s: save the selection into a (new or existing) profile
+  profilePicker.key("s", async () => {
+    const name = await saveProfileAs(getPickedProfile());
+    renderProfilePicker(name);
+    previewProfile(getPickedProfile());
+  });
+
+  // n: rename a profile
+  profilePicker.key("n", async () => {
+    const name = getPickedProfile();
+    if (!name) return;
+    const newName = await askText(`Rename profile ${name} to:`, name);
+    if (!newName || newName === name) return;
+    if (profileData.profiles[newName]) {
+      statusMessage = `{red-fg}Profile ${newName} already exists{/red-fg}`;
       renderList();
+      return;
     }
+    profileData.profiles[newName] = profileData.profiles[name];
+    delete profileData.profiles[name];
+    if (profileData.active === name) profileData.active = newName;
+    saveProfiles(projectRoot, profileData);
+    renderProfilePicker(newName);
   });
 
-  screen.key(["C-d", "pagedown"], () => {
-    const pageSize = Math.min(10, currentItems.length);
-    selectedIndex = Math.min(selectedIndex + pageSize, currentItems.length - 1);
+  // d: delete a profile
+  profilePicker.key("d", async () => {
+    const name = getPickedProfile();
+    if (!name) return;
+    if (!(await askConfirm(`Delete profile ${name}? (y/n)`))) return;
+    delete profileData.profiles[name];
+    if (profileData.active === name) profileData.active = null;
+    saveProfiles(projectRoot, profileData);
+    renderProfilePicker();
+    previewProfile(getPickedProfile());
+  });
+
+  // e: edit a profile's include/exclude globs
+  profilePicker.key("e", async () => {
+    const name = getPickedProfile();
+    if (!name) return;
+    const profile = profileData.profiles[name];
+    const include = await askText(
+      "Include globs (comma separated):",
+      profile.include.join(", ")
+    );
+    if (include === null) return;
+    const exclude = await askText(
+      "Exclude globs (comma separated):",
+      profile.exclude.join(", ")
+    );
+    if (exclude === null) return;
+    const splitGlobs = (value) =>
+      value
+        .split(",")
+        .map((glob) => glob.trim())
+        .filter(Boolean);
+    profile.include = splitGlobs(include);
+    profile.exclude = splitGlobs(exclude);
+    saveProfiles(projectRoot, profileData);
+    renderProfilePicker(name);
+    previewProfile(name);
+  });
+
+  // Git selection: the menu of modes, then the base branch for a diff
+  const GIT_MODES = [
+    {
+      label: "Changed files (modified, staged, untracked)",
+      status: GIT_STATUS_KINDS,
+    },
+    { label: "Modified files", status: ["modified"] },
+    { label: "Staged files", status: ["staged"] },
+    { label: "Untracked files", status: ["untracked"] },
+    { label: "Changed since the base branch…", base: true },
+    { label: "Files in the last N commits…", commits: true },
+  ];
+  let gitBranches = null; // shown while picking the base branch
+
+  // Show the menu of git modes
+  function renderGitMenu() {
+    gitBranches = null;
+    gitPicker.setLabel(" Select with git ");
+    gitPicker.setItems(GIT_MODES.map((mode) => mode.label));
+    gitPicker.select(0);
+    screen.render();
+  }
+
+  // Close the git menu and return to the file list
+  function closeGitPicker() {
+    gitPicker.hide();
+    list.focus();
+    renderList();
+  }
+
+  // Select the files a git mode finds, replacing the selection or adding
+  // to it
+  async function applyGitSelection(gitOptions, description, add) {
+    let files;
+    try {
+      files = getGitSelection(projectRoot, gitOptions);
+    } catch (e) {
+      statusMessage = `{red-fg}${blessed.escape(e.message)}{/red-fg}`;
+      renderList();
+      return;
+    }
+    if (add) {
+      for (const file of files) {
+        selectionRules = setPathSelected(selectionRules, file, true);
+      }
+    } else {
+      selectionRules = createSelectionRules(files);
+    }
+    await refreshSelection();
+    saveSelectionState(projectRoot, selectionRules);
+    statusMessage =
+      `${add ? "Added" : "Selected"} ${files.length} ` +
+      `file${files.length === 1 ? "" : "s"} (${description})`;
+    await reloadDirectory();
     renderList();
+    await updateTokenCount(selectedFiles, tokenCount);
+    renderList();
+  }
+
+  // Run the highlighted git mode, or use the highlighted base branch
+  async function pickGitMode(add) {
+    const index = gitPicker.selected;
+    if (gitBranches) {
+      const base = gitBranches[index];
+      if (!base) return;
+      config.gitBase = base;
+      saveProjectConfig(projectRoot, { gitBase: base });
+      closeGitPicker();
+      await applyGitSelection({ base }, `changed since ${base}`, add);
+      return;
+    }
+
+    const mode = GIT_MODES[index];
+    if (mode.base) {
+      // Pick the base branch, starting from the last one used
+      try {
+        gitBranches = getGitBranches(projectRoot);
+      } catch (e) {
+        gitBranches = [];
+      }
+      if (gitBranches.length === 0) {
+        closeGitPicker();
+        statusMessage = "{red-fg}No git branches found{/red-fg}";
+        renderList();
+        return;
+      }
+      const base = config.gitBase || getDefaultGitBase(projectRoot);
+      gitPicker.setLabel(" Base branch ");
+      gitPicker.setItems(gitBranches.map((branch) => blessed.escape(branch)));
+      gitPicker.select(Math.max(gitBranches.indexOf(base), 0));
+      screen.render();
+      return;
+    }
+
+    closeGitPicker();
+    if (mode.commits) {
+      const value = await askText("Number of commits (default 1):");
+      const count = value ? Number(value) : 1;
+      if (value === null || !Number.isInteger(count) || count < 1) {
+        renderList();
+        return;
+      }
+      await applyGitSelection(
+        { commits: count },
+        `last ${count} commit${count === 1 ? "" : "s"}`,
+        add
+      );
+    } else {
+      await applyGitSelection(
+        { status: mode.status },
+        mode.status.length > 1 ? "changed" : mode.status[0],
+        add
+      );
+    }
+  }
+
+  // C: select files with git
+  screen.key("S-c", () => {
+    if (screen.focused !== list) return;
+    renderGitMenu();
+    gitPicker.show();
+    gitPicker.focus();
+    screen.render();
+  });
+
+  gitPicker.on("select", () => pickGitMode(false));
+  gitPicker.key("a", () => pickGitMode(true));
+  gitPicker.key(["escape"], () => {
+    // From the branch list, go back to the menu
+    if (gitBranches) {
+      renderGitMenu();
+    } else {
+      closeGitPicker();
+    }
   });
 
-  screen.key(["C-u", "pageup"], () => {
-    const pageSize = Math.min(10, currentItems.length);
-    selectedIndex = Math.max(selectedIndex - pageSize, 0);
+  // Dependency expansion of the file under the cursor
+  const DEPENDENCY_MODES = [
+    { label: "Direct imports", direction: "imports", depth: 1 },
+    { label: "Transitive imports…", direction: "imports" },
+    { label: "Direct importers", direction: "importers", depth: 1 },
+    { label: "Transitive importers…", direction: "importers" },
+  ];
+  let dependencyFile = null; // the file whose dependencies are offered
+  let dependencyResolver = null;
+  let suggestions = null; // [{ file, depth, tokens, checked }] in the checklist
+
+  // Show the menu of dependency modes
+  function renderDependencyMenu() {
+    suggestions = null;
+    dependencyPicker.setLabel(
+      ` Add dependencies of ${path.basename(dependencyFile)} `
+    );
+    dependencyPicker.setItems(DEPENDENCY_MODES.map((mode) => mode.label));
+    dependencyPicker.select(0);
+    dependencyHelp.setContent("enter: choose | esc: close");
+    screen.render();
+  }
+
+  // Show the suggested files as a checklist, with the tokens they add
+  function renderSuggestions() {
+    const index = dependencyPicker.selected;
+    const width = dependencyPicker.width - 4;
+    dependencyPicker.setItems(
+      suggestions.map((suggestion) => {
+        const relPath = path.relative(projectRoot, suggestion.file);
+        const mark = suggestion.checked ? "{green-fg}[✓]{/green-fg}" : "[ ]";
+        const tokens = formatCount(suggestion.tokens);
+        const depth = suggestion.depth
+          ? `(${suggestion.depth})`
+          : "(this file)";
+        const used =
+          blessed.unicode.strWidth(relPath) + depth.length + tokens.length + 6;
+        return (
+          `${mark} ${blessed.escape(relPath)} {gray-fg}${depth}{/gray-fg}` +
+          " ".repeat(Math.max(1, width - used)) +
+          `{cyan-fg}${tokens}{/cyan-fg}`
+        );
+      })
+    );
+    const checked = suggestions.filter((suggestion) => suggestion.checked);
+    const added = checked.reduce(
+      (sum, suggestion) => sum + suggestion.tokens,
+      0
+    );
+    const total = selectionTotals.tokens + added;
+    dependencyPicker.setLabel(
+      ` Add ${checked.length} of ${suggestions.length} files: ` +
+        `+${formatCount(added)} ${getTokenizerLabel(tokenizer)} tokens` +
+        (budget !== null
+          ? ` (${formatCount(total)} / ${formatCount(budget)})`
+          : "") +
+        " "
+    );
+    dependencyPicker.select(Math.min(index, suggestions.length - 1));
+    screen.render();
+  }
+
+  // Close the dependency menu and return to the file list
+  function closeDependencyPicker() {
+    dependencyPicker.hide();
+    suggestions = null;
+    list.focus();
     renderList();
-  });
-
-  // Space: select/deselect file
-  screen.key("space", async () => {
-    const item = currentItems[selectedIndex];
-    if (!item || item.ignored) return;
+  }
 
-    if (item.isDir) {
-      // Toggle directory selection
-      if (selectedFiles.includes(item.path)) {
-        // Unmark directory and contents
-        const idx = selectedFiles.findIndex((f) => f === item.path);
-        if (idx !== -1) selectedFiles.splice(idx, 1);
-        await markDirectory(item.path, false);
-      } else {
-        // Mark directory and contents
-        selectedFiles.push(item.path);
-        await markDirectory(item.path, true);
+  // Find the files a dependency mode reaches and offer them in the
+  // checklist. The nearest are checked first, as long as they fit in the
+  // token budget. Errors (such as unreadable directories) close the
+  // picker and are shown in the status bar.
+  async function suggestDependencies(mode) {
+    let depth = mode.depth;
+    if (!depth) {
+      dependencyPicker.hide();
+      const value = await askText("Depth (default 3):");
+      depth = value ? Number(value) : 3;
+      if (value === null || !Number.isInteger(depth) || depth < 1) {
+        closeDependencyPicker();
+        return;
       }
-    } else {
-      // Toggle file selection
-      item.selected = !item.selected;
-      const idx = selectedFiles.findIndex((f) => f === item.path);
+      dependencyPicker.show();
+    }
 
-      if (item.selected && idx === -1) {
-        selectedFiles.push(item.path);
-      } else if (!item.selected && idx !== -1) {
-        selectedFiles.splice(idx, 1);
+    dependencyPicker.setItems(["{yellow-fg}Resolving imports…{/yellow-fg}"]);
+    dependencyPicker.focus();
+    screen.render();
+    let found;
+    let files;
+    let stats;
+    try {
+      found = await dependencyResolver.collect(
+        dependencyFile,
+        mode.direction,
+        depth
+      );
+      const selected = new Set(selectedFiles);
+      files = [...found.keys()].filter((file) => !selected.has(file));
+      if (files.length === 0) {
+        closeDependencyPicker();
+        statusMessage = `No ${mode.direction} to add`;
+        renderList();
+        return;
+      }
+      // The file itself comes first, if it isn't selected yet
+      if (!selected.has(dependencyFile)) {
+        files.unshift(dependencyFile);
+        found.set(dependencyFile, 0);
       }
+      stats = await tokenStats.getStats(files, [tokenizer]);
+    } catch (e) {
+      closeDependencyPicker();
+      statusMessage = `{red-fg}Dependencies: ${blessed.escape(e.message)}{/red-fg}`;
+      renderList();
+      return;
     }
+    let total = selectionTotals.tokens;
+    suggestions = files.map((file) => {
+      const fileStats = stats.get(file);
+      const tokens = fileStats ? fileStats.counts[tokenizer] || 0 : 0;
+      const checked = budget === null || total + tokens <= budget;
+      if (checked) total += tokens;
+      return { file, depth: found.get(file), tokens, checked };
+    });
+    dependencyHelp.setContent(
+      "space: check | a: all/none | enter: add checked | esc: back"
+    );
+    dependencyPicker.select(0);
+    renderSuggestions();
+  }
 
-    // Update UI and token count
-    await updateTokenCount(selectedFiles, tokenCount);
+  // Add the checked suggestions to the selection. Errors are shown in the
+  // status bar.
+  async function addSuggestions() {
+    const files = suggestions
+      .filter((suggestion) => suggestion.checked)
+      .map((suggestion) => suggestion.file);
+    closeDependencyPicker();
+    try {
+      for (const file of files) {
+        selectionRules = setPathSelected(selectionRules, file, true);
+      }
+      await refreshSelection();
+      saveSelectionState(projectRoot, selectionRules);
+      statusMessage = `Added ${files.length} file${files.length === 1 ? "" : "s"}`;
+      await reloadDirectory();
+      renderList();
+      await updateTokenCount(selectedFiles, tokenCount);
+    } catch (e) {
+      statusMessage = `{red-fg}Dependencies: ${blessed.escape(e.message)}{/red-fg}`;
+    }
     renderList();
-  });
+  }
 
-  // Enter: open directory
-  screen.key(["enter", "l", "o", "right"], async () => {
+  // d: add the imports or importers of the file under the cursor
+  screen.key("d", () => {
+    if (screen.focused !== list) return;
     const item = currentItems[selectedIndex];
-    if (item && item.isDir) {
-      currentDir = item.path;
-      currentItems = await getDirectoryContent(
-        currentDir,
-        gitignorePatterns,
-        selectedFiles
-      );
-      selectedIndex = 0; // Reset selection to top
-      scrollOffset = 0; // Reset scroll
+    if (
+      !item ||
+      item.isDir ||
+      !DEPENDENCY_LANGUAGES[path.extname(item.path)]
+    ) {
+      statusMessage = "{red-fg}Not a JS/TS, Python or Go source file{/red-fg}";
       renderList();
+      return;
     }
+    // A new resolver picks up files changed since the last time
+    dependencyFile = item.path;
+    dependencyResolver = createDependencyResolver(
+      projectRoot,
+      gitignorePatterns
+    );
+    renderDependencyMenu();
+    dependencyPicker.show();
+    dependencyPicker.focus();
+    screen.render();
   });
 
-  // Backspace/h/left: go up one directory
-  screen.key(["backspace", "h", "left"], async () => {
-    const parentDir = path.dirname(currentDir);
-    if (parentDir !== currentDir) {
-      currentDir = parentDir;
-      currentItems = await getDirectoryContent(
-        currentDir,
-        gitignorePatterns,
-        selectedFiles
-      );
-      selectedIndex = 0; // Reset selection to top
-      scrollOffset = 0; // Reset scroll
-      renderList();
+  dependencyPicker.on("select", (item, index) => {
+    if (suggestions) {
+      addSuggestions();
+    } else if (DEPENDENCY_MODES[index]) {
+      suggestDependencies(DEPENDENCY_MODES[index]);
     }
   });
-
-  // r: run repomix with selected files
-  screen.key("r", () => {
-    if (!screen.focused.name === "list") return;
-    screen.destroy();
-    runRepomix(selectedFiles);
+  dependencyPicker.key("space", () => {
+    const suggestion = suggestions && suggestions[dependencyPicker.selected];
+    if (!suggestion) return;
+    suggestion.checked = !suggestion.checked;
+    renderSuggestions();
   });
-
-  // R: launch ranger if installed
-  screen.key("R", async () => {
-    if (!rangerInstalled) {
-      commandHelp.setContent(
-        "{red-bg}Ranger is not installed!{/red-bg} Press any key to continue..."
-      );
-      screen.render();
-      setTimeout(() => {
-        commandHelp.setContent(
-          "{bold}cherrypiq{/bold} | {bold}j/k{/bold}: navigate | {bold}space{/bold}: select | {bold}enter{/bold}: open dir | {bold}r{/bold}: run repomix | {bold}R{/bold}: ranger" +
-            (rangerInstalled ? "" : " (not installed)") +
-            " | {bold}q{/bold}: quit"
-        );
-        screen.render();
-      }, 3000);
-      return;
+  dependencyPicker.key("a", () => {
+    if (!suggestions) return;
+    const check = !suggestions.every((suggestion) => suggestion.checked);
+    for (const suggestion of suggestions) suggestion.checked = check;
+    renderSuggestions();
+  });
+  dependencyPicker.key(["escape"], () => {
+    // From the checklist, go back to the menu
+    if (suggestions) {
+      renderDependencyMenu();
+    } else {
+      closeDependencyPicker();
     }
+  });
 
-    screen.destroy();
-    console.log("Launching ranger...");
-
-    try {
-      const rangerSelectedFiles = await launchRanger();
-      if (rangerSelectedFiles.length > 0) {
-        selectedFiles = rangerSelectedFiles;
-        console.log(`${selectedFiles.length} files selected from ranger.`);
+  // Output options panel: the options packing uses, saved with the
+  // project config. Options with a prompt are asked for as text.
+  const OUTPUT_OPTION_ITEMS = [
+    { key: "style", label: "Style" },
+    {
+      key: "filePath",
+      label: "Output file",
+      prompt: "Output file (empty for the default):",
+    },
+    { key: "removeComments", label: "Remove comments" },
+    { key: "removeEmptyLines", label: "Remove empty lines" },
+    {
+      key: "truncateLines",
+      label: "Truncate files",
+      prompt: "Keep the first lines of each file (empty for all):",
+    },
+    { key: "signaturesOnly", label: "Signatures only (JS/TS)" },
+    { key: "showLineNumbers", label: "Line numbers" },
+    { key: "fileSummary", label: "File summary" },
+    { key: "directoryStructure", label: "Directory structure" },
+    {
+      key: "headerFile",
+      label: "Header text file",
+      prompt: "Header text file (empty for none):",
+    },
+  ];
 
-        const rl = require("readline").createInterface({
-          input: process.stdin,
-          output: process.stdout,
-        });
+  // Show the output options with their current values
+  function renderOptionsPanel() {
+    const index = optionsPanel.selected;
+    optionsPanel.setItems(
+      OUTPUT_OPTION_ITEMS.map(({ key, label, prompt }) => {
+        if (key === "style") {
+          return `${label}: {cyan-fg}${outputOptions.style}{/cyan-fg}`;
+        }
+        if (key === "truncateLines") {
+          const value = outputOptions.truncateLines
+            ? `first ${outputOptions.truncateLines} lines`
+            : "off";
+          return `${label}: {cyan-fg}${value}{/cyan-fg}`;
+        }
+        if (prompt) {
+          const value =
+            key === "filePath"
+              ? getOutputPath(outputOptions)
+              : outputOptions.headerFile ||
+                (outputOptions.headerText ? "(header text)" : "none");
+          return `${label}: {cyan-fg}${blessed.escape(value)}{/cyan-fg}`;
+        }
+        const mark = outputOptions[key] ? "{green-fg}[✓]{/green-fg}" : "[ ]";
+        return `${mark} ${label}`;
+      })
+    );
+    optionsPanel.select(index);
+    screen.render();
+  }
 
-        rl.question("Run repomix with these selections? (y/n) ", (answer) => {
-          rl.close();
-          if (answer.toLowerCase() === "y") {
-            runRepomix(selectedFiles);
-          } else {
-            main(); // Restart the UI
-          }
-        });
-      } else {
-        console.log("No files selected in ranger.");
-        main(); // Restart the UI
+  // Change the output option at index and save it
+  async function changeOutputOption(index) {
+    const item = OUTPUT_OPTION_ITEMS[index];
+    if (!item) return;
+    let value;
+    if (item.key === "style") {
+      value =
+        OUTPUT_STYLES[
+          (OUTPUT_STYLES.indexOf(outputOptions.style) + 1) %
+            OUTPUT_STYLES.length
+        ];
+    } else if (item.prompt) {
+      optionsPanel.hide();
+      const text = await askText(
+        item.prompt,
+        String(outputOptions[item.key] || "")
+      );
+      optionsPanel.show();
+      optionsPanel.focus();
+      if (text === null) {
+        renderOptionsPanel();
+        return;
       }
-    } catch (e) {
-      console.error("Error using ranger:", e.message);
-      main(); // Restart the UI
+      value = text || null;
+      if (item.key === "truncateLines" && value) {
+        value = Number(value);
+        if (!Number.isInteger(value) || value < 1) {
+          statusMessage = `{red-fg}Not a line count: ${blessed.escape(text)}{/red-fg}`;
+          renderList();
+          renderOptionsPanel();
+          return;
+        }
+      }
+      if (
+        item.key === "headerFile" &&
+        value &&
+        !isFile(path.resolve(projectRoot, value))
+      ) {
+        statusMessage = `{red-fg}Not a file: ${blessed.escape(value)}{/red-fg}`;
+        renderList();
+        renderOptionsPanel();
+        return;
+      }
+    } else {
+      value = !outputOptions[item.key];
     }
+
+    // Only the project's own output settings are saved with it
+    const saved =
+      readConfigFile(getProjectConfigPath(projectRoot)).output || {};
+    saveProjectConfig(projectRoot, { output: { ...saved, [item.key]: value } });
+    config.output = { ...config.output, [item.key]: value };
+    outputOptions = getOutputOptions(config);
+    statusMessage = "";
+    renderList();
+    renderOptionsPanel();
+    // The transformed counts depend on the options
+    transformedStats.clear();
+    baselineStats.clear();
+    await updateTokenCount(selectedFiles, tokenCount);
+    screen.render();
+  }
+
+  // O: show the output options
+  screen.key("S-o", () => {
+    if (screen.focused !== list) return;
+    renderOptionsPanel();
+    optionsPanel.show();
+    optionsPanel.focus();
+    screen.render();
   });
 
-  // q/Ctrl-c: quit
-  screen.key(["q", "C-c"], () => {
-    screen.destroy();
-    process.exit(0);
+  optionsPanel.on("select", (item, index) => changeOutputOption(index));
+  optionsPanel.key("space", () => changeOutputOption(optionsPanel.selected));
+  optionsPanel.key(["escape"], () => {
+    optionsPanel.hide();
+    list.focus();
+    renderList();
   });
 
-  // Mark/unmark all files in directory recursively
-  async function markDirectory(dir, mark) {
-    const dirItems = await getDirectoryContent(
-      dir,
-      gitignorePatterns,
-      selectedFiles
-    );
-    for (const dirItem of dirItems) {
-      if (dirItem.ignored) continue;
+  // Review pane: every selected file in the order it will be packed
+  const REVIEW_SORTS = ["custom", "path", "size"];
+  let reviewSort = selectionRules.order.length > 0 ? "custom" : "path";
+  let customOrder = selectionRules.order; // Kept while sorted otherwise
 
-      if (dirItem.isDir) {
-        await markDirectory(dirItem.path, mark);
-      } else {
-        const idx = selectedFiles.findIndex((f) => f === dirItem.path);
-        if (mark && idx === -1) {
-          selectedFiles.push(dirItem.path);
-        } else if (!mark && idx !== -1) {
-          selectedFiles.splice(idx, 1);
-        }
-      }
-    }
+  // Render the selected files with their token counts, and the total in
+  // the label
+  function renderReviewPane(highlightFile) {
+    const highlighted = highlightFile || selectedFiles[reviewPane.selected];
+    const width = reviewPane.width - 4;
+    const digits = String(selectedFiles.length).length;
+    const items = selectedFiles.map((file, i) => {
+      const relPath = path.relative(projectRoot, file);
+      const stats = packedStats.get(file);
+      const tokens =
+        stats && stats.counts[tokenizer] !== undefined
+          ? formatCount(stats.counts[tokenizer])
+          : "…";
+      const number = `${i + 1}.`.padStart(digits + 1);
+      const used =
+        number.length + 1 + blessed.unicode.strWidth(relPath) + tokens.length;
+      return (
+        `{gray-fg}${number}{/gray-fg} ${blessed.escape(relPath)}` +
+        " ".repeat(Math.max(1, width - used)) +
+        `{cyan-fg}${tokens}{/cyan-fg}`
+      );
+    });
+    reviewPane.setItems(
+      items.length > 0 ? items : ["{gray-fg}No files selected{/gray-fg}"]
+    );
+    reviewPane.setLabel(
+      ` Selection: ${selectedFiles.length} files, ` +
+        `${formatCount(selectionTotals.tokens)} ${getTokenizerLabel(tokenizer)} tokens, ` +
+        `${reviewSort} order `
+    );
+    reviewPane.select(Math.max(selectedFiles.indexOf(highlighted), 0));
+    screen.render();
   }
 
-  // Calculate token count for a file
-  async function calculateTokenCount(filePath) {
-    try {
-      const content = await readFile(filePath, "utf8");
+  // Pack the selected files in this order
+  function setSelectionOrder(order) {
+    selectionRules = { ...selectionRules, order };
+    selectedFiles = orderFiles(selectedFiles, order);
+    saveSelectionState(projectRoot, selectionRules);
+  }
 
-      // Count non-empty lines
-      const lines = content.split("\n").filter((line) => line.trim());
+  // Move the highlighted file of the review pane to another position
+  function moveReviewedFile(to) {
+    const from = reviewPane.selected;
+    const file = selectedFiles[from];
+    if (!file || to < 0 || to >= selectedFiles.length) return;
+    const order = [...selectedFiles];
+    order.splice(from, 1);
+    order.splice(to, 0, file);
+    reviewSort = "custom";
+    setSelectionOrder(order);
+    renderReviewPane(file);
+  }
 
-      // Count characters excluding whitespace
-      const chars = content.replace(/\s+/g, "").length;
+  // Close the review pane and return to the file list
+  function closeReviewPane() {
+    reviewPane.hide();
+    list.focus();
+    renderList();
+  }
 
-      let tokenCount;
-      if (gptTokenizer) {
-        // Use GPT tokenizer if available
-        tokenCount = gptTokenizer.countTokens(content);
-      } else {
-        // Basic token estimation if gpt-tokenizer not available
-        const noComments = content
-          .replace(/\/\*[\s\S]*?\*\//g, "") // Remove multi-line comments
-          .replace(/\/\/.*/g, ""); // Remove single-line comments
-
-        const tokens = noComments
-          .replace(/([{}()\[\].,;=+\-*/<>!&|%^~?:])/g, " $1 ")
-          .replace(/'[^']*'|"[^"]*"|`[^`]*`/g, (match) =>
-            match.replace(/\s/g, "")
-          )
-          .replace(/\s+/g, " ")
-          .trim()
-          .split(" ")
-          .filter((token) => token.length > 0);
+  // w: review the selected files
+  screen.key("w", async () => {
+    if (screen.focused !== list) return;
+    reviewPane.show();
+    reviewPane.focus();
+    renderReviewPane(selectedFiles[0]);
+    await latestTokenCount;
+    renderReviewPane();
+  });
 
-        tokenCount = tokens.length;
-      }
+  reviewPane.key(["escape"], () => closeReviewPane());
 
-      return {
-        lines: lines.length,
-        tokens: tokenCount,
-        chars: chars,
-      };
-    } catch (error) {
-      return { lines: 0, tokens: 0, chars: 0 };
-    }
-  }
+  // d: remove the file from the selection
+  reviewPane.key(["d", "x", "delete"], async () => {
+    const file = selectedFiles[reviewPane.selected];
+    if (!file) return;
+    const next = selectedFiles[reviewPane.selected + 1];
+    await selectPath(file, false, false);
+    renderReviewPane(next);
+    await updateTokenCount(selectedFiles, tokenCount);
+  });
 
-  // Update token count display
-  async function updateTokenCount(selectedFiles, tokenCount) {
-    let totalLines = 0;
-    let totalTokens = 0;
-    let totalChars = 0;
+  // [/]: move the file up or down, t: move it to the top
+  reviewPane.key("[", () => moveReviewedFile(reviewPane.selected - 1));
+  reviewPane.key("]", () => moveReviewedFile(reviewPane.selected + 1));
+  reviewPane.key("t", () => moveReviewedFile(0));
 
-    for (const file of selectedFiles) {
-      const stats = await calculateTokenCount(file);
-      totalLines += stats.lines;
-      totalTokens += stats.tokens;
-      totalChars += stats.chars;
+  // s: cycle between the custom order (if any), path order and size order
+  // with the largest files first
+  reviewPane.key("s", () => {
+    const file = selectedFiles[reviewPane.selected];
+    if (reviewSort === "custom") customOrder = selectionRules.order;
+    const sorts = customOrder.length > 0 ? REVIEW_SORTS : ["path", "size"];
+    reviewSort = sorts[(sorts.indexOf(reviewSort) + 1) % sorts.length];
+    if (reviewSort === "size") {
+      const size = (f) => (selectionStats.get(f) || {}).size || 0;
+      setSelectionOrder([...selectedFiles].sort((a, b) => size(b) - size(a)));
+    } else {
+      setSelectionOrder(reviewSort === "custom" ? customOrder : []);
     }
+    renderReviewPane(file);
+  });
 
-    const tokenCounterType = gptTokenizer
-      ? "Using OpenAI's cl100k_base tokenizer\n(same as GPT-3.5/4)"
-      : "Using basic token estimation";
+  // enter: show the file in the file list
+  reviewPane.on("select", async (item, index) => {
+    const file = selectedFiles[index];
+    if (!file) return;
+    closeReviewPane();
+    await goToFile(file);
+    renderList();
+  });
 
-    tokenCount.setContent(
-      "{bold}Code Statistics{/bold}\n\n" +
-        `Selected Files: ${selectedFiles.length}\n` +
-        `Lines of Code: ${totalLines}\n` +
-        `${gptTokenizer ? "GPT" : "Estimated"} Tokens: ${totalTokens}\n` +
-        `Characters: ${totalChars}\n\n` +
-        `Note: ${tokenCounterType}`
-    );
+  // Fuzzy finder over every file of the project, indexed each time it
+  // opens so that files created or deleted since are found (or not)
+  let finderIndex = []; // [{ path, rel, ignored }]
+  let finderIncludeIgnored = false;
+  let finderQuery = "";
+  let finderResults = [];
+
+  // Index the project's files for the finder
+  async function buildFinderIndex() {
+    finderList.setItems(["{gray-fg}Indexing…{/gray-fg}"]);
+    screen.render();
+    const files = await listProjectFiles(projectRoot, gitignorePatterns, {
+      includeIgnored: finderIncludeIgnored,
+    });
+    finderIndex = files.map((file) => ({
+      path: file,
+      rel: path.relative(projectRoot, file).split(path.sep).join("/"),
+      ignored: finderIncludeIgnored && shouldIgnore(file, gitignorePatterns, false),
+    }));
   }
 
-  // Preview file using bat
-  async function previewFile(filePath, previewBox) {
-    if (!batInstalled) {
-      previewBox.setContent(
-        "{red-fg}bat is not installed. Install it for file preview functionality.{/red-fg}"
-      );
-      previewBox.show();
-      previewBox.focus();
-      return;
+  // Rank the index against the query and show the best matches
+  function updateFinderResults() {
+    const matches = [];
+    for (const entry of finderIndex) {
+      const match = fuzzyMatch(finderQuery, entry.rel);
+      if (match) matches.push({ ...entry, ...match });
     }
+    if (finderQuery) matches.sort((a, b) => b.score - a.score);
+    finderResults = matches.slice(0, 500);
+    finderInput.setContent(
+      `> ${blessed.escape(finderQuery)}{gray-fg}  ` +
+        `${matches.length}/${finderIndex.length}` +
+        `${finderIncludeIgnored ? " incl. ignored" : ""}{/gray-fg}`
+    );
+    renderFinderResults();
+    finderList.select(0);
+  }
 
-    try {
-      const batCmd = getBatCommand();
-      const output = execSync(
-        `${batCmd} --paging=always --color=always --style=numbers,changes "${filePath}"`,
-        {
-          encoding: "utf8",
-          maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-        }
-      );
-
-      previewBox.setContent(output);
-      previewBox.show();
-      previewBox.focus();
-
-      // Prevent key events from bubbling up when preview is focused
-      const preventBubbling = (ch, key) => {
-        if (
-          previewBox.visible &&
-          [
-            "j",
-            "k",
-            "g",
-            "G",
-            "up",
-            "down",
-            "pageup",
-            "pagedown",
-            "home",
-            "end",
-          ].includes(key.name)
-        ) {
-          return false;
+  // Render the results, highlighting matched characters and selections
+  function renderFinderResults() {
+    const selected = new Set(selectedFiles);
+    const highlighted = finderList.selected;
+    finderList.setItems(
+      finderResults.map((result) => {
+        const positions = new Set(result.positions);
+        let text = "";
+        for (let i = 0; i < result.rel.length; i++) {
+          const ch = blessed.escape(result.rel[i]);
+          text += positions.has(i) ? `{yellow-fg}${ch}{/yellow-fg}` : ch;
         }
-      };
-
-      screen.on("keypress", preventBubbling);
+        if (result.ignored) text = `{gray-fg}${text}{/gray-fg}`;
+        return (selected.has(result.path) ? "{red-fg}[✓]{/red-fg} " : "    ") + text;
+      })
+    );
+    finderList.select(highlighted);
+    screen.render();
+  }
 
-      // Remove the event listener when preview is closed
-      previewBox.once("hide", () => {
-        screen.removeListener("keypress", preventBubbling);
-        list.focus();
-      });
-    } catch (error) {
-      previewBox.setContent(
-        `{red-fg}Error previewing file: ${error.message}{/red-fg}`
-      );
-      previewBox.show();
-      previewBox.focus();
-    }
+  // Toggle a file in the selection
+  async function toggleFileSelection(file) {
+    await selectPath(file, !isPathSelected(selectionRules, file), false);
+    updateTokenCount(selectedFiles, tokenCount).then(() => screen.render());
   }
 
-  // Add preview key binding in main()
-  screen.key("p", async () => {
-    const item = currentItems[selectedIndex];
-    if (!item || item.isDir) return;
+  // Close the finder and return to the file list
+  async function closeFinder() {
+    screen.grabKeys = false;
+    finderBox.hide();
+    list.focus();
+    await reloadDirectory();
+    renderList();
+  }
 
-    await previewFile(item.path, previewBox);
-    screen.render();
+  // / or Ctrl-p: open the fuzzy finder
+  screen.key(["/", "C-p"], async () => {
+    if (screen.focused !== list) return;
+    finderQuery = "";
+    finderBox.show();
+    finderList.focus();
+    // Keys go to the finder only while it is open (e.g. "q" is typed)
+    screen.grabKeys = true;
+    await buildFinderIndex();
+    updateFinderResults();
   });
 
-  // Add escape key to close preview
-  screen.key("escape", () => {
-    if (previewBox.visible) {
-      previewBox.hide();
+  finderList.on("keypress", async (ch, key) => {
+    const result = finderResults[finderList.selected];
+    if (key.name === "escape") {
+      await closeFinder();
+    } else if (key.name === "enter") {
+      if (!result) return;
+      await closeFinder();
+      await goToFile(result.path);
+      renderList();
+    } else if (key.name === "tab") {
+      if (!result) return;
+      await toggleFileSelection(result.path);
+      finderList.down();
+      renderFinderResults();
+    } else if (key.name === "up" || key.full === "C-k") {
+      finderList.up();
       screen.render();
+    } else if (key.name === "down" || key.full === "C-j") {
+      finderList.down();
+      screen.render();
+    } else if (key.full === "C-t") {
+      finderIncludeIgnored = !finderIncludeIgnored;
+      await buildFinderIndex();
+      updateFinderResults();
+    } else if (key.name === "backspace") {
+      finderQuery = finderQuery.slice(0, -1);
+      updateFinderResults();
+    } else if (key.full === "C-u") {
+      finderQuery = "";
+      updateFinderResults();
+    } else if (ch && !key.ctrl && !key.meta && ch >= " " && ch !== "\x7f") {
+      finderQuery += ch;
+      updateFinderResults();
     }
   });
 
-  // Add key bindings for clipboard and prompt features
-  screen.key("c", async () => {
-    if (!screen.focused.name === "list") return;
-    const success = await runRepomixToClipboard(selectedFiles);
-    if (success) {
-      screen.destroy();
-      console.log("Repomix output copied to clipboard!");
+  // Content search over the project's non-ignored files
+  let searchPattern = "";
+  let searchRegexMode = false;
+  let searchCaseSensitive = false;
+  let searchedKey = null; // Pattern and options of the last search run
+  let searchResults = []; // [{ path, rel, count, snippets }]
+  let searchRows = []; // Index into searchResults for each list row
+  let searchSeq = 0;
+  let searchSummary = "";
+
+  // Show the pattern line with the search options and summary
+  function renderSearchInput() {
+    const flags = [
+      searchRegexMode ? "regex" : "literal",
+      searchCaseSensitive ? "case-sensitive" : "ignore case",
+    ].join(", ");
+    searchInput.setContent(
+      `> ${blessed.escape(searchPattern)}{gray-fg}  [${flags}]` +
+        `${searchSummary ? `  ${searchSummary}` : ""}{/gray-fg}`
+    );
+    screen.render();
+  }
+
+  // Format a matching line, highlighting the matches and trimming it to
+  // the width of the results
+  function formatSearchSnippet(snippet, width) {
+    const indent = snippet.text.match(/^\s*/)[0].length;
+    const text = snippet.text.slice(indent, indent + Math.max(width, 10));
+    let out = "";
+    let at = 0;
+    for (const [start, end] of snippet.ranges) {
+      const from = Math.max(start - indent, at);
+      const to = Math.min(end - indent, text.length);
+      if (to <= from) continue;
+      out += blessed.escape(text.slice(at, from));
+      out += `{yellow-fg}${blessed.escape(text.slice(from, to))}{/yellow-fg}`;
+      at = to;
     }
-  });
+    return out + blessed.escape(text.slice(at));
+  }
 
-  screen.key("i", () => {
-    if (!screen.focused.name === "list") return;
-    promptBox.show();
-    promptInput.clearValue();
-    promptInput.focus();
+  // Render each matching file followed by its matching lines
+  function renderSearchResults() {
+    const selected = new Set(selectedFiles);
+    const highlighted = searchList.selected;
+    const items = [];
+    searchRows = [];
+    searchResults.forEach((result, index) => {
+      const mark = selected.has(result.path)
+        ? "{red-fg}[✓]{/red-fg} "
+        : "[ ] ";
+      const matches = `${result.count} match${result.count === 1 ? "" : "es"}`;
+      items.push(
+        `${mark}{bold}${blessed.escape(result.rel)}{/bold} {gray-fg}(${matches}){/gray-fg}`
+      );
+      searchRows.push(index);
+      for (const snippet of result.snippets) {
+        const number = String(snippet.line).padStart(6);
+        const width = searchList.width - number.length - 4;
+        items.push(
+          `{gray-fg}${number}:{/gray-fg} ${formatSearchSnippet(snippet, width)}`
+        );
+        searchRows.push(index);
+      }
+    });
+    searchList.setItems(items);
+    searchList.select(highlighted);
     screen.render();
-  });
+  }
 
-  promptInput.key(["enter"], async () => {
-    const prompt = promptInput.getValue().trim();
-    if (!prompt) {
-      promptBox.hide();
-      list.focus();
-      screen.render();
+  // Scan every non-ignored file for the pattern
+  async function runContentSearch() {
+    const seq = ++searchSeq;
+    searchedKey = `${searchPattern}\0${searchRegexMode}\0${searchCaseSensitive}`;
+    searchResults = [];
+    searchList.setItems([]);
+    searchList.select(0);
+    if (!searchPattern) {
+      searchSummary = "";
+      renderSearchInput();
+      renderSearchResults();
       return;
     }
 
-    promptBox.hide();
-    screen.render();
+    let regex;
+    try {
+      regex = buildSearchRegex(searchPattern, {
+        regex: searchRegexMode,
+        caseSensitive: searchCaseSensitive,
+      });
+    } catch (err) {
+      searchSummary = `{red-fg}${blessed.escape(err.message)}{/red-fg}`;
+      renderSearchInput();
+      return;
+    }
 
-    const output = await runRepomixWithPrompt(selectedFiles, prompt);
-    if (output) {
-      screen.destroy();
-      console.log(output);
+    searchSummary = "Searching…";
+    renderSearchInput();
+    const files = await listProjectFiles(projectRoot, gitignorePatterns);
+    let matchCount = 0;
+    for (let i = 0; i < files.length; i++) {
+      let found = null;
+      try {
+        found = await searchFileContents(files[i], regex);
+      } catch (e) {
+        // Unreadable files are skipped
+      }
+      if (seq !== searchSeq) return; // A newer search started or closed
+      if (found) {
+        matchCount += found.count;
+        searchResults.push({
+          path: files[i],
+          rel: path.relative(projectRoot, files[i]).split(path.sep).join("/"),
+          ...found,
+        });
+      }
+      if (i % 100 === 99) {
+        searchSummary = `Searching… ${i + 1}/${files.length}`;
+        renderSearchInput();
+      }
     }
-  });
+    const fileCount = searchResults.length;
+    searchSummary =
+      `${matchCount} match${matchCount === 1 ? "" : "es"} in ${fileCount} ` +
+      `file${fileCount === 1 ? "" : "s"} (${files.length} searched)`;
+    renderSearchInput();
+    renderSearchResults();
+  }
 
-  promptInput.key(["escape"], () => {
-    promptInput.clearValue();
-    promptBox.hide();
+  // Close the search and return to the file list
+  async function closeSearch() {
+    searchSeq++; // Stop a running search
+    screen.grabKeys = false;
+    searchBox.hide();
     list.focus();
-    screen.render();
+    await reloadDirectory();
+    renderList();
+  }
+
+  // f: search file contents
+  screen.key(["f"], () => {
+    if (screen.focused !== list) return;
+    searchBox.show();
+    searchList.focus();
+    // Keys go to the search only while it is open
+    screen.grabKeys = true;
+    renderSearchInput();
+    renderSearchResults();
+  });
+
+  searchList.on("keypress", async (ch, key) => {
+    const result = searchResults[searchRows[searchList.selected]];
+    const searchKey = `${searchPattern}\0${searchRegexMode}\0${searchCaseSensitive}`;
+    if (key.name === "escape") {
+      await closeSearch();
+    } else if (key.name === "enter") {
+      if (searchKey !== searchedKey) {
+        await runContentSearch();
+        return;
+      }
+      if (!result) return;
+      await closeSearch();
+      await goToFile(result.path);
+      renderList();
+    } else if (key.name === "tab") {
+      if (!result) return;
+      await toggleFileSelection(result.path);
+      // Move on to the next file
+      const next = searchRows.indexOf(searchRows[searchList.selected] + 1);
+      if (next !== -1) searchList.select(next);
+      renderSearchResults();
+    } else if (key.full === "C-a") {
+      // Select every matching file, or deselect them if all are selected
+      const files = searchResults.map((r) => r.path);
+      const selected = !files.every((file) =>
+        isPathSelected(selectionRules, file)
+      );
+      for (const file of files) {
+        selectionRules = setPathSelected(selectionRules, file, selected);
+      }
+      await refreshSelection();
+      saveSelectionState(projectRoot, selectionRules);
+      renderSearchResults();
+      await updateTokenCount(selectedFiles, tokenCount);
+      screen.render();
+    } else if (key.full === "C-r") {
+      searchRegexMode = !searchRegexMode;
+      renderSearchInput();
+    } else if (key.full === "C-s") {
+      searchCaseSensitive = !searchCaseSensitive;
+      renderSearchInput();
+    } else if (key.name === "up" || key.full === "C-k") {
+      searchList.up();
+      screen.render();
+    } else if (key.name === "down" || key.full === "C-j") {
+      searchList.down();
+      screen.render();
+    } else if (key.name === "backspace") {
+      searchPattern = searchPattern.slice(0, -1);
+      renderSearchInput();
+    } else if (key.full === "C-u") {
+      searchPattern = "";
+      renderSearchInput();
+    } else if (ch && !key.ctrl && !key.meta && ch >= " " && ch !== "\x7f") {
+      searchPattern += ch;
+      renderSearchInput();
+    }
   });
 
   // Focus handling
@@ -1083,8 +9230,80 @@ async function main() {
   screen.render();
 }
 
-// Start the application
-main().catch((err) => {
-  console.error("Error:", err);
-  process.exit(1);
-});
+// Internals used by the tests (see test/)
+module.exports = {
+  countText,
+  createDependencyResolver,
+  createDiffStats,
+  createDirectoryTotals,
+  createFileClassifier,
+  createProfile,
+  createSelectionRules,
+  createTokenStats,
+  ensureStateDir,
+  findSecrets,
+  formatPackedOutput,
+  fuzzyMatch,
+  getBaselineOptions,
+  getGitBranchFiles,
+  getGitCommitFiles,
+  getGitDiffs,
+  getGitignorePatterns,
+  getGitSelection,
+  getGitStatusFiles,
+  getGlobalExcludesFile,
+  getOutputOptions,
+  isSensitiveFile,
+  listProjectFiles,
+  listSkippedFiles,
+  loadConfig,
+  loadPromptTemplates,
+  loadSelectionState,
+  minimatch,
+  packFiles,
+  parseIgnoreRules,
+  parseOutline,
+  processFileContent,
+  redactSecrets,
+  removeFunctionBodies,
+  resolveProfile,
+  resolveSelection,
+  saveSelectionState,
+  scanForSecrets,
+  setPathSelected,
+  shouldIgnore,
+};
+
+// Start the application (or a token worker); the tests load this file as a
+// module and only use the exports above
+if (!isMainThread) {
+  runTokenWorker();
+} else if (require.main !== module) {
+  // Loaded as a module
+} else if (process.argv[2] === "pack") {
+  packCommand(process.argv.slice(3))
+    .then((code) => {
+      // Let stdout drain (it may be a pipe) rather than calling process.exit
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      console.error("Error:", err);
+      process.exit(EXIT_CODES.error);
+    });
+} else {
+  let options;
+  try {
+    options = parseUIArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  main(options).catch((err) => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,43 @@
+// User and project settings and prompt templates
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createFixture, writeFiles } = require("./helpers");
+const { loadConfig, loadPromptTemplates } = require("../cherrypiq");
+
+// Write files to the user's cherrypiq directory, removed after the test
+function writeUserFiles(t, files) {
+  const dir = path.join(process.env.XDG_CONFIG_HOME, "cherrypiq");
+  writeFiles(dir, files);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test("user settings are read from $XDG_CONFIG_HOME/cherrypiq", (t) => {
+  writeUserFiles(t, {
+    "config.json": JSON.stringify({ budget: 1000, sort: "size" }),
+  });
+  const root = createFixture(t, {
+    ".cherrypiq/config.json": JSON.stringify({ budget: 2000 }),
+  });
+  const config = loadConfig(root);
+  assert.strictEqual(config.sort, "size");
+  assert.strictEqual(config.budget, 2000);
+});
+
+test("user prompt templates are read from the same directory", (t) => {
+  writeUserFiles(t, {
+    "prompts/explain.md": "Explain it, briefly.\n",
+    "prompts/port.txt": "Port it to Go.\n",
+  });
+  const root = createFixture(t, {
+    ".cherrypiq/prompts/port.md": "Port it to Rust.\n",
+  });
+  const templates = new Map(
+    loadPromptTemplates(root).map((template) => [template.name, template])
+  );
+  assert.strictEqual(templates.get("explain").source, "user");
+  assert.match(templates.get("explain").text, /briefly/);
+  assert.strictEqual(templates.get("port").source, "project");
+  assert.match(templates.get("port").text, /Rust/);
+});
@@ -0,0 +1,158 @@
+// Resolving the imports and importers of JS/TS, Python and Go files
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { createRepo, relativePaths } = require("./helpers");
+const {
+  createDependencyResolver,
+  getGitignorePatterns,
+} = require("../cherrypiq");
+
+// A project with JS/TS, Python and Go sources importing each other
+const FILES = {
+  ".gitignore": "generated.ts\n",
+  "tsconfig.json": [
+    "{",
+    "  // Aliases, with a trailing comma",
+    '  "compilerOptions": {',
+    '    "baseUrl": ".",',
+    '    "paths": { "@/*": ["src/*"], "~utils": ["src/utils"], },',
+    "  },",
+    "}",
+    "",
+  ].join("\n"),
+  "src/app.ts": [
+    'import { a } from "./a";',
+    'import B from "@/b";',
+    'import "~utils";',
+    'import React from "react";',
+    'export * from "./d.js";',
+    'const lib = require("./lib");',
+    'const later = () => import("src/lazy");',
+    'import { gen } from "./generated";',
+    '// import "./commented";',
+    "/* import { x } from './commented'; */",
+    "",
+  ].join("\n"),
+  "src/a.ts": 'import { c } from "./c";\n',
+  "src/c.ts": "export const c = 1;\n",
+  "src/b.tsx": "export default function B() {}\n",
+  "src/d.ts": "export const d = 1;\n",
+  "src/lazy.ts": "export default 1;\n",
+  "src/lib/index.js": 'module.exports = require("../c");\n',
+  "src/utils/index.ts": "export {};\n",
+  "src/generated.ts": "export const gen = 1;\n",
+  "src/commented.ts": "export const x = 1;\n",
+  "py/app.py": [
+    "import os",
+    "import pkg.mod",
+    "from . import sibling",
+    "from pkg import (",
+    "    helper,",
+    "    missing as m,",
+    ")",
+    "",
+  ].join("\n"),
+  "py/sibling.py": "from .pkg.mod import run\n",
+  "py/pkg/__init__.py": "",
+  "py/pkg/mod.py": "def run(): pass\n",
+  "py/pkg/helper.py": "from .. import sibling\n",
+  "go/go.mod": "module example.com/app\n\ngo 1.21\n",
+  "go/main.go": [
+    "package main",
+    "",
+    "import (",
+    '\t"fmt"',
+    '\tu "example.com/app/util"',
+    ")",
+    "",
+  ].join("\n"),
+  "go/util/util.go": "package util\n",
+  "go/util/strings.go": 'package util\n\nimport "example.com/app/internal"\n',
+  "go/util/util_test.go": "package util\n",
+  "go/internal/internal.go": "package internal\n",
+};
+
+// Create the project and a resolver of its dependencies
+async function createResolver(t) {
+  const root = createRepo(t, FILES);
+  const patterns = await getGitignorePatterns(root);
+  return { root, resolver: createDependencyResolver(root, patterns) };
+}
+
+test("JS/TS imports resolve relative paths, aliases and index files", async (t) => {
+  const { root, resolver } = await createResolver(t);
+  const imports = await resolver.imports(path.join(root, "src/app.ts"));
+  // Packages, ignored files and commented-out imports are left out
+  assert.deepStrictEqual(relativePaths(root, imports), [
+    "src/a.ts",
+    "src/b.tsx",
+    "src/d.ts",
+    "src/lazy.ts",
+    "src/lib/index.js",
+    "src/utils/index.ts",
+  ]);
+});
+
+test("Python imports resolve modules, packages and relative imports", async (t) => {
+  const { root, resolver } = await createResolver(t);
+  const imports = async (file) =>
+    relativePaths(root, await resolver.imports(path.join(root, file)));
+  assert.deepStrictEqual(await imports("py/app.py"), [
+    "py/pkg/__init__.py",
+    "py/pkg/helper.py",
+    "py/pkg/mod.py",
+    "py/sibling.py",
+  ]);
+  assert.deepStrictEqual(await imports("py/sibling.py"), ["py/pkg/mod.py"]);
+  assert.deepStrictEqual(await imports("py/pkg/helper.py"), ["py/sibling.py"]);
+});
+
+test("Go imports resolve packages of the module, without tests", async (t) => {
+  const { root, resolver } = await createResolver(t);
+  const imports = await resolver.imports(path.join(root, "go/main.go"));
+  assert.deepStrictEqual(relativePaths(root, imports), [
+    "go/util/strings.go",
+    "go/util/util.go",
+  ]);
+});
+
+test("collect follows imports up to the depth, nearest first", async (t) => {
+  const { root, resolver } = await createResolver(t);
+  const collect = async (file, direction, depth) =>
+    [...(await resolver.collect(path.join(root, file), direction, depth))]
+      .map(([found, step]) => `${step} ${path.relative(root, found)}`)
+      .sort();
+
+  assert.deepStrictEqual(await collect("go/main.go", "imports", 1), [
+    "1 go/util/strings.go",
+    "1 go/util/util.go",
+  ]);
+  assert.deepStrictEqual(await collect("go/main.go", "imports", 2), [
+    "1 go/util/strings.go",
+    "1 go/util/util.go",
+    "2 go/internal/internal.go",
+  ]);
+
+  // src/c.ts is imported by src/a.ts and src/lib/index.js, which
+  // src/app.ts imports; files are reported at their nearest step
+  assert.deepStrictEqual(await collect("src/c.ts", "importers", 1), [
+    "1 src/a.ts",
+    "1 src/lib/index.js",
+  ]);
+  assert.deepStrictEqual(await collect("src/c.ts", "importers", 5), [
+    "1 src/a.ts",
+    "1 src/lib/index.js",
+    "2 src/app.ts",
+  ]);
+  assert.deepStrictEqual(await collect("src/app.ts", "imports", 2), [
+    "1 src/a.ts",
+    "1 src/b.tsx",
+    "1 src/d.ts",
+    "1 src/lazy.ts",
+    "1 src/lib/index.js",
+    "1 src/utils/index.ts",
+    "2 src/c.ts",
+  ]);
+  assert.deepStrictEqual(await collect("src/c.ts", "imports", 3), []);
+});
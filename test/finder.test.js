@@ -0,0 +1,59 @@
+// Ranking of the fuzzy finder
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { fuzzyMatch } = require("../cherrypiq");
+
+// Rank paths against a query, best first, leaving out those not matching
+function rank(query, paths) {
+  return paths
+    .map((target) => ({ target, match: fuzzyMatch(query, target) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ target }) => target);
+}
+
+test("queries match characters in order, ignoring case and spaces", () => {
+  assert.deepStrictEqual(fuzzyMatch("abc", "a/b/c.js").positions, [0, 2, 4]);
+  assert.deepStrictEqual(fuzzyMatch("MA in", "main.js").positions, [
+    0, 1, 2, 3,
+  ]);
+  assert.strictEqual(fuzzyMatch("cba", "a/b/c.js"), null);
+  assert.strictEqual(fuzzyMatch("xyz", "src/index.js"), null);
+  assert.deepStrictEqual(fuzzyMatch("", "src/index.js"), {
+    score: 0,
+    positions: [],
+  });
+});
+
+test("consecutive matches in the file name rank first", () => {
+  assert.deepStrictEqual(
+    rank("conf", [
+      "docs/config/readme.md",
+      "src/config.js",
+      "src/unconfirmed.js",
+    ]),
+    ["src/config.js", "src/unconfirmed.js", "docs/config/readme.md"]
+  );
+});
+
+test("word starts outrank matches inside words", () => {
+  assert.deepStrictEqual(rank("fb", ["src/fooBar.js", "src/fab.js"]), [
+    "src/fooBar.js",
+    "src/fab.js",
+  ]);
+  assert.deepStrictEqual(rank("ti", ["lib/tree-index.js", "lib/static.js"]), [
+    "lib/tree-index.js",
+    "lib/static.js",
+  ]);
+});
+
+test("the best occurrence is found, and shorter paths win ties", () => {
+  // "cfg" matches scattered in "config" but consecutively in "cfg.js"
+  assert.deepStrictEqual(fuzzyMatch("cfg", "src/config/cfg.js").positions, [
+    11, 12, 13,
+  ]);
+  assert.deepStrictEqual(rank("index", ["src/a/b/index.js", "src/index.js"]), [
+    "src/index.js",
+    "src/a/b/index.js",
+  ]);
+});
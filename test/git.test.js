@@ -0,0 +1,352 @@
+// Selecting files with git (status, branch and commit modes)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const {
+  commitAll,
+  createRepo,
+  git,
+  relativePaths,
+  writeFiles,
+} = require("./helpers");
+const {
+  countText,
+  createDiffStats,
+  createSelectionRules,
+  createTokenStats,
+  ensureStateDir,
+  getGitBranchFiles,
+  getGitCommitFiles,
+  getGitDiffs,
+  getGitSelection,
+  getGitStatusFiles,
+  loadSelectionState,
+  saveSelectionState,
+} = require("../cherrypiq");
+
+const CLI = path.join(__dirname, "..", "cherrypiq.js");
+
+// A repository with one commit on main
+function createProject(t) {
+  const root = createRepo(t, {
+    "src/a.js": "a\n",
+    "src/b.js": "b\n",
+    "src/old name.js": "old\n",
+    "docs/guide.md": "guide\n",
+    "README.md": "readme\n",
+  });
+  commitAll(root, "initial");
+  return root;
+}
+
+test("status lists modified, staged and untracked files", async (t) => {
+  const root = createProject(t);
+  writeFiles(root, {
+    "src/a.js": "a changed\n",
+    "src/b.js": "b staged\n",
+    "new/untracked.js": "new\n",
+  });
+  git(root, "add", "src/b.js");
+
+  assert.deepStrictEqual(getGitStatusFiles(root).sort(), [
+    "new/untracked.js",
+    "src/a.js",
+    "src/b.js",
+  ]);
+  assert.deepStrictEqual(getGitStatusFiles(root, ["modified"]), ["src/a.js"]);
+  assert.deepStrictEqual(getGitStatusFiles(root, ["staged"]), ["src/b.js"]);
+  assert.deepStrictEqual(getGitStatusFiles(root, ["untracked"]), [
+    "new/untracked.js",
+  ]);
+});
+
+test("status reports renames by their new path only", async (t) => {
+  const root = createProject(t);
+  git(root, "mv", "src/old name.js", "src/new name.js");
+  git(root, "mv", "src/a.js", "src/renamed.js");
+  writeFiles(root, { "src/b.js": "b changed\n" });
+
+  assert.deepStrictEqual(getGitStatusFiles(root).sort(), [
+    "src/b.js",
+    "src/new name.js",
+    "src/renamed.js",
+  ]);
+  assert.deepStrictEqual(getGitStatusFiles(root, ["staged"]).sort(), [
+    "src/new name.js",
+    "src/renamed.js",
+  ]);
+});
+
+test("branch mode lists the files changed since the fork point", async (t) => {
+  const root = createProject(t);
+  git(root, "checkout", "-q", "-b", "feature");
+  writeFiles(root, { "src/a.js": "feature\n", "src/feature.js": "new\n" });
+  commitAll(root, "feature work");
+  writeFiles(root, { "src/b.js": "feature\n" });
+  commitAll(root, "more feature work");
+
+  // Changes on main after the fork are not part of the branch
+  git(root, "checkout", "-q", "main");
+  writeFiles(root, { "docs/guide.md": "main\n" });
+  commitAll(root, "main work");
+  git(root, "checkout", "-q", "feature");
+
+  assert.deepStrictEqual(getGitBranchFiles(root, "main").sort(), [
+    "src/a.js",
+    "src/b.js",
+    "src/feature.js",
+  ]);
+  assert.throws(() => getGitBranchFiles(root, "no-such-branch"));
+});
+
+test("commit mode lists the files touched by the last commits", async (t) => {
+  const root = createProject(t);
+  writeFiles(root, { "src/a.js": "one\n" });
+  commitAll(root, "one");
+  // Names git would otherwise quote
+  writeFiles(root, {
+    "src/b.js": "two\n",
+    "docs/ünïcode name.md": "two\n",
+    'docs/"quoted".md': "two\n",
+  });
+  commitAll(root, "two");
+
+  assert.deepStrictEqual(getGitCommitFiles(root, 1).sort(), [
+    'docs/"quoted".md',
+    "docs/ünïcode name.md",
+    "src/b.js",
+  ]);
+  assert.deepStrictEqual([...new Set(getGitCommitFiles(root, 2))].sort(), [
+    'docs/"quoted".md',
+    "docs/ünïcode name.md",
+    "src/a.js",
+    "src/b.js",
+  ]);
+});
+
+test("selection is relative to a project below the repository root", async (t) => {
+  const root = createProject(t);
+  writeFiles(root, {
+    "src/a.js": "changed\n",
+    "docs/guide.md": "changed\n",
+    "README.md": "changed\n",
+  });
+  const project = path.join(root, "src");
+
+  const files = getGitSelection(project, { status: ["modified"] });
+  assert.deepStrictEqual(relativePaths(project, files), ["a.js"]);
+});
+
+test("selection combines modes, skipping deleted files and state", async (t) => {
+  const root = createProject(t);
+  writeFiles(root, { "src/a.js": "one\n" });
+  commitAll(root, "one");
+  writeFiles(root, { "src/b.js": "changed\n" });
+  fs.unlinkSync(path.join(root, "docs/guide.md"));
+  // Even when the state directory is not ignored by git
+  fs.rmSync(path.join(ensureStateDir(root), ".gitignore"));
+  writeFiles(root, { ".cherrypiq/state.json": "{}" });
+
+  const files = getGitSelection(root, {
+    status: ["modified", "untracked"],
+    commits: 1,
+  });
+  assert.deepStrictEqual(relativePaths(root, files), ["src/a.js", "src/b.js"]);
+});
+
+test("selection errors name the git command that failed", async (t) => {
+  const root = createProject(t);
+  assert.throws(
+    () => getGitSelection(root, { base: "no-such-branch" }),
+    /git diff against no-such-branch failed/
+  );
+  const outside = fs.mkdtempSync(path.join(path.dirname(root), "plain-"));
+  t.after(() => fs.rmSync(outside, { recursive: true, force: true }));
+  assert.throws(
+    () => getGitSelection(outside, { status: ["modified"] }),
+    /not a git repository/
+  );
+});
+
+test("diffs are taken from the fork point, with new files added", async (t) => {
+  const root = createProject(t);
+  git(root, "checkout", "-q", "-b", "feature");
+  writeFiles(root, { "src/a.js": "a\nfeature\n" });
+  commitAll(root, "feature work");
+  writeFiles(root, { "src/b.js": "b\nuncommitted\n", "src/new.js": "new\n" });
+
+  const files = ["src/a.js", "src/b.js", "src/new.js", "README.md"].map(
+    (file) => path.join(root, file)
+  );
+  const diffs = getGitDiffs(root, "main", files);
+  assert.match(diffs.get(files[0]), /^\+feature$/m);
+  assert.match(diffs.get(files[1]), /^\+uncommitted$/m);
+  assert.match(diffs.get(files[2]), /^new file mode/m);
+  assert.match(diffs.get(files[2]), /^\+new$/m);
+  assert.strictEqual(diffs.get(files[3]), "");
+  assert.throws(() => getGitDiffs(root, "no-such-branch", files), /failed/);
+});
+
+test("diffs are found for quoted paths and any diff prefix setting", async (t) => {
+  const root = createProject(t);
+  writeFiles(root, {
+    'src/a"b.js': "quote\n",
+    "src/tab\there.js": "tab\n",
+    "src/c d.js": "space\n",
+    "src/é.js": "accent\n",
+  });
+  commitAll(root, "special names");
+  writeFiles(root, {
+    'src/a"b.js': "quote\nchanged\n",
+    "src/tab\there.js": "tab\nchanged\n",
+    "src/c d.js": "space\nchanged\n",
+    "src/é.js": "accent\nchanged\n",
+  });
+
+  const files = [
+    'src/a"b.js',
+    "src/tab\there.js",
+    "src/c d.js",
+    "src/é.js",
+  ].map((file) => path.join(root, file));
+  const configs = [
+    [],
+    ["diff.noprefix", "true"],
+    ["diff.mnemonicPrefix", "true"],
+  ];
+  for (const config of configs) {
+    if (config.length) git(root, "config", ...config);
+    const diffs = getGitDiffs(root, "HEAD", files);
+    for (const file of files) {
+      assert.match(diffs.get(file), /^\+changed$/m, `${file} ${config}`);
+    }
+    if (config.length) git(root, "config", "--unset", config[0]);
+  }
+});
+
+test("diff statistics are cached until a file or the base changes", async (t) => {
+  const root = createProject(t);
+  git(root, "checkout", "-q", "-b", "feature");
+  writeFiles(root, { "src/a.js": "a\nfeature\n", "src/new.js": "new\n" });
+  const files = ["src/a.js", "src/b.js", "src/new.js"].map((file) =>
+    path.join(root, file)
+  );
+  const tokenStats = createTokenStats(root, {}, { workers: false });
+  const diffStats = createDiffStats(root, tokenStats);
+  const tokenizers = ["cl100k_base"];
+
+  // Counted as formatDiffContent emits the diffs
+  const expected = (file) => {
+    const diff = getGitDiffs(root, "main", [file]).get(file);
+    return countText(diff || "No changes since main\n", tokenizers);
+  };
+  const stats = await diffStats.getStats("main", files, 3, tokenizers);
+  for (const file of files) {
+    assert.deepStrictEqual(stats.get(file), expected(file));
+  }
+
+  // Unchanged files keep their statistics
+  writeFiles(root, { "src/a.js": "a\nfeature\nmore\n" });
+  const again = await diffStats.getStats("main", files, 3, tokenizers);
+  assert.strictEqual(again.get(files[1]), stats.get(files[1]));
+  assert.strictEqual(again.get(files[2]), stats.get(files[2]));
+  assert.deepStrictEqual(again.get(files[0]), expected(files[0]));
+  assert.notDeepStrictEqual(again.get(files[0]), stats.get(files[0]));
+
+  // Every file is diffed again when the base moves
+  git(root, "checkout", "-q", "main");
+  writeFiles(root, { "src/b.js": "b\nmain\n" });
+  commitAll(root, "main work");
+  git(root, "checkout", "-q", "feature");
+  git(root, "merge", "-q", "--no-edit", "main");
+  const merged = await diffStats.getStats("main", files, 3, tokenizers);
+  for (const file of files) {
+    assert.deepStrictEqual(merged.get(file), expected(file));
+  }
+
+  // The cached diffs are those getGitDiffs takes, for packing
+  assert.deepStrictEqual(
+    await diffStats.getDiffs("main", files, 3),
+    getGitDiffs(root, "main", files)
+  );
+
+  await assert.rejects(
+    diffStats.getStats("no-such-branch", files, 3, tokenizers),
+    /git diff against no-such-branch failed/
+  );
+});
+
+test("pack diffs against --content-base, selecting only what is asked", async (t) => {
+  const root = createProject(t);
+  git(root, "checkout", "-q", "-b", "feature");
+  writeFiles(root, { "src/a.js": "a\nfeature\n", "docs/guide.md": "new\n" });
+  commitAll(root, "feature work");
+
+  const pack = (...args) =>
+    JSON.parse(
+      execFileSync(
+        process.execPath,
+        [CLI, "pack", ...args, "--json-stats", "--dry-run"],
+        { cwd: root, encoding: "utf8" }
+      )
+    );
+  const stats = pack("--include", "src/**", "--content", "diff");
+  assert.deepStrictEqual(stats.files, [
+    "src/a.js",
+    "src/b.js",
+    "src/old name.js",
+  ]);
+  assert.strictEqual(stats.diffBase, "main");
+
+  // --diff-base selects the branch's files, it doesn't set the diff base
+  const selected = pack(
+    "--diff-base",
+    "main",
+    "--content",
+    "diff",
+    "--content-base",
+    "HEAD~1"
+  );
+  assert.deepStrictEqual(selected.files.sort(), ["docs/guide.md", "src/a.js"]);
+  assert.strictEqual(selected.diffBase, "HEAD~1");
+});
+
+test("saved line ranges and order follow renamed files", async (t) => {
+  const root = createProject(t);
+  const file = (relPath) => path.join(root, relPath);
+  saveSelectionState(
+    root,
+    createSelectionRules(
+      [file("src/a.js"), file("src/b.js"), file("README.md")],
+      [],
+      [file("README.md"), file("src/b.js"), file("src/a.js")],
+      [
+        [file("src/a.js"), [[1, 1]]],
+        [file("src/b.js"), [[1, 1]]],
+      ]
+    )
+  );
+  git(root, "mv", "src/a.js", "src/moved.js");
+  commitAll(root, "move");
+  fs.unlinkSync(file("src/b.js"));
+
+  const saved = loadSelectionState(root);
+  assert.deepStrictEqual(saved.rules.include, [
+    file("src/moved.js"),
+    file("README.md"),
+  ]);
+  assert.deepStrictEqual(saved.rules.order, [
+    file("README.md"),
+    file("src/moved.js"),
+  ]);
+  assert.deepStrictEqual(
+    [...saved.rules.ranges],
+    [[file("src/moved.js"), [[1, 1]]]]
+  );
+  assert.deepStrictEqual(saved.renamed, [
+    { from: "src/a.js", to: "src/moved.js" },
+  ]);
+  assert.deepStrictEqual(saved.missing, ["src/b.js"]);
+});
@@ -0,0 +1,242 @@
+// Ignore rules, checked against what git itself reports for each fixture
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  createRepo,
+  git,
+  relativePaths,
+  writeFiles,
+} = require("./helpers");
+const {
+  ensureStateDir,
+  getGitignorePatterns,
+  listProjectFiles,
+  minimatch,
+  parseIgnoreRules,
+  shouldIgnore,
+} = require("../cherrypiq");
+
+// The files cherrypiq lists for a fixture
+async function listFiles(root) {
+  const patterns = await getGitignorePatterns(root);
+  return relativePaths(root, await listProjectFiles(root, patterns));
+}
+
+// The untracked, non-ignored files git lists for a fixture
+function gitFiles(root) {
+  return git(root, "ls-files", "--others", "--exclude-standard")
+    .split("\n")
+    .filter(Boolean)
+    .sort();
+}
+
+async function assertIgnored(root, expected) {
+  const patterns = await getGitignorePatterns(root);
+  for (const [relPath, ignored] of Object.entries(expected)) {
+    assert.strictEqual(
+      shouldIgnore(path.join(root, relPath), patterns),
+      ignored,
+      `${relPath} should ${ignored ? "" : "not "}be ignored`
+    );
+  }
+}
+
+test("negation re-includes paths inside a directory pattern", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "dist/*\n!dist/types/\n",
+    "dist/bundle.js": "",
+    "dist/types/index.d.ts": "",
+    "src/index.js": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "dist/bundle.js": true,
+    "dist/types/index.d.ts": false,
+  });
+});
+
+test("negation cannot re-include files in an ignored directory", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "dist/\n!dist/types/\n",
+    "dist/types/index.d.ts": "",
+    "src/index.js": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, { "dist/types/index.d.ts": true });
+});
+
+test("nested .gitignore files apply relative to their directory", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "*.log\n",
+    "app.log": "",
+    "pkg/.gitignore": "/local.txt\ncache/\n!keep.log\n",
+    "pkg/local.txt": "",
+    "pkg/keep.log": "",
+    "pkg/other.log": "",
+    "pkg/cache/data": "",
+    "pkg/sub/local.txt": "",
+    "local.txt": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "app.log": true,
+    "pkg/local.txt": true,
+    "pkg/sub/local.txt": false,
+    "local.txt": false,
+    "pkg/keep.log": false,
+    "pkg/other.log": true,
+    "pkg/cache/data": true,
+  });
+});
+
+test("a leading slash anchors a pattern to its directory", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "/build\n",
+    "build/out.js": "",
+    "src/build/out.js": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "build/out.js": true,
+    "src/build/out.js": false,
+  });
+});
+
+test("a middle slash anchors a pattern too", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "docs/*.html\n",
+    "docs/index.html": "",
+    "docs/api/index.html": "",
+    "src/docs/index.html": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "docs/index.html": true,
+    "docs/api/index.html": false,
+    "src/docs/index.html": false,
+  });
+});
+
+test("**/ matches any number of directories", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "**/fixtures/*.json\na/**/b.txt\nlogs/**\n",
+    "fixtures/one.json": "",
+    "test/deep/fixtures/two.json": "",
+    "test/deep/fixtures/keep.txt": "",
+    "a/b.txt": "",
+    "a/x/y/b.txt": "",
+    "logs/today/out": "",
+    "src/logs/out": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "fixtures/one.json": true,
+    "test/deep/fixtures/two.json": true,
+    "test/deep/fixtures/keep.txt": false,
+    "a/b.txt": true,
+    "a/x/y/b.txt": true,
+    "logs/today/out": true,
+    "src/logs/out": false,
+  });
+});
+
+test("a trailing slash only matches directories", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "tmp/\n",
+    "tmp/file": "",
+    "src/tmp": "a file named tmp",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, { "tmp/file": true, "src/tmp": false });
+});
+
+test("escapes, character classes and trailing spaces", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "\\#notes\n\\!important\nfile[0-9].txt\nspaced.txt   \n",
+    "#notes": "",
+    "!important": "",
+    "file1.txt": "",
+    "fileA.txt": "",
+    "spaced.txt": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+});
+
+test(".gitignore beats .git/info/exclude, which beats excludesFile", async (t) => {
+  const root = createRepo(t, {
+    ".gitignore": "!from-exclude.txt\n",
+    "global.txt": "",
+    "from-exclude.txt": "",
+    "from-global.txt": "",
+    "kept.txt": "",
+  });
+  const globalIgnore = path.join(root, "..", path.basename(root) + ".ignore");
+  fs.writeFileSync(globalIgnore, "*.txt\n");
+  t.after(() => fs.rmSync(globalIgnore, { force: true }));
+  const globalConfig = process.env.GIT_CONFIG_GLOBAL;
+  fs.writeFileSync(globalConfig, `[core]\n\texcludesFile = ${globalIgnore}\n`);
+  t.after(() => fs.writeFileSync(globalConfig, ""));
+  writeFiles(root, {
+    ".git/info/exclude": "!kept.txt\n!from-global.txt\nfrom-exclude.txt\n",
+  });
+
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  await assertIgnored(root, {
+    "global.txt": true,
+    "from-global.txt": false,
+    "from-exclude.txt": false,
+    "kept.txt": false,
+  });
+});
+
+test("the default excludes file is $XDG_CONFIG_HOME/git/ignore", async (t) => {
+  const root = createRepo(t, { "secret.key": "", "main.js": "" });
+  const ignoreFile = path.join(process.env.XDG_CONFIG_HOME, "git", "ignore");
+  writeFiles(path.dirname(ignoreFile), { ignore: "*.key\n" });
+  t.after(() => fs.rmSync(ignoreFile, { force: true }));
+
+  assert.deepStrictEqual(await listFiles(root), gitFiles(root));
+  assert.deepStrictEqual(await listFiles(root), ["main.js"]);
+});
+
+test(".repomixignore is read alongside .gitignore", async (t) => {
+  const root = createRepo(t, {
+    ".repomixignore": "*.snap\n",
+    "a.snap": "",
+    "a.js": "",
+  });
+  assert.deepStrictEqual(await listFiles(root), [".repomixignore", "a.js"]);
+});
+
+test("the state directory is never listed, nor left untracked", async (t) => {
+  const root = createRepo(t, { "main.js": "" });
+  const stateDir = ensureStateDir(root);
+  writeFiles(stateDir, { "state.json": "{}", "config.json": "{}" });
+
+  assert.deepStrictEqual(await listFiles(root), ["main.js"]);
+  assert.deepStrictEqual(gitFiles(root), ["main.js"]);
+  const patterns = await getGitignorePatterns(root);
+  const all = await listProjectFiles(root, patterns, { includeIgnored: true });
+  assert.deepStrictEqual(relativePaths(root, all), ["main.js"]);
+});
+
+test("parseIgnoreRules skips comments and blank lines", () => {
+  const rules = parseIgnoreRules("# comment\n\n*.log\n!keep.log\nout/\n", "");
+  assert.deepStrictEqual(
+    rules.map(({ negate, dirOnly }) => ({ negate, dirOnly })),
+    [
+      { negate: false, dirOnly: false },
+      { negate: true, dirOnly: false },
+      { negate: false, dirOnly: true },
+    ]
+  );
+});
+
+test("minimatch keeps * within a path segment", () => {
+  assert.ok(minimatch("src/a.js", "src/*.js"));
+  assert.ok(!minimatch("src/lib/a.js", "src/*.js"));
+  assert.ok(minimatch("src/lib/a.js", "src/**/*.js"));
+  assert.ok(minimatch("src/a.js", "src/**/*.js"));
+});
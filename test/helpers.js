@@ -0,0 +1,74 @@
+// Shared fixtures for the tests
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+// Keep the user's git configuration out of the fixtures; tests that need a
+// global config (e.g. core.excludesFile) write their own
+const gitHome = fs.mkdtempSync(path.join(os.tmpdir(), "cherrypiq-home-"));
+process.env.GIT_CONFIG_GLOBAL = path.join(gitHome, "gitconfig");
+process.env.GIT_CONFIG_NOSYSTEM = "1";
+process.env.XDG_CONFIG_HOME = path.join(gitHome, "config");
+process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = "Test";
+process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL =
+  "test@example.com";
+fs.writeFileSync(process.env.GIT_CONFIG_GLOBAL, "");
+process.on("exit", () => fs.rmSync(gitHome, { recursive: true, force: true }));
+
+// Run git in a fixture and return its output
+function git(root, ...args) {
+  return execFileSync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+}
+
+// Write files ({ "relative/path": content }) under root
+function writeFiles(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+// Create a temporary directory with the given files, removed after the tests
+function createFixture(t, files = {}) {
+  const root = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "cherrypiq-test-"))
+  );
+  writeFiles(root, files);
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+// Create a temporary git repository with the given files (not committed)
+function createRepo(t, files = {}) {
+  const root = createFixture(t, files);
+  git(root, "init", "-q", "-b", "main");
+  return root;
+}
+
+// Commit everything in a fixture repository
+function commitAll(root, message) {
+  git(root, "add", "-A");
+  git(root, "commit", "-q", "-m", message);
+}
+
+// List the paths of files relative to root, sorted
+function relativePaths(root, files) {
+  return files
+    .map((file) => path.relative(root, file).split(path.sep).join("/"))
+    .sort();
+}
+
+module.exports = {
+  commitAll,
+  createFixture,
+  createRepo,
+  git,
+  relativePaths,
+  writeFiles,
+};
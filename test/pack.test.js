@@ -0,0 +1,102 @@
+// Output of the built-in packer, compared with golden files in test/golden.
+// The golden files follow repomix's output apart from its branding and
+// notes; regenerate them with UPDATE_GOLDEN=1 npm test and review the diff.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createFixture } = require("./helpers");
+const {
+  formatPackedOutput,
+  getOutputOptions,
+  packFiles,
+} = require("../cherrypiq");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const EXTENSIONS = { xml: "xml", markdown: "md", plain: "txt" };
+
+// A small project: code with comments, Markdown containing a code fence
+// (so the markdown style needs a longer one) and a binary file to skip
+const FILES = {
+  "src/index.js": [
+    "// Entry point",
+    'const { greet } = require("./greet");',
+    "",
+    "/* Print a greeting */",
+    'console.log(greet("world"));',
+    "",
+  ].join("\n"),
+  "src/greet.ts": [
+    "export function greet(name: string): string {",
+    "  return `Hello, ${name}!`; // Say hello",
+    "}",
+    "",
+  ].join("\n"),
+  "README.md": ["# Example", "", "```sh", "node src/index.js", "```", ""].join(
+    "\n"
+  ),
+  "docs/notes.txt": "Plain notes.\n",
+};
+
+// Pack the fixture's files in order with output options
+async function pack(t, outputOptions, instruction) {
+  const root = createFixture(t, FILES);
+  fs.writeFileSync(path.join(root, "logo.png"), Buffer.from([0x89, 0, 1, 2]));
+  const cwd = process.cwd();
+  process.chdir(root);
+  t.after(() => process.chdir(cwd));
+  const files = ["README.md", "src/index.js", "src/greet.ts", "logo.png"];
+  return packFiles(
+    files.map((file) => path.join(root, file)),
+    { instruction, outputOptions: getOutputOptions({ output: outputOptions }) }
+  );
+}
+
+// Compare output with a golden file, or write it with UPDATE_GOLDEN=1
+function assertGolden(output, name) {
+  const goldenPath = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(goldenPath, output);
+    return;
+  }
+  assert.strictEqual(output, fs.readFileSync(goldenPath, "utf8"));
+}
+
+for (const style of Object.keys(EXTENSIONS)) {
+  test(`${style} output matches the golden file`, async (t) => {
+    const output = await pack(t, { style });
+    assertGolden(output, `default.${EXTENSIONS[style]}`);
+  });
+
+  test(`${style} output with options matches the golden file`, async (t) => {
+    const output = await pack(
+      t,
+      {
+        style,
+        removeComments: true,
+        showLineNumbers: true,
+        headerText: "Example project, for the tests.",
+      },
+      "Review the greeting."
+    );
+    assertGolden(output, `options.${EXTENSIONS[style]}`);
+  });
+
+  test(`${style} output without summary and tree`, () => {
+    const output = formatPackedOutput(
+      [{ path: "a.txt", content: "a" }],
+      style,
+      { fileSummary: false, directoryStructure: false }
+    );
+    assert.ok(output.includes("a.txt"));
+    assert.ok(!output.includes("File Summary") && !output.includes("summary"));
+    assert.ok(!/directory.structure/i.test(output));
+  });
+}
+
+test("markdown fences outgrow any number of backtick runs", () => {
+  const content = "`a` ".repeat(300000) + "````";
+  const output = formatPackedOutput([{ path: "big.md", content }], "markdown");
+  assert.ok(output.includes("`````markdown\n" + content + "\n`````\n"));
+});
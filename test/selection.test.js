@@ -0,0 +1,209 @@
+// Selection rules and the files they resolve to
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { createRepo, relativePaths, writeFiles } = require("./helpers");
+const {
+  createFileClassifier,
+  createProfile,
+  createSelectionRules,
+  getGitignorePatterns,
+  listSkippedFiles,
+  resolveProfile,
+  resolveSelection,
+  setPathSelected,
+} = require("../cherrypiq");
+
+const CLI = path.join(__dirname, "..", "cherrypiq.js");
+
+// A project with ordinary files and the kinds directory selection skips
+function createProject(t) {
+  const root = createRepo(t, {
+    ".gitignore": "dist/\n",
+    "src/index.js": "console.log(1);\n",
+    "src/util.js": "module.exports = {};\n",
+    "src/vendor.min.js": "x",
+    "src/gen/api.js": "// @generated by a tool\nexports.a = 1;\n",
+    "package-lock.json": "{}\n",
+    "dist/bundle.js": "bundle\n",
+    "README.md": "# Readme\n",
+  });
+  writeFiles(root, { "src/logo.png": Buffer.from([0x89, 0x50, 0, 0]) });
+  return root;
+}
+
+test("classify recognizes the kinds of skipped files", async (t) => {
+  const root = createProject(t);
+  const classify = createFileClassifier(root, {});
+  const kinds = {};
+  for (const file of [
+    "src/index.js",
+    "src/vendor.min.js",
+    "src/gen/api.js",
+    "src/logo.png",
+    "package-lock.json",
+  ]) {
+    kinds[file] = await classify(path.join(root, file));
+  }
+  assert.deepStrictEqual(kinds, {
+    "src/index.js": null,
+    "src/vendor.min.js": "minified",
+    "src/gen/api.js": "generated",
+    "src/logo.png": "binary",
+    "package-lock.json": "lockfile",
+  });
+  assert.strictEqual(await classify(path.join(root, "missing.js")), null);
+});
+
+test("classify notices files that changed", async (t) => {
+  const root = createProject(t);
+  const classify = createFileClassifier(root, {});
+  const file = path.join(root, "src/index.js");
+  assert.strictEqual(await classify(file), null);
+  writeFiles(root, { "src/index.js": "// Code generated by a tool\n" });
+  assert.strictEqual(await classify(file), "generated");
+});
+
+test("directory rules skip ignored and classified files", async (t) => {
+  const root = createProject(t);
+  const patterns = await getGitignorePatterns(root);
+  const classify = createFileClassifier(root, {});
+  const rules = createSelectionRules([root]);
+
+  const files = await resolveSelection(rules, patterns, classify);
+  assert.deepStrictEqual(relativePaths(root, files), [
+    ".gitignore",
+    "README.md",
+    "src/index.js",
+    "src/util.js",
+  ]);
+  const skipped = await listSkippedFiles(rules, patterns, classify);
+  assert.deepStrictEqual(relativePaths(root, skipped), [
+    "package-lock.json",
+    "src/gen/api.js",
+    "src/logo.png",
+    "src/vendor.min.js",
+  ]);
+});
+
+test("files selected on their own are kept, exclusions are not", async (t) => {
+  const root = createProject(t);
+  const patterns = await getGitignorePatterns(root);
+  const classify = createFileClassifier(root, {});
+  let rules = createSelectionRules([path.join(root, "src")]);
+  rules = setPathSelected(rules, path.join(root, "src/util.js"), false);
+  rules = setPathSelected(rules, path.join(root, "src/logo.png"), true, true);
+  rules = setPathSelected(rules, path.join(root, "dist/bundle.js"), true, true);
+
+  const files = await resolveSelection(rules, patterns, classify);
+  assert.deepStrictEqual(relativePaths(root, files), [
+    "dist/bundle.js",
+    "src/index.js",
+    "src/logo.png",
+  ]);
+  const skipped = await listSkippedFiles(rules, patterns, classify);
+  assert.deepStrictEqual(relativePaths(root, skipped), [
+    "src/gen/api.js",
+    "src/vendor.min.js",
+  ]);
+});
+
+test("profiles keep directory rules, order and line ranges", async (t) => {
+  const root = createProject(t);
+  const patterns = await getGitignorePatterns(root);
+  const classify = createFileClassifier(root, {});
+  const src = (file) => path.join(root, "src", file);
+  const rules = setPathSelected(
+    createSelectionRules(
+      [path.join(root, "src"), path.join(root, "README.md")],
+      [],
+      [path.join(root, "README.md"), src("util.js")],
+      [[path.join(root, "README.md"), [[1, 1]]]]
+    ),
+    src("index.js"),
+    false
+  );
+  const profile = JSON.parse(JSON.stringify(createProfile(root, rules)));
+
+  // Files created since the profile was saved are in its directories
+  writeFiles(root, { "src/added.js": "added\n" });
+  const resolved = await resolveProfile(root, profile, patterns, classify);
+  assert.deepStrictEqual(resolved.files, [
+    path.join(root, "README.md"),
+    src("util.js"),
+    src("added.js"),
+  ]);
+  assert.deepStrictEqual(resolved.rules.exclude, [src("index.js")]);
+  assert.deepStrictEqual(
+    [...resolved.rules.ranges],
+    [[path.join(root, "README.md"), [[1, 1]]]]
+  );
+});
+
+test("profile globs and older file lists are resolved too", async (t) => {
+  const root = createProject(t);
+  const patterns = await getGitignorePatterns(root);
+  const profile = {
+    selectedFiles: ["README.md", "src/deleted.js"],
+    include: ["src/*.js"],
+    exclude: ["**/*.min.js", "src/util.js"],
+  };
+  const resolved = await resolveProfile(root, profile, patterns);
+  assert.deepStrictEqual(relativePaths(root, resolved.files), [
+    "README.md",
+    "src/index.js",
+  ]);
+  assert.ok(!resolved.rules.include.includes(path.join(root, "src/util.js")));
+});
+
+test("profile globs skip classified files unless they name them", async (t) => {
+  const root = createProject(t);
+  const patterns = await getGitignorePatterns(root);
+  const classify = createFileClassifier(root, {});
+  const resolve = async (include) =>
+    relativePaths(
+      root,
+      (await resolveProfile(root, { include }, patterns, classify)).files
+    );
+
+  assert.deepStrictEqual(await resolve(["**"]), [
+    ".gitignore",
+    "README.md",
+    "src/index.js",
+    "src/util.js",
+  ]);
+  assert.deepStrictEqual(
+    await resolve(["src/*.js", "package-lock.json", "src/logo.png"]),
+    ["package-lock.json", "src/index.js", "src/logo.png", "src/util.js"]
+  );
+});
+
+test("pack selects skipped files only with --include-skipped", async (t) => {
+  const root = createProject(t);
+  const pack = (...args) =>
+    JSON.parse(
+      execFileSync(
+        process.execPath,
+        [CLI, "pack", ...args, "--json-stats", "--dry-run"],
+        { cwd: root, encoding: "utf8" }
+      )
+    ).files;
+
+  assert.deepStrictEqual(pack("--include", "**"), [
+    ".gitignore",
+    "README.md",
+    "src/index.js",
+    "src/util.js",
+  ]);
+  assert.deepStrictEqual(pack("--include", "**", "--include-skipped"), [
+    ".gitignore",
+    "README.md",
+    "package-lock.json",
+    "src/gen/api.js",
+    "src/index.js",
+    "src/logo.png",
+    "src/util.js",
+    "src/vendor.min.js",
+  ]);
+});
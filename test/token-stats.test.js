@@ -0,0 +1,150 @@
+// Token counting and the token cache
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createFixture } = require("./helpers");
+const {
+  countText,
+  createDirectoryTotals,
+  createTokenStats,
+  getGitignorePatterns,
+  getOutputOptions,
+} = require("../cherrypiq");
+
+const TOKENIZERS = ["cl100k_base", "claude"];
+
+for (const workers of [true, false]) {
+  const mode = workers ? "in workers" : "in-process";
+
+  test(`files changed on disk are recounted (${mode})`, async (t) => {
+    const root = createFixture(t, { "a.js": "const a = 1;\n", "b.js": "b\n" });
+    const files = [path.join(root, "a.js"), path.join(root, "b.js")];
+    const tokenStats = createTokenStats(root, {}, { workers });
+    t.after(() => tokenStats.close());
+
+    const before = await tokenStats.getStats(files, TOKENIZERS);
+    assert.strictEqual(before.get(files[0]).lines, 1);
+
+    // Counts of unchanged files come from the cache
+    const again = await tokenStats.getStats(files, TOKENIZERS);
+    assert.strictEqual(again.get(files[1]), before.get(files[1]));
+
+    fs.writeFileSync(files[0], "const a = 1;\nconst b = 2;\nconst c = 3;\n");
+    const after = await tokenStats.getStats(files, TOKENIZERS);
+    assert.strictEqual(after.get(files[0]).lines, 3);
+    assert.ok(
+      after.get(files[0]).counts.cl100k_base >
+        before.get(files[0]).counts.cl100k_base
+    );
+    assert.strictEqual(after.get(files[1]), before.get(files[1]));
+  });
+
+  test(`listeners hear of files counted again (${mode})`, async (t) => {
+    const root = createFixture(t, { "a.js": "a\n", "b.js": "b\n" });
+    const files = [path.join(root, "a.js"), path.join(root, "b.js")];
+    const tokenStats = createTokenStats(root, {}, { workers });
+    t.after(() => tokenStats.close());
+    const changed = [];
+    tokenStats.onChange((counted) => changed.push(...counted));
+
+    await tokenStats.getStats(files, TOKENIZERS);
+    assert.deepStrictEqual(changed.sort(), files);
+    changed.length = 0;
+    fs.writeFileSync(files[1], "b changed\n");
+    await tokenStats.getStats(files, TOKENIZERS);
+    assert.deepStrictEqual(changed, [files[1]]);
+  });
+
+  test(`texts such as diffs are counted (${mode})`, async (t) => {
+    const root = createFixture(t);
+    const tokenStats = createTokenStats(root, {}, { workers });
+    t.after(() => tokenStats.close());
+    const texts = Array.from({ length: 40 }, (_, i) => `line ${i}\n`.repeat(i));
+    assert.deepStrictEqual(
+      await tokenStats.countTexts(texts, TOKENIZERS),
+      texts.map((text) => countText(text, TOKENIZERS))
+    );
+  });
+}
+
+test("transformed counts are cached apart from raw counts", async (t) => {
+  const root = createFixture(t, {
+    "a.js": "// A comment that takes up tokens\nconst a = 1;\n",
+  });
+  const file = path.join(root, "a.js");
+  const tokenStats = createTokenStats(root, {}, { workers: false });
+  t.after(() => tokenStats.close());
+
+  const outputOptions = getOutputOptions({ output: { removeComments: true } });
+  const raw = await tokenStats.getStats([file], TOKENIZERS);
+  const transformed = await tokenStats.getStats(
+    [file],
+    TOKENIZERS,
+    null,
+    outputOptions
+  );
+  assert.ok(
+    transformed.get(file).counts.cl100k_base < raw.get(file).counts.cl100k_base
+  );
+
+  fs.writeFileSync(file, "// Shorter\nconst a = 1;\nconst b = 2;\n");
+  const changed = await tokenStats.getStats(
+    [file],
+    TOKENIZERS,
+    null,
+    outputOptions
+  );
+  assert.notStrictEqual(changed.get(file), transformed.get(file));
+  assert.strictEqual(changed.get(file).lines, 2);
+});
+
+test("directory totals follow edits, additions and deletions deep down", async (t) => {
+  const root = createFixture(t, {
+    "src/lib/x.js": "x\n",
+    "src/lib/deep/y.js": "y\n",
+    "src/empty/.keep": "",
+  });
+  const src = path.join(root, "src");
+  const tokenStats = createTokenStats(root, {}, { workers: false });
+  t.after(() => tokenStats.close());
+  const dirTotals = createDirectoryTotals(
+    tokenStats,
+    await getGitignorePatterns(root)
+  );
+
+  const before = await dirTotals.getTotal(src, "cl100k_base");
+  assert.strictEqual(before.size, 4);
+
+  fs.writeFileSync(
+    path.join(root, "src/lib/x.js"),
+    "const x = 1;\nconst y = 2;\n"
+  );
+  const edited = await dirTotals.getTotal(src, "cl100k_base");
+  assert.strictEqual(edited.size, 28);
+  assert.ok(edited.tokens > before.tokens);
+
+  fs.writeFileSync(path.join(root, "src/empty/z.js"), "z\n");
+  const added = await dirTotals.getTotal(src, "cl100k_base");
+  assert.strictEqual(added.size, 30);
+
+  fs.rmSync(path.join(root, "src/lib/deep/y.js"));
+  const removed = await dirTotals.getTotal(src, "cl100k_base");
+  assert.strictEqual(removed.size, 28);
+});
+
+test("a failing listener doesn't fail or stall counting", async (t) => {
+  const root = createFixture(t, { "a.js": "a\n" });
+  const files = [path.join(root, "a.js")];
+  const tokenStats = createTokenStats(root, {}, { workers: false });
+  t.after(() => tokenStats.close());
+  tokenStats.onChange(() => {
+    throw new Error("listener failed");
+  });
+
+  const stats = await tokenStats.getStats(files, TOKENIZERS);
+  assert.strictEqual(stats.get(files[0]).lines, 1);
+  fs.writeFileSync(files[0], "a\nb\n");
+  const changed = await tokenStats.getStats(files, TOKENIZERS);
+  assert.strictEqual(changed.get(files[0]).lines, 2);
+});
@@ -0,0 +1,179 @@
+// Transforms of file content for packing
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  getBaselineOptions,
+  getOutputOptions,
+  parseOutline,
+  processFileContent,
+  removeFunctionBodies,
+} = require("../cherrypiq");
+
+test("signatures only keeps declarations and drops function bodies", () => {
+  const content = [
+    "export async function load(path) {",
+    "  const text = await read(path);",
+    "  return parse(text);",
+    "}",
+    "export const save = async (path, data) => {",
+    "  await write(path, data);",
+    "};",
+    "export const handler: Handler = (event): Result => {",
+    "  return ok(event);",
+    "};",
+    "export const merge = (",
+    "  a,",
+    "  b",
+    ") => {",
+    "  return { ...a, ...b };",
+    "};",
+    "module.exports.check = function (value) {",
+    "  return value > 0;",
+    "};",
+    "exports.double = (x) => {",
+    "  return x * 2;",
+    "};",
+    "export const config = {",
+    "  retries: 3,",
+    "};",
+    "module.exports = {",
+    "  load,",
+    "};",
+    "",
+  ].join("\n");
+  assert.strictEqual(
+    removeFunctionBodies(content, "index.ts"),
+    [
+      "export async function load(path) {",
+      "  // ... (2 lines)",
+      "}",
+      "export const save = async (path, data) => {",
+      "  // ... (1 line)",
+      "};",
+      "export const handler: Handler = (event): Result => {",
+      "  // ... (1 line)",
+      "};",
+      "export const merge = (",
+      "  a,",
+      "  b",
+      ") => {",
+      "  // ... (1 line)",
+      "};",
+      "module.exports.check = function (value) {",
+      "  // ... (1 line)",
+      "};",
+      "exports.double = (x) => {",
+      "  // ... (1 line)",
+      "};",
+      "export const config = {",
+      "  retries: 3,",
+      "};",
+      "module.exports = {",
+      "  load,",
+      "};",
+      "",
+    ].join("\n")
+  );
+  assert.strictEqual(removeFunctionBodies(content, "notes.txt"), content);
+});
+
+test("class methods and nested functions lose their bodies", () => {
+  const content = [
+    "class Cache {",
+    "  get(key) {",
+    "    return this.map.get(key);",
+    "  }",
+    "}",
+    "function outer() {",
+    "  const inner = () => {",
+    "    return 1;",
+    "  };",
+    "  return inner();",
+    "}",
+  ].join("\n");
+  assert.strictEqual(
+    removeFunctionBodies(content, "cache.js"),
+    [
+      "class Cache {",
+      "  get(key) {",
+      "    // ... (1 line)",
+      "  }",
+      "}",
+      "function outer() {",
+      "  // ... (4 lines)",
+      "}",
+    ].join("\n")
+  );
+});
+
+test("the outline includes anonymous default exports and export lists", () => {
+  const content = [
+    "export default class extends Base {",
+    "  static create() { return new this(); }",
+    "  get size() { return this.items.length; }",
+    "  static get empty() {",
+    "    return new this();",
+    "  }",
+    "}",
+    "export default function () {",
+    "  return 1;",
+    "}",
+    "export default async () => {",
+    "  return 2;",
+    "};",
+    "export { load, save as store };",
+    'export * from "./util";',
+    "",
+  ].join("\n");
+  assert.deepStrictEqual(
+    parseOutline(content, "index.ts").map(({ kind, name, line, end }) => [
+      kind,
+      name,
+      line,
+      end,
+    ]),
+    [
+      ["class", "default", 1, 7],
+      ["method", "create", 2, 2],
+      ["method", "size", 3, 3],
+      ["method", "empty", 4, 6],
+      ["function", "default", 8, 10],
+      ["export", "default", 11, 13],
+      ["export", "{ load, save as store }", 14, 14],
+      ["export", "*", 15, 15],
+    ]
+  );
+  const signatures = removeFunctionBodies(content, "index.ts").split("\n");
+  assert.deepStrictEqual(signatures.slice(3, 13), [
+    "  static get empty() {",
+    "    // ... (1 line)",
+    "  }",
+    "}",
+    "export default function () {",
+    "  // ... (1 line)",
+    "}",
+    "export default async () => {",
+    "  // ... (1 line)",
+    "};",
+  ]);
+});
+
+test("transforms are compared with the content numbered alike", () => {
+  const outputOptions = getOutputOptions({
+    output: { removeComments: true, showLineNumbers: true },
+  });
+  const baseline = getBaselineOptions(outputOptions);
+  const content = "// Add\nconst a = 1;\n";
+  assert.strictEqual(
+    processFileContent(content, "a.js", baseline),
+    "1: // Add\n2: const a = 1;"
+  );
+  assert.strictEqual(
+    processFileContent(content, "a.js", outputOptions),
+    "1: const a = 1;"
+  );
+  assert.strictEqual(
+    getBaselineOptions(getOutputOptions({ output: { removeComments: true } })),
+    null
+  );
+});